@@ -0,0 +1,43 @@
+// draw-attempt.js
+// One draw from the loading screen: refused while drawing is locked, the candidate sign optionally
+// confirmed (the moon-block ritual), and counted against the rate limit only once a sign is accepted,
+// so candidates the ritual rejects never lock the user out.
+// Exposed as window.DrawAttempt in the browser and module.exports in Node (see draw-attempt.test.js).
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.DrawAttempt = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * @typedef {object} DrawAttemptResult
+     * @property {string} status - 'locked' (show the locked screen), 'rejected' (stay and draw again) or 'accepted'.
+     * @property {object|null} sign - The candidate sign; null if none could be picked.
+     * @property {object|null} lock - The rate-limit lock when status is 'locked'.
+     */
+
+    /**
+     * Runs one draw.
+     * @param {object} steps
+     * @param {{getLock: function(): (object|null), recordAttempt: function(): (object|null)}} steps.rateLimit
+     *        A RateLimit policy.
+     * @param {function(): Promise<object|null>} steps.pickSign
+     * @param {function(object): Promise<boolean>} [steps.confirmSign] - Resolves false to reject the candidate.
+     * @returns {Promise<DrawAttemptResult>}
+     */
+    async function run(steps) {
+        const activeLock = steps.rateLimit.getLock();
+        if (activeLock) return { status: 'locked', sign: null, lock: activeLock };
+
+        const sign = await steps.pickSign();
+        if (sign && steps.confirmSign && !(await steps.confirmSign(sign))) {
+            return { status: 'rejected', sign, lock: null };
+        }
+        const lock = steps.rateLimit.recordAttempt(); // This draw may be the one that exceeds the limit
+        return lock ? { status: 'locked', sign, lock } : { status: 'accepted', sign, lock: null };
+    }
+
+    return { run };
+});
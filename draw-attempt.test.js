@@ -0,0 +1,77 @@
+// draw-attempt.test.js
+// Tests for draw-attempt.js, run with Node 18 or later:
+//     node --test draw-attempt.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { run } = require('./draw-attempt.js');
+
+/** Stands in for a RateLimit policy: more than maxAttempts recorded attempts locks */
+function createRateLimit(maxAttempts = 4) {
+    const limit = { attempts: 0, lock: null };
+    limit.getLock = () => limit.lock;
+    limit.recordAttempt = () => {
+        if (limit.lock) return limit.lock;
+        limit.attempts++;
+        if (limit.attempts > maxAttempts) limit.lock = { until: Infinity, reason: 'frequency' };
+        return limit.lock;
+    };
+    return limit;
+}
+
+const pickSign = async () => ({ 签号: 7 });
+
+test('counts an accepted draw', async () => {
+    const rateLimit = createRateLimit();
+    const result = await run({ rateLimit, pickSign });
+    assert.equal(result.status, 'accepted');
+    assert.deepEqual(result.sign, { 签号: 7 });
+    assert.equal(rateLimit.attempts, 1);
+});
+
+test('does not count candidates the ritual rejects', async () => {
+    const rateLimit = createRateLimit();
+    const rejectSign = async () => false;
+    for (let i = 0; i < 10; i++) {
+        assert.equal((await run({ rateLimit, pickSign, confirmSign: rejectSign })).status, 'rejected');
+    }
+    assert.equal(rateLimit.attempts, 0);
+    assert.equal(rateLimit.getLock(), null);
+
+    const result = await run({ rateLimit, pickSign, confirmSign: async () => true });
+    assert.equal(result.status, 'accepted');
+    assert.equal(rateLimit.attempts, 1);
+});
+
+test('locks on the accepted draw that exceeds the limit', async () => {
+    const rateLimit = createRateLimit();
+    for (let i = 0; i < 4; i++) assert.equal((await run({ rateLimit, pickSign })).status, 'accepted');
+    const result = await run({ rateLimit, pickSign });
+    assert.equal(result.status, 'locked');
+    assert.equal(result.lock.reason, 'frequency');
+});
+
+test('refuses to draw while locked, without picking or confirming', async () => {
+    const rateLimit = createRateLimit();
+    rateLimit.lock = { until: Infinity, reason: 'question' };
+    let picked = false;
+    let confirmed = false;
+    const result = await run({
+        rateLimit,
+        pickSign: async () => { picked = true; return { 签号: 1 }; },
+        confirmSign: async () => { confirmed = true; return true; }
+    });
+    assert.equal(result.status, 'locked');
+    assert.equal(result.lock.reason, 'question');
+    assert.equal(picked, false);
+    assert.equal(confirmed, false);
+    assert.equal(rateLimit.attempts, 0);
+});
+
+test('skips confirmation when no sign could be picked', async () => {
+    const rateLimit = createRateLimit();
+    let confirmed = false;
+    const result = await run({ rateLimit, pickSign: async () => null, confirmSign: async () => { confirmed = true; return false; } });
+    assert.equal(result.status, 'accepted'); // The main screen then shows the loading error
+    assert.equal(result.sign, null);
+    assert.equal(confirmed, false);
+});
@@ -0,0 +1,87 @@
+// draw-history.js
+// IndexedDB-backed journal of past draws, exposed as window.DrawHistory.
+(function (root) {
+    const DB_NAME = 'lingqian-db';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'drawHistory';
+
+    let dbPromise = null; // Shared connection promise, opened lazily
+
+    /** @returns {boolean} Whether IndexedDB is available in this browser */
+    function isSupported() {
+        return typeof root.indexedDB !== 'undefined';
+    }
+
+    /**
+     * Opens (and upgrades if needed) the history database.
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+        dbPromise = new Promise((resolve, reject) => {
+            const request = root.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('timestamp', 'timestamp');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null; // Allow a later retry
+                reject(request.error);
+            };
+        });
+        return dbPromise;
+    }
+
+    /**
+     * Runs a single request against the history store and resolves with its result.
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+     * @param {function(IDBObjectStore): IDBRequest} makeRequest - Creates the request to run.
+     * @returns {Promise<*>}
+     */
+    async function runRequest(mode, makeRequest) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = makeRequest(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Records a draw.
+     * @param {{signNumber: number, lang: string, timestamp: number, question: string, luckLevel: number}} entry
+     * @returns {Promise<number>} The id of the new entry.
+     */
+    function addDraw(entry) {
+        return runRequest('readwrite', store => store.add(entry));
+    }
+
+    /**
+     * Merges changes (e.g. the user's question) into an existing entry.
+     * @param {number} id - Entry id returned by addDraw().
+     * @param {object} changes - Fields to overwrite.
+     * @returns {Promise<void>}
+     */
+    async function updateDraw(id, changes) {
+        const existing = await runRequest('readonly', store => store.get(id));
+        if (!existing) return;
+        await runRequest('readwrite', store => store.put(Object.assign(existing, changes)));
+    }
+
+    /**
+     * Lists all recorded draws, newest first.
+     * @returns {Promise<Array<object>>}
+     */
+    async function getAllDraws() {
+        const entries = await runRequest('readonly', store => store.index('timestamp').getAll());
+        return entries.reverse();
+    }
+
+    root.DrawHistory = { isSupported, addDraw, updateDraw, getAllDraws };
+})(window);
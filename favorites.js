@@ -0,0 +1,72 @@
+// favorites.js
+// Bookmarked signs kept in localStorage, exposed as window.Favorites.
+// Entries are keyed by 签号 so they stay valid whichever language deck is loaded.
+(function (root) {
+    const STORAGE_KEY = 'favoriteSigns';
+
+    /** @returns {object} Stored entries keyed by 签号 */
+    function readAll() {
+        try {
+            const stored = JSON.parse(root.localStorage.getItem(STORAGE_KEY));
+            return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+        } catch (error) {
+            console.warn('Failed to read favorites, starting empty:', error);
+            return {};
+        }
+    }
+
+    function writeAll(entries) {
+        root.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    }
+
+    /**
+     * @param {number} signNumber
+     * @returns {boolean} Whether the sign is bookmarked.
+     */
+    function has(signNumber) {
+        return Object.prototype.hasOwnProperty.call(readAll(), signNumber);
+    }
+
+    /**
+     * Bookmarks a sign; an existing bookmark (and its note) is left as is.
+     * @param {number} signNumber
+     * @returns {{signNumber: number, note: string, addedAt: number}} The stored entry.
+     */
+    function add(signNumber) {
+        const entries = readAll();
+        if (!entries[signNumber]) {
+            entries[signNumber] = { signNumber, note: '', addedAt: Date.now() };
+            writeAll(entries);
+        }
+        return entries[signNumber];
+    }
+
+    /** @param {number} signNumber */
+    function remove(signNumber) {
+        const entries = readAll();
+        delete entries[signNumber];
+        writeAll(entries);
+    }
+
+    /**
+     * Saves the personal note of a bookmarked sign.
+     * @param {number} signNumber
+     * @param {string} note
+     */
+    function setNote(signNumber, note) {
+        const entries = readAll();
+        if (!entries[signNumber]) return;
+        entries[signNumber].note = note;
+        writeAll(entries);
+    }
+
+    /**
+     * Lists all bookmarks, most recently added first.
+     * @returns {Array<{signNumber: number, note: string, addedAt: number}>}
+     */
+    function getAll() {
+        return Object.values(readAll()).sort((a, b) => b.addedAt - a.addedAt);
+    }
+
+    root.Favorites = { has, add, remove, setNote, getAll };
+})(window);
@@ -0,0 +1,321 @@
+// mantra-player.js
+// Background mantra player exposed as window.MantraPlayer: sequential/shuffle playlists,
+// per-track repeat counts or endless looping, a fading sleep timer and Media Session
+// (lock screen / headset) controls. Playback is independent of any modal.
+(function (root) {
+    const SLEEP_FADE_DURATION = 8000; // ms of fade-out before the sleep timer stops playback
+    const FADE_STEP_INTERVAL = 200;
+    const MAX_CONSECUTIVE_ERRORS = 5; // Stop skipping unplayable tracks after this many in a row
+
+    /** @typedef {{fileName: string, title: string, sanskrit: string, meaning: string, signNumber: number}} MantraTrack */
+
+    const state = {
+        tracks: [],          // MantraTrack[] in deck order
+        order: [],           // Indices into tracks, in playback order
+        position: -1,        // Current position in order
+        orderMode: 'sequential', // 'sequential' | 'shuffle'
+        repeatCount: 0,      // Plays of each track before advancing; 0 = loop the current track forever
+        playsOfCurrent: 0,   // Completed plays of the current track
+        isPlaying: false,
+        sleepEndsAt: null,   // Timestamp at which the sleep timer stops playback
+        artist: ''
+    };
+
+    const audio = new Audio();
+    audio.preload = 'auto';
+    const listeners = { change: [], repetition: [] };
+    let sleepTimer = null;
+    let fadeTimer = null;
+    let consecutiveErrors = 0;
+
+    function emit(type, detail) {
+        listeners[type].forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`MantraPlayer ${type} listener failed:`, error);
+            }
+        });
+    }
+
+    function notifyChange() {
+        updateMediaSession();
+        emit('change', getState());
+    }
+
+    /** @returns {MantraTrack|null} */
+    function currentTrack() {
+        return state.position >= 0 ? state.tracks[state.order[state.position]] : null;
+    }
+
+    function shuffledIndices(count, firstIndex) {
+        const indices = Array.from({ length: count }, (_, i) => i).filter(i => i !== firstIndex);
+        for (let i = indices.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [indices[i], indices[j]] = [indices[j], indices[i]];
+        }
+        return firstIndex >= 0 ? [firstIndex].concat(indices) : indices;
+    }
+
+    /** Rebuilds the playback order, keeping the current track where playback is */
+    function rebuildOrder() {
+        const currentIndex = state.position >= 0 ? state.order[state.position] : -1;
+        state.order = state.orderMode === 'shuffle'
+            ? shuffledIndices(state.tracks.length, currentIndex)
+            : state.tracks.map((_, i) => i);
+        state.position = currentIndex >= 0 ? state.order.indexOf(currentIndex) : -1;
+    }
+
+    function loadPosition(position) {
+        state.position = position;
+        state.playsOfCurrent = 0;
+        audio.src = `music/${currentTrack().fileName}`;
+    }
+
+    function startAudio() {
+        audio.volume = 1;
+        return audio.play().then(() => {
+            consecutiveErrors = 0;
+            state.isPlaying = true;
+            notifyChange();
+        });
+    }
+
+    /**
+     * Replaces the playlist.
+     * @param {Array<MantraTrack>} tracks
+     * @param {object} [options]
+     * @param {string} [options.artist] - Shown as the artist in Media Session controls.
+     */
+    function setPlaylist(tracks, options = {}) {
+        const track = currentTrack();
+        state.tracks = tracks.slice();
+        if (options.artist !== undefined) state.artist = options.artist;
+        // Keep the current track playing if it is still in the new playlist (e.g. after a language switch)
+        const keptIndex = track ? state.tracks.findIndex(t => t.fileName === track.fileName) : -1;
+        state.order = [];
+        state.position = -1;
+        rebuildOrder();
+        if (keptIndex >= 0) {
+            state.position = state.order.indexOf(keptIndex);
+            if (state.orderMode === 'shuffle') rebuildOrder();
+        } else if (track) {
+            stop();
+        }
+        notifyChange();
+    }
+
+    /**
+     * Starts playing a track of the playlist.
+     * @param {string} [fileName] - Track to start with; defaults to the current or first track.
+     * @returns {Promise<void>} Rejects if the browser refuses to play.
+     */
+    function play(fileName) {
+        if (state.tracks.length === 0) return Promise.reject(new Error('Empty playlist'));
+        cancelFade();
+        const trackIndex = fileName ? state.tracks.findIndex(t => t.fileName === fileName) : -1;
+        if (trackIndex >= 0) {
+            if (state.orderMode === 'shuffle') {
+                state.position = -1;
+                state.order = shuffledIndices(state.tracks.length, trackIndex);
+            }
+            loadPosition(state.order.indexOf(trackIndex));
+        } else if (state.position < 0) {
+            loadPosition(0);
+        }
+        return startAudio();
+    }
+
+    function pause() {
+        audio.pause();
+        state.isPlaying = false;
+        notifyChange();
+    }
+
+    function resume() {
+        if (!currentTrack()) return play();
+        return startAudio();
+    }
+
+    function stop() {
+        cancelFade();
+        audio.pause();
+        audio.removeAttribute('src');
+        audio.load();
+        state.position = -1;
+        state.playsOfCurrent = 0;
+        state.isPlaying = false;
+        setSleepTimer(0);
+        notifyChange();
+    }
+
+    /** Skips to the next track in playback order, wrapping around the playlist */
+    function next() {
+        if (state.tracks.length === 0) return Promise.resolve();
+        loadPosition((state.position + 1) % state.order.length);
+        return startAudio();
+    }
+
+    function previous() {
+        if (state.tracks.length === 0) return Promise.resolve();
+        loadPosition((state.position - 1 + state.order.length) % state.order.length);
+        return startAudio();
+    }
+
+    /** @param {string} mode - 'sequential' or 'shuffle' */
+    function setOrderMode(mode) {
+        state.orderMode = mode === 'shuffle' ? 'shuffle' : 'sequential';
+        rebuildOrder();
+        notifyChange();
+    }
+
+    /** @param {number} count - Plays of each track before advancing; 0 loops the current track forever */
+    function setRepeatCount(count) {
+        state.repeatCount = Math.max(0, parseInt(count, 10) || 0);
+        notifyChange();
+    }
+
+    /**
+     * Stops playback after the given time, fading out over the last seconds.
+     * @param {number} minutes - 0 cancels the timer.
+     */
+    function setSleepTimer(minutes) {
+        clearTimeout(sleepTimer);
+        sleepTimer = null;
+        state.sleepEndsAt = null;
+        if (minutes > 0) {
+            const duration = minutes * 60000;
+            state.sleepEndsAt = Date.now() + duration;
+            sleepTimer = setTimeout(fadeOutAndStop, Math.max(0, duration - SLEEP_FADE_DURATION));
+        }
+        notifyChange();
+    }
+
+    function fadeOutAndStop() {
+        const steps = SLEEP_FADE_DURATION / FADE_STEP_INTERVAL;
+        const startVolume = audio.volume;
+        let step = 0;
+        cancelFade();
+        fadeTimer = setInterval(() => {
+            step++;
+            audio.volume = Math.max(0, startVolume * (1 - step / steps));
+            if (step >= steps) stop(); // Also clears the sleep timer state
+        }, FADE_STEP_INTERVAL);
+    }
+
+    function cancelFade() {
+        clearInterval(fadeTimer);
+        fadeTimer = null;
+        audio.volume = 1;
+    }
+
+    audio.addEventListener('ended', () => {
+        const track = currentTrack();
+        if (!track) return;
+        state.playsOfCurrent++;
+        emit('repetition', { track, playsOfCurrent: state.playsOfCurrent });
+
+        if (state.repeatCount === 0 || state.playsOfCurrent < state.repeatCount) {
+            audio.currentTime = 0;
+            audio.play().catch(error => console.warn('Mantra replay failed:', error));
+            notifyChange();
+        } else {
+            next().catch(error => console.warn('Advancing to next mantra failed:', error));
+        }
+    });
+
+    audio.addEventListener('error', () => {
+        if (!currentTrack()) return; // Error from clearing the source in stop()
+        console.warn(`Mantra audio failed to load: ${audio.src}`);
+        consecutiveErrors++;
+        if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS || state.tracks.length <= 1) {
+            stop();
+            emit('change', Object.assign(getState(), { error: true }));
+            return;
+        }
+        next().catch(() => {}); // Skip missing files
+    });
+
+    // Keep state in sync when the OS pauses or resumes audio (calls, headset buttons)
+    audio.addEventListener('pause', () => {
+        if (state.isPlaying && !audio.ended && currentTrack()) {
+            state.isPlaying = false;
+            notifyChange();
+        }
+    });
+    audio.addEventListener('play', () => {
+        if (!state.isPlaying) {
+            state.isPlaying = true;
+            notifyChange();
+        }
+    });
+
+    function updateMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+        const track = currentTrack();
+        if (!track) {
+            navigator.mediaSession.metadata = null;
+            navigator.mediaSession.playbackState = 'none';
+            return;
+        }
+        if (root.MediaMetadata && (!navigator.mediaSession.metadata || navigator.mediaSession.metadata.title !== track.title)) {
+            navigator.mediaSession.metadata = new MediaMetadata({
+                title: track.title,
+                artist: state.artist,
+                artwork: [{ src: 'icons/icon.svg', sizes: 'any', type: 'image/svg+xml' }]
+            });
+        }
+        navigator.mediaSession.playbackState = state.isPlaying ? 'playing' : 'paused';
+    }
+
+    if ('mediaSession' in navigator) {
+        const handlers = {
+            play: () => resume().catch(error => console.warn('Resuming mantra from media controls failed:', error)),
+            pause: () => pause(),
+            stop: () => stop(),
+            nexttrack: () => next().catch(error => console.warn('Next mantra from media controls failed:', error)),
+            previoustrack: () => previous().catch(error => console.warn('Previous mantra from media controls failed:', error))
+        };
+        Object.keys(handlers).forEach(action => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handlers[action]);
+            } catch (error) {
+                // Action not supported by this browser
+            }
+        });
+    }
+
+    /**
+     * @returns {{track: MantraTrack|null, isPlaying: boolean, orderMode: string, repeatCount: number,
+     *            playsOfCurrent: number, sleepEndsAt: number|null, trackCount: number}}
+     */
+    function getState() {
+        return {
+            track: currentTrack(),
+            isPlaying: state.isPlaying,
+            orderMode: state.orderMode,
+            repeatCount: state.repeatCount,
+            playsOfCurrent: state.playsOfCurrent,
+            sleepEndsAt: state.sleepEndsAt,
+            trackCount: state.tracks.length
+        };
+    }
+
+    /**
+     * Subscribes to player events.
+     * @param {string} type - 'change' (any state change) or 'repetition' (a track finished one play).
+     * @param {function(object): void} listener
+     * @returns {function(): void} Unsubscribes the listener.
+     */
+    function on(type, listener) {
+        listeners[type].push(listener);
+        return () => {
+            listeners[type] = listeners[type].filter(l => l !== listener);
+        };
+    }
+
+    root.MantraPlayer = {
+        setPlaylist, play, pause, resume, stop, next, previous,
+        setOrderMode, setRepeatCount, setSleepTimer, getState, on
+    };
+})(window);
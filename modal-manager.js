@@ -0,0 +1,244 @@
+// modal-manager.js
+// One stack for every modal layer (dialogs, overlays, the catalogue), exposed as window.ModalManager.
+// Each open modal gets a history entry so the browser/Android back button closes the topmost one,
+// plus the dialog semantics keyboard and screen-reader users need: focus moved in, Tab kept inside,
+// Escape to close and focus handed back. The page underneath keeps its scroll position.
+(function (root) {
+    const document = root.document;
+    const TRANSITION_MS = 300; // Matches the opacity transitions of .modal, .moon-block-overlay and #catalogue-screen
+    const TITLE_SELECTOR = '.modal-title, .moon-block-title, .catalogue-title';
+    const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+    const stack = []; // Open modal entries, topmost last
+    let titleCount = 0; // Source of ids for modal titles that have none
+    let savedScrollY = 0;
+    let historyDepth = 0; // Modal history entries currently pushed by us
+    let pendingBack = false; // A history.go() of ours whose popstate hasn't arrived yet
+    const idleCallbacks = []; // History changes waiting for pendingBack to clear
+
+    /** @returns {Array<HTMLElement>} Visible, keyboard-focusable elements inside container */
+    function getFocusableElements(container) {
+        return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR)).filter(el => el.getClientRects().length > 0);
+    }
+
+    function readHistoryDepth(state) {
+        return (state && state.modalDepth) || 0;
+    }
+
+    /**
+     * Brings the modal history entries in line with the stack: one entry per open modal.
+     * Waits while a back navigation of ours is still in flight, since pushing meanwhile would be undone by it.
+     */
+    function syncHistory() {
+        if (pendingBack) return;
+        while (historyDepth < stack.length) {
+            historyDepth++;
+            root.history.pushState(Object.assign({}, root.history.state, { modalDepth: historyDepth }), '');
+        }
+        if (historyDepth > stack.length) {
+            pendingBack = true;
+            root.history.go(stack.length - historyDepth);
+            historyDepth = stack.length;
+        }
+    }
+
+    /**
+     * Runs a history change once our own back navigation has landed; pushing earlier would be undone by it.
+     * @param {function(): void} callback
+     */
+    function runWhenHistoryIdle(callback) {
+        if (pendingBack) idleCallbacks.push(callback);
+        else callback();
+    }
+
+    // Registered before the page's own popstate listeners, so they never see the entries we pop ourselves
+    root.addEventListener('popstate', (e) => {
+        if (pendingBack) {
+            pendingBack = false;
+            e.stopImmediatePropagation();
+            idleCallbacks.splice(0).forEach(callback => callback());
+        } else {
+            // Back/forward by the user: close every modal above the entry navigated to
+            historyDepth = readHistoryDepth(e.state);
+            for (let i = stack.length - 1; i >= historyDepth; i--) closeEntry(stack[i], undefined, 'history');
+        }
+        syncHistory();
+    });
+
+    // Reloading with a modal open leaves its entry behind; the modal itself is gone
+    if (readHistoryDepth(root.history.state) > 0) {
+        root.history.replaceState(Object.assign({}, root.history.state, { modalDepth: 0 }), '');
+    }
+
+    /** Fixes the page in place under the first modal, so it neither scrolls behind it nor jumps when it closes */
+    function lockScroll() {
+        savedScrollY = root.scrollY;
+        document.body.style.top = `-${savedScrollY}px`;
+        document.body.classList.add('modal-open');
+    }
+
+    function unlockScroll() {
+        document.body.classList.remove('modal-open');
+        document.body.style.top = '';
+        root.scrollTo(0, savedScrollY);
+    }
+
+    /** Labels the element as a modal dialog by its title */
+    function applyDialogSemantics(element) {
+        element.setAttribute('role', 'dialog');
+        element.setAttribute('aria-modal', 'true');
+        const title = element.querySelector(TITLE_SELECTOR);
+        if (title) {
+            if (!title.id) title.id = `dialog-title-${++titleCount}`;
+            element.setAttribute('aria-labelledby', title.id);
+        }
+    }
+
+    /** Shows the element with the opening transition */
+    function showElement(element, animate) {
+        clearTimeout(element._modalHideTimer);
+        element.classList.remove('modal-closing', 'hidden');
+        if (!element.isConnected) document.body.appendChild(element);
+        if (!animate) return;
+        element.classList.add('modal-opening');
+        void element.offsetWidth; // Start from the transparent state
+        element.classList.remove('modal-opening');
+    }
+
+    /** Hides the element with the closing transition, then removes it or marks it .hidden */
+    function hideElement(entry, animate) {
+        const element = entry.element;
+        const finish = () => {
+            element.classList.remove('modal-closing');
+            if (entry.removeOnClose) element.remove();
+            else element.classList.add('hidden');
+        };
+        if (!animate) {
+            finish();
+            return;
+        }
+        element.classList.add('modal-closing');
+        element._modalHideTimer = setTimeout(finish, TRANSITION_MS);
+    }
+
+    function restoreFocus(entry) {
+        const target = entry.returnFocusTo;
+        if (target && target.isConnected && typeof target.focus === 'function') target.focus({ preventScroll: true });
+    }
+
+    /** Stops handling an entry's element and hides it; it must already be off the stack */
+    function retire(entry, result, reason) {
+        entry.element.removeEventListener('click', entry.handleClick);
+        hideElement(entry, reason !== 'replaced');
+        if (entry.onClose) entry.onClose(result, reason);
+    }
+
+    /**
+     * Takes an entry off the stack and hides its element.
+     * @param {string} reason - 'close', 'escape', 'backdrop' or 'history'.
+     */
+    function closeEntry(entry, result, reason) {
+        const index = stack.indexOf(entry);
+        if (index === -1) return;
+        stack.splice(index, 1);
+        if (index === stack.length) restoreFocus(entry);
+        if (stack.length === 0) unlockScroll();
+        retire(entry, result, reason);
+    }
+
+    /**
+     * Opens an element as the topmost modal.
+     * A modal already open with the same id is replaced in place: its history entry and the focus
+     * to return to pass to the new one. Opening an element that is already open returns its handle.
+     * @param {HTMLElement} element - Full-screen layer; created elements are appended to the body.
+     * @param {object} [options]
+     * @param {string} [options.id] - Identifies the kind of modal, for replacing and isOpen().
+     * @param {function(*, string): void} [options.onClose] - Gets the result passed to close() (undefined when
+     *        dismissed) and the reason: 'close', 'escape', 'backdrop', 'history' or 'replaced'.
+     * @param {HTMLElement} [options.initialFocus] - Defaults to the first focusable element.
+     * @param {boolean} [options.removeOnClose] - Remove the element when closed rather than adding .hidden;
+     *        defaults to true for elements that were not in the document.
+     * @param {boolean} [options.closeOnBackdrop=true] - Close on clicks on the element itself, outside its content.
+     * @returns {{element: HTMLElement, close: function(*=): void}}
+     */
+    function open(element, options = {}) {
+        const current = stack.find(entry => entry.element === element);
+        if (current) return current.handle;
+
+        const replaced = options.id ? stack.find(entry => entry.id === options.id) : null;
+        const entry = {
+            id: options.id || null,
+            element,
+            onClose: options.onClose,
+            removeOnClose: options.removeOnClose === undefined ? !element.isConnected : options.removeOnClose,
+            closeOnBackdrop: options.closeOnBackdrop !== false,
+            returnFocusTo: replaced ? replaced.returnFocusTo : document.activeElement
+        };
+        entry.handle = { element, close: (result) => close(entry, result) };
+        entry.handleClick = (e) => {
+            if (e.target.closest('.close-modal')) close(entry, undefined);
+            else if (e.target === element && entry.closeOnBackdrop) close(entry, undefined, 'backdrop');
+        };
+
+        if (replaced) {
+            stack[stack.indexOf(replaced)] = entry;
+            retire(replaced, undefined, 'replaced');
+        } else {
+            if (stack.length === 0) lockScroll();
+            stack.push(entry);
+        }
+
+        applyDialogSemantics(element);
+        showElement(element, !replaced);
+        element.addEventListener('click', entry.handleClick);
+        const focusTarget = options.initialFocus || getFocusableElements(element)[0] || element;
+        if (focusTarget === element) element.setAttribute('tabindex', '-1');
+        focusTarget.focus({ preventScroll: true });
+
+        syncHistory();
+        return entry.handle;
+    }
+
+    function close(entry, result, reason = 'close') {
+        if (stack.indexOf(entry) === -1) return;
+        closeEntry(entry, result, reason);
+        syncHistory();
+    }
+
+    /** @returns {boolean} Whether a modal with the given id is open */
+    function isOpen(id) {
+        return stack.some(entry => entry.id === id);
+    }
+
+    // Escape closes and Tab cycles within the topmost modal
+    document.addEventListener('keydown', (e) => {
+        const top = stack[stack.length - 1];
+        if (!top) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            close(top, undefined, 'escape');
+            return;
+        }
+        if (e.key !== 'Tab') return;
+        const focusable = getFocusableElements(top.element);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (!top.element.contains(document.activeElement)) {
+            e.preventDefault();
+            (e.shiftKey ? last : first).focus();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    });
+
+    root.ModalManager = { open, isOpen, runWhenHistoryIdle };
+})(window);
@@ -0,0 +1,359 @@
+// particle-engine.js
+// Theme particles drawn on one full-screen canvas, exposed as window.ParticleEngine.
+// Replaces dozens of CSS-animated DOM nodes: glow sprites are pre-rendered once per type and colour,
+// the particle count drops when frames run over budget, drawing stops while the tab is hidden,
+// and users who prefer reduced motion get a still picture.
+(function (root) {
+    /** "r, g, b" of each sprite colour named by the theme definitions in themes.js */
+    const SPRITE_COLORS = {
+        gold: '255, 215, 0',
+        silver: '192, 192, 192',
+        green: '173, 255, 47',
+        red: '220, 20, 60',
+        purple: '106, 90, 205',
+        lotus: '255, 143, 171'
+    };
+    /** How orbs of each colour move when their layer names no motion (as the old CSS animations did) */
+    const SPRITE_MOTIONS = { gold: 'float', silver: 'pulse', green: 'drift', red: 'flicker', purple: 'fade' };
+    const SPRITE_SIZE = 64; // px of the cached sprite canvases; particles scale them
+
+    const DEFAULT_OPTIONS = {
+        frameBudget: 1000 / 45, // ms per frame; slower averages shed particles
+        sampleFrames: 60,       // Frames averaged before adjusting the particle count
+        minQuality: 0.2,        // Lowest share of each layer's particles kept
+        maxPixelRatio: 2
+    };
+
+    /**
+     * Motions return the offset (px), scale and opacity of a particle at time t (seconds).
+     * Each particle has its own phase and speed so they don't move in step.
+     */
+    const MOTIONS = {
+        float: (p, t) => ({
+            dx: Math.sin(t * p.speed * 0.6 + p.phase) * 20,
+            dy: Math.sin(t * p.speed + p.phase) * 30,
+            scale: 1 + 0.25 * Math.sin(t * p.speed + p.phase),
+            alpha: 0.75 + 0.25 * Math.sin(t * p.speed * 1.3 + p.phase)
+        }),
+        pulse: (p, t) => ({
+            dx: 0,
+            dy: 0,
+            scale: 1.15 + 0.35 * Math.sin(t * p.speed + p.phase),
+            alpha: 0.65 + 0.25 * Math.sin(t * p.speed + p.phase)
+        }),
+        drift: (p, t) => ({
+            dx: Math.sin(t * p.speed * 0.5 + p.phase) * 20,
+            dy: Math.cos(t * p.speed * 0.4 + p.phase) * 10,
+            scale: 1,
+            alpha: 0.65 + 0.15 * Math.sin(t * p.speed + p.phase)
+        }),
+        flicker: (p, t) => ({
+            dx: 0,
+            dy: 0,
+            scale: 1.05 + 0.25 * Math.sin(t * p.speed * 1.7 + p.phase),
+            alpha: 0.5 + 0.15 * Math.sin(t * p.speed * 2.3 + p.phase) + 0.1 * Math.sin(t * p.speed * 5.1 + p.phase)
+        }),
+        fade: (p, t) => ({
+            dx: 0,
+            dy: Math.sin(t * p.speed * 0.5 + p.phase) * 10,
+            scale: 1.05 + 0.15 * Math.sin(t * p.speed * 0.5 + p.phase),
+            alpha: 0.35 + 0.15 * Math.sin(t * p.speed * 0.5 + p.phase)
+        })
+    };
+
+    const spriteCache = {};
+
+    /** @returns {HTMLCanvasElement} A cached SPRITE_SIZE square sprite, drawn on first use */
+    function getSprite(kind, color) {
+        const key = `${kind}|${color}`;
+        if (spriteCache[key]) return spriteCache[key];
+        const canvas = root.document.createElement('canvas');
+        canvas.width = canvas.height = SPRITE_SIZE;
+        const ctx = canvas.getContext('2d');
+        if (ctx) SPRITE_PAINTERS[kind](ctx, SPRITE_SIZE, SPRITE_COLORS[color] || SPRITE_COLORS.gold);
+        spriteCache[key] = canvas;
+        return canvas;
+    }
+
+    /** Paint one sprite into a size×size context; rgb is "r, g, b" */
+    const SPRITE_PAINTERS = {
+        glow(ctx, size, rgb) {
+            const gradient = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+            gradient.addColorStop(0, `rgba(${rgb}, 0.9)`);
+            gradient.addColorStop(0.35, `rgba(${rgb}, 0.45)`);
+            gradient.addColorStop(1, `rgba(${rgb}, 0)`);
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, size, size);
+        },
+        sparkle(ctx, size, rgb) {
+            const center = size / 2;
+            SPRITE_PAINTERS.glow(ctx, size, rgb);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+            ctx.beginPath(); // Four-pointed star
+            for (let i = 0; i < 8; i++) {
+                const radius = i % 2 === 0 ? center : center * 0.15;
+                const angle = (i * Math.PI) / 4;
+                ctx.lineTo(center + Math.cos(angle) * radius, center + Math.sin(angle) * radius);
+            }
+            ctx.fill();
+        },
+        ray(ctx, size, rgb) {
+            // A beam from the left edge (the screen centre once rotated) fading out to the right
+            const gradient = ctx.createLinearGradient(0, 0, size, 0);
+            gradient.addColorStop(0, `rgba(${rgb}, 0.35)`);
+            gradient.addColorStop(1, `rgba(${rgb}, 0)`);
+            ctx.fillStyle = gradient;
+            ctx.beginPath();
+            ctx.moveTo(0, size / 2);
+            ctx.lineTo(size, size * 0.3);
+            ctx.lineTo(size, size * 0.7);
+            ctx.fill();
+        },
+        lantern(ctx, size, rgb) {
+            const center = size / 2;
+            ctx.strokeStyle = 'rgba(255, 215, 0, 0.6)';
+            ctx.beginPath();
+            ctx.moveTo(center, 0);
+            ctx.lineTo(center, size * 0.2);
+            ctx.stroke();
+            const body = ctx.createRadialGradient(center, size * 0.45, 2, center, size * 0.5, size * 0.3);
+            body.addColorStop(0, '#FF6B4A');
+            body.addColorStop(1, `rgb(${rgb})`);
+            ctx.fillStyle = body;
+            ctx.beginPath();
+            ctx.ellipse(center, size * 0.5, size * 0.26, size * 0.3, 0, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#FFD700';
+            ctx.fillRect(center - size * 0.12, size * 0.18, size * 0.24, size * 0.04);
+            ctx.fillRect(center - size * 0.12, size * 0.78, size * 0.24, size * 0.04);
+            ctx.fillRect(center - 1.5, size * 0.82, 3, size * 0.16);
+        },
+        petal(ctx, size, rgb) {
+            ctx.fillStyle = `rgba(${rgb}, 0.85)`;
+            ctx.beginPath();
+            ctx.moveTo(size / 2, size * 0.1);
+            ctx.quadraticCurveTo(size * 0.9, size * 0.5, size / 2, size * 0.9);
+            ctx.quadraticCurveTo(size * 0.1, size * 0.5, size / 2, size * 0.1);
+            ctx.fill();
+        },
+        moon(ctx, size) {
+            const center = size / 2;
+            const halo = ctx.createRadialGradient(center, center, size * 0.3, center, center, center);
+            halo.addColorStop(0, 'rgba(255, 217, 122, 0.5)');
+            halo.addColorStop(1, 'rgba(255, 217, 122, 0)');
+            ctx.fillStyle = halo;
+            ctx.fillRect(0, 0, size, size);
+            const disc = ctx.createRadialGradient(center * 0.85, center * 0.85, 1, center, center, size * 0.3);
+            disc.addColorStop(0, '#FFF8DC');
+            disc.addColorStop(0.6, '#FFD97A');
+            disc.addColorStop(1, '#E0A93B');
+            ctx.fillStyle = disc;
+            ctx.beginPath();
+            ctx.arc(center, center, size * 0.3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    };
+
+    /**
+     * Particle types of themes.js layers: create() sets up a particle (positions are fractions of the
+     * viewport), draw() paints it at time t. slot is its {index, count} among the particles drawn this frame,
+     * which the frame budget may thin out.
+     */
+    const PARTICLE_TYPES = {
+        orb: {
+            create: () => ({ x: Math.random(), y: Math.random(), size: 10 + Math.random() * 30, phase: Math.random() * Math.PI * 2, speed: 0.5 + Math.random() * 0.5 }),
+            draw(ctx, p, t, view, layer) {
+                const motion = MOTIONS[layer.motion || SPRITE_MOTIONS[layer.sprite] || 'float'](p, t);
+                drawSprite(ctx, getSprite('glow', layer.sprite), p.x * view.width + motion.dx, p.y * view.height + motion.dy,
+                    p.size * motion.scale, 0.6 * motion.alpha);
+            }
+        },
+        blob: { // Larger, fainter shapes of the background animation
+            create: () => ({ x: Math.random(), y: Math.random(), size: 20 + Math.random() * 80, phase: Math.random() * Math.PI * 2, speed: 0.3 + Math.random() * 0.3 }),
+            draw(ctx, p, t, view, layer) {
+                const motion = MOTIONS[layer.motion || 'float'](p, t);
+                drawSprite(ctx, getSprite('glow', layer.sprite), p.x * view.width + motion.dx, p.y * view.height + motion.dy,
+                    p.size * motion.scale, 0.45 * motion.alpha);
+            }
+        },
+        sparkle: {
+            create: () => ({ x: Math.random(), y: Math.random(), size: 6 + Math.random() * 12, phase: Math.random() * Math.PI * 2, speed: 1.5 + Math.random() * 4 }),
+            draw(ctx, p, t, view, layer) {
+                const twinkle = Math.max(0, Math.sin(t * p.speed + p.phase));
+                drawSprite(ctx, getSprite('sparkle', layer.sprite), p.x * view.width, p.y * view.height, p.size * (0.6 + 0.4 * twinkle), twinkle);
+            }
+        },
+        ray: {
+            create: index => ({ phase: index * 0.2 }),
+            draw(ctx, p, t, view, layer, slot) {
+                const length = Math.hypot(view.width, view.height) / 2;
+                ctx.save();
+                ctx.translate(view.width / 2, view.height / 2);
+                ctx.rotate((slot.index * Math.PI * 2) / slot.count + t * 0.05); // Evenly around however many are drawn
+                ctx.globalAlpha = 0.5 + 0.3 * Math.sin(t * 0.8 + p.phase);
+                ctx.drawImage(getSprite('ray', layer.sprite), 0, -length * 0.08, length, length * 0.16);
+                ctx.restore();
+            }
+        },
+        lantern: {
+            create: () => ({ x: 0.05 + Math.random() * 0.9, y: Math.random() * 0.3, size: 40 + Math.random() * 20, phase: Math.random() * Math.PI * 2 }),
+            draw(ctx, p, t, view, layer) {
+                ctx.save();
+                ctx.translate(p.x * view.width, p.y * view.height);
+                ctx.rotate(Math.sin(t * 0.8 + p.phase) * 0.1); // Sway from the string
+                ctx.globalAlpha = 0.85;
+                ctx.drawImage(getSprite('lantern', layer.sprite), -p.size / 2, 0, p.size, p.size);
+                ctx.restore();
+            }
+        },
+        petal: {
+            create: () => ({ x: Math.random(), size: 12 + Math.random() * 10, phase: Math.random(), speed: 1 / (8 + Math.random() * 6), spin: 1 + Math.random() * 2 }),
+            draw(ctx, p, t, view, layer) {
+                const progress = (t * p.speed + p.phase) % 1; // Falls from above the top to below the bottom, then starts over
+                ctx.save();
+                ctx.translate(p.x * view.width + Math.sin(progress * Math.PI * 4) * 30, progress * (view.height + 40) - 20);
+                ctx.rotate(progress * Math.PI * 2 * p.spin);
+                ctx.globalAlpha = 0.8 * Math.min(1, progress * 10);
+                ctx.drawImage(getSprite('petal', layer.sprite), -p.size / 2, -p.size / 2, p.size, p.size);
+                ctx.restore();
+            }
+        },
+        moon: {
+            create: () => ({ phase: 0 }),
+            draw(ctx, p, t, view, layer) {
+                const size = Math.min(240, view.width * 0.45);
+                drawSprite(ctx, getSprite('moon', layer.sprite), view.width * 0.85 - size / 2, view.height * 0.12, size, 0.9 + 0.1 * Math.sin(t * 0.5));
+            }
+        }
+    };
+
+    /** Draws a sprite centred on (x, y) */
+    function drawSprite(ctx, sprite, x, y, size, alpha) {
+        ctx.globalAlpha = Math.max(0, Math.min(1, alpha));
+        ctx.drawImage(sprite, x - size / 2, y - size / 2, size, size);
+    }
+
+    /**
+     * Creates a particle renderer on a full-screen canvas.
+     * @param {HTMLCanvasElement} canvas
+     * @param {object} [options] - Overrides of DEFAULT_OPTIONS.
+     * @returns {{setScene: function(?{particles: Array<object>, background: ?object}): void, getQuality: function(): number}}
+     */
+    function create(canvas, options = {}) {
+        const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+        const ctx = canvas.getContext('2d');
+        const reducedMotionQuery = root.matchMedia ? root.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        const view = { width: 0, height: 0 };
+        let layers = []; // [{layer, type, particles}]
+        let frameId = null;
+        let startTime = 0;
+        let lastFrameTime = 0;
+        let frameTimes = [];
+        let quality = 1; // Share of each layer's particles drawn
+
+        const prefersReducedMotion = () => !!(reducedMotionQuery && reducedMotionQuery.matches);
+
+        function resize() {
+            const ratio = Math.min(root.devicePixelRatio || 1, settings.maxPixelRatio);
+            view.width = root.innerWidth;
+            view.height = root.innerHeight;
+            canvas.width = Math.round(view.width * ratio);
+            canvas.height = Math.round(view.height * ratio);
+            if (ctx) ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        }
+
+        function drawFrame(t) {
+            ctx.clearRect(0, 0, view.width, view.height);
+            layers.forEach(entry => {
+                const total = entry.particles.length;
+                const visible = Math.min(total, Math.max(1, Math.ceil(total * quality)));
+                // Every (total / visible)-th particle, so evenly spaced layers like the rays stay symmetric
+                for (let k = 0; k < visible; k++) {
+                    entry.type.draw(ctx, entry.particles[Math.floor((k * total) / visible)], t, view, entry.layer, { index: k, count: visible });
+                }
+            });
+            ctx.globalAlpha = 1;
+        }
+
+        /** Sheds particles while the average frame time is over budget, and wins them back once it recovers */
+        function adjustQuality(now) {
+            if (lastFrameTime) frameTimes.push(Math.min(now - lastFrameTime, 100)); // Ignore stalls like tab switches
+            lastFrameTime = now;
+            if (frameTimes.length < settings.sampleFrames) return;
+            const average = frameTimes.reduce((sum, time) => sum + time, 0) / frameTimes.length;
+            frameTimes = [];
+            if (average > settings.frameBudget) {
+                quality = Math.max(settings.minQuality, quality * 0.75);
+            } else if (average < settings.frameBudget * 0.8 && quality < 1) {
+                quality = Math.min(1, quality + 0.1);
+            }
+        }
+
+        function tick(now) {
+            frameId = root.requestAnimationFrame(tick);
+            adjustQuality(now);
+            drawFrame((now - startTime) / 1000);
+        }
+
+        function stop() {
+            if (frameId !== null) root.cancelAnimationFrame(frameId);
+            frameId = null;
+            lastFrameTime = 0;
+            frameTimes = [];
+        }
+
+        /** Starts the animation loop, or draws a single still frame when motion should not play */
+        function start() {
+            stop();
+            if (!ctx) return;
+            if (layers.length === 0) {
+                ctx.clearRect(0, 0, view.width, view.height);
+                return;
+            }
+            if (prefersReducedMotion()) {
+                drawFrame(0);
+                return;
+            }
+            if (root.document.hidden) return; // visibilitychange starts it
+            frameId = root.requestAnimationFrame(tick);
+        }
+
+        /**
+         * Replaces the particles shown.
+         * @param {?{particles: Array<{type: string, sprite: string, count: number}>, background: ?{sprite: string, motion: string, count: number}}} scene
+         *        Particle layers and background of a theme (see themes.js); null clears the canvas.
+         */
+        function setScene(scene) {
+            const sceneLayers = scene ? scene.particles.slice() : [];
+            if (scene && scene.background) sceneLayers.unshift(Object.assign({ type: 'blob' }, scene.background));
+            layers = sceneLayers.filter(layer => {
+                if (PARTICLE_TYPES[layer.type]) return layer.count > 0;
+                console.warn(`Unknown particle type "${layer.type}"`);
+                return false;
+            }).map(layer => {
+                const type = PARTICLE_TYPES[layer.type];
+                const particles = [];
+                for (let i = 0; i < layer.count; i++) particles.push(type.create(i, layer.count));
+                return { layer, type, particles };
+            });
+            startTime = root.performance.now();
+            start();
+        }
+
+        resize();
+        root.addEventListener('resize', () => {
+            resize();
+            start();
+        });
+        // Nothing is drawn in background tabs
+        root.document.addEventListener('visibilitychange', () => {
+            if (root.document.hidden) stop();
+            else start();
+        });
+        if (reducedMotionQuery && reducedMotionQuery.addEventListener) reducedMotionQuery.addEventListener('change', start);
+
+        return { setScene, getQuality: () => quality };
+    }
+
+    root.ParticleEngine = { create };
+})(window);
@@ -0,0 +1,422 @@
+// qr-code.js
+// Minimal QR Code encoder (byte mode, versions 1-40, error-correction levels L/M/Q/H) that draws
+// onto a canvas. Replaces the QRious CDN script so share cards need no third-party requests.
+// Exposed as window.QRCode in the browser and module.exports in Node.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.QRCode = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const MIN_VERSION = 1;
+    const MAX_VERSION = 40;
+
+    /** formatBits are the two error-correction bits of the format information */
+    const ERROR_CORRECTION_LEVELS = {
+        L: { ordinal: 0, formatBits: 1 },
+        M: { ordinal: 1, formatBits: 0 },
+        Q: { ordinal: 2, formatBits: 3 },
+        H: { ordinal: 3, formatBits: 2 }
+    };
+
+    // ISO/IEC 18004 Table 9, indexed [level ordinal][version]; index 0 is unused
+    const ECC_CODEWORDS_PER_BLOCK = [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    ];
+    const NUM_ERROR_CORRECTION_BLOCKS = [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    ];
+
+    const MASK_CONDITIONS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+
+    function getBit(value, index) {
+        return ((value >>> index) & 1) !== 0;
+    }
+
+    /** @returns {Array<number>} The UTF-8 bytes of text */
+    function toUtf8Bytes(text) {
+        if (typeof TextEncoder === 'function') return Array.from(new TextEncoder().encode(text));
+        return Array.from(unescape(encodeURIComponent(text)), char => char.charCodeAt(0));
+    }
+
+    /** Number of modules available for data and error correction in a version */
+    function getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    function getNumDataCodewords(version, level) {
+        return Math.floor(getNumRawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[level.ordinal][version] * NUM_ERROR_CORRECTION_BLOCKS[level.ordinal][version];
+    }
+
+    /** Bits of the byte-mode character count field */
+    function getCharCountBits(version) {
+        return version <= 9 ? 8 : 16;
+    }
+
+    // --- Reed-Solomon over GF(2^8) with the QR polynomial 0x11D ---
+
+    function gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    function reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let rootValue = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = gfMultiply(result[j], rootValue);
+                if (j + 1 < degree) result[j] ^= result[j + 1];
+            }
+            rootValue = gfMultiply(rootValue, 0x02);
+        }
+        return result;
+    }
+
+    function reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= gfMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    /** Splits data codewords into blocks, appends error correction and interleaves them */
+    function addEccAndInterleave(data, version, level) {
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[level.ordinal][version];
+        const blockEccLength = ECC_CODEWORDS_PER_BLOCK[level.ordinal][version];
+        const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        const divisor = reedSolomonDivisor(blockEccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const dataLength = shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1);
+            const blockData = data.slice(offset, offset + dataLength);
+            offset += dataLength;
+            const ecc = reedSolomonRemainder(blockData, divisor);
+            if (i < numShortBlocks) blockData.push(0); // Placeholder so all blocks line up; skipped below
+            blocks.push(blockData.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    }
+
+    // --- Module matrix ---
+
+    function getAlignmentPatternPositions(version) {
+        if (version === 1) return [];
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let pos = version * 4 + 10; result.length < numAlign; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    }
+
+    function createMatrix(version, level) {
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+        const setFunctionModule = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+        return { version, level, size, modules, isFunction, setFunctionModule };
+    }
+
+    function drawFinderPattern(matrix, x, y) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const xx = x + dx;
+                const yy = y + dy;
+                if (xx >= 0 && xx < matrix.size && yy >= 0 && yy < matrix.size) {
+                    matrix.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    function drawAlignmentPattern(matrix, x, y) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                matrix.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    function drawFormatBits(matrix, mask) {
+        const data = (matrix.level.formatBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const size = matrix.size;
+        const set = matrix.setFunctionModule;
+
+        // Around the top-left finder
+        for (let i = 0; i <= 5; i++) set(8, i, getBit(bits, i));
+        set(8, 7, getBit(bits, 6));
+        set(8, 8, getBit(bits, 7));
+        set(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, getBit(bits, i));
+
+        // Split between the other two finders
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, getBit(bits, i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, getBit(bits, i));
+        set(8, size - 8, true); // Always-dark module
+    }
+
+    function drawVersionBits(matrix) {
+        if (matrix.version < 7) return;
+        let remainder = matrix.version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        const bits = (matrix.version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = getBit(bits, i);
+            const a = matrix.size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            matrix.setFunctionModule(a, b, dark);
+            matrix.setFunctionModule(b, a, dark);
+        }
+    }
+
+    function drawFunctionPatterns(matrix) {
+        const size = matrix.size;
+        for (let i = 0; i < size; i++) {
+            matrix.setFunctionModule(6, i, i % 2 === 0);
+            matrix.setFunctionModule(i, 6, i % 2 === 0);
+        }
+        drawFinderPattern(matrix, 3, 3);
+        drawFinderPattern(matrix, size - 4, 3);
+        drawFinderPattern(matrix, 3, size - 4);
+
+        const positions = getAlignmentPatternPositions(matrix.version);
+        const last = positions.length - 1;
+        positions.forEach((x, i) => {
+            positions.forEach((y, j) => {
+                const overlapsFinder = (i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0);
+                if (!overlapsFinder) drawAlignmentPattern(matrix, x, y);
+            });
+        });
+
+        drawFormatBits(matrix, 0); // Reserves the area; redrawn once the mask is chosen
+        drawVersionBits(matrix);
+    }
+
+    /** Places codewords in the two-column zigzag from the bottom-right corner */
+    function drawCodewords(matrix, codewords) {
+        const size = matrix.size;
+        let bitIndex = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing pattern
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!matrix.isFunction[y][x] && bitIndex < codewords.length * 8) {
+                        matrix.modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+                        bitIndex++;
+                    }
+                }
+            }
+        }
+    }
+
+    /** XORs the data modules with a mask pattern; applying it twice undoes it */
+    function applyMask(matrix, mask) {
+        const condition = MASK_CONDITIONS[mask];
+        for (let y = 0; y < matrix.size; y++) {
+            for (let x = 0; x < matrix.size; x++) {
+                if (!matrix.isFunction[y][x] && condition(x, y)) matrix.modules[y][x] = !matrix.modules[y][x];
+            }
+        }
+    }
+
+    /** Penalty rules N1-N4 of the standard; the mask with the lowest score is used */
+    function getPenaltyScore(matrix) {
+        const size = matrix.size;
+        const modules = matrix.modules;
+        const at = (x, y, horizontal) => (horizontal ? modules[y][x] : modules[x][y]);
+        let penalty = 0;
+
+        // N1: runs of five or more same-coloured modules; N3: finder-like 1:1:3:1:1 patterns
+        const finderLike = [true, false, true, true, true, false, true];
+        [true, false].forEach(horizontal => {
+            for (let line = 0; line < size; line++) {
+                let runColor = null;
+                let runLength = 0;
+                for (let i = 0; i < size; i++) {
+                    const dark = at(i, line, horizontal);
+                    if (dark === runColor) {
+                        runLength++;
+                    } else {
+                        if (runLength >= 5) penalty += 3 + (runLength - 5);
+                        runColor = dark;
+                        runLength = 1;
+                    }
+                    if (i >= 6 && finderLike.every((value, k) => at(i - 6 + k, line, horizontal) === value)) {
+                        const lightBefore = [1, 2, 3, 4].every(k => i - 6 - k < 0 || !at(i - 6 - k, line, horizontal));
+                        const lightAfter = [1, 2, 3, 4].every(k => i + k >= size || !at(i + k, line, horizontal));
+                        if (lightBefore || lightAfter) penalty += 40;
+                    }
+                }
+                if (runLength >= 5) penalty += 3 + (runLength - 5);
+            }
+        });
+
+        // N2: 2x2 blocks of one colour
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) penalty += 3;
+            }
+        }
+
+        // N4: deviation of the dark-module ratio from 50%
+        const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        const percent = (dark * 100) / (size * size);
+        penalty += Math.floor(Math.abs(percent - 50) / 5) * 10;
+        return penalty;
+    }
+
+    /**
+     * Encodes text as a QR code.
+     * @param {string} text - Encoded as UTF-8 in byte mode.
+     * @param {object} [options]
+     * @param {string} [options.level='M'] - Error-correction level: 'L', 'M', 'Q' or 'H'.
+     * @returns {{version: number, size: number, modules: Array<Array<boolean>>}} modules[y][x], true = dark.
+     */
+    function encode(text, options = {}) {
+        const level = ERROR_CORRECTION_LEVELS[(options.level || 'M').toUpperCase()];
+        if (!level) throw new Error(`Unknown error-correction level: ${options.level}`);
+        const bytes = toUtf8Bytes(String(text));
+
+        let version = MIN_VERSION;
+        for (; version <= MAX_VERSION; version++) {
+            const usedBits = 4 + getCharCountBits(version) + bytes.length * 8;
+            if (usedBits <= getNumDataCodewords(version, level) * 8) break;
+        }
+        if (version > MAX_VERSION) throw new Error('Text too long for a QR code');
+
+        // Mode indicator (0100 = byte), character count, data, terminator, padding
+        const bits = [];
+        const appendBits = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        appendBits(0x4, 4);
+        appendBits(bytes.length, getCharCountBits(version));
+        bytes.forEach(byte => appendBits(byte, 8));
+        const capacityBits = getNumDataCodewords(version, level) * 8;
+        appendBits(0, Math.min(4, capacityBits - bits.length));
+        appendBits(0, (8 - bits.length % 8) % 8);
+        for (let padByte = 0xEC; bits.length < capacityBits; padByte ^= 0xEC ^ 0x11) {
+            appendBits(padByte, 8);
+        }
+
+        const dataCodewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            dataCodewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+
+        const matrix = createMatrix(version, level);
+        drawFunctionPatterns(matrix);
+        drawCodewords(matrix, addEccAndInterleave(dataCodewords, version, level));
+
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < MASK_CONDITIONS.length; mask++) {
+            applyMask(matrix, mask);
+            drawFormatBits(matrix, mask);
+            const penalty = getPenaltyScore(matrix);
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            applyMask(matrix, mask);
+        }
+        applyMask(matrix, bestMask);
+        drawFormatBits(matrix, bestMask);
+
+        return { version, size: matrix.size, modules: matrix.modules };
+    }
+
+    /**
+     * Draws a QR code onto a canvas, resizing it to size × size pixels.
+     * @param {HTMLCanvasElement} canvas
+     * @param {string} text
+     * @param {object} [options]
+     * @param {number} [options.size=100] - Canvas width and height in pixels.
+     * @param {string} [options.level='M']
+     * @param {number} [options.margin=4] - Quiet zone, in modules, painted in the background colour.
+     *        Scanners need the 4 the QR spec asks for, more so on dark or patterned surroundings.
+     * @param {string} [options.foreground='#000000']
+     * @param {string} [options.background='#FFFFFF']
+     * @returns {HTMLCanvasElement} The same canvas.
+     */
+    function toCanvas(canvas, text, options = {}) {
+        const size = options.size || 100;
+        const margin = options.margin === undefined ? 4 : options.margin;
+        const qr = encode(text, { level: options.level });
+        const ctx = canvas.getContext('2d');
+        canvas.width = size;
+        canvas.height = size;
+
+        ctx.fillStyle = options.background || '#FFFFFF';
+        ctx.fillRect(0, 0, size, size);
+        ctx.fillStyle = options.foreground || '#000000';
+        const moduleSize = size / (qr.size + margin * 2);
+        // Round module edges to whole pixels so neighbouring modules leave no hairline gaps
+        const edge = index => Math.round((index + margin) * moduleSize);
+        for (let y = 0; y < qr.size; y++) {
+            for (let x = 0; x < qr.size; x++) {
+                if (qr.modules[y][x]) ctx.fillRect(edge(x), edge(y), edge(x + 1) - edge(x), edge(y + 1) - edge(y));
+            }
+        }
+        return canvas;
+    }
+
+    return { encode, toCanvas };
+});
@@ -0,0 +1,144 @@
+// rate-limit.js
+// Configurable attempt throttling kept in localStorage, exposed as window.RateLimit.
+// A policy locks after too many attempts inside any of its sliding windows, lengthens the lock
+// for repeat offences, and can lock when the same question is asked again during a cooldown.
+(function (root) {
+    /**
+     * @typedef {object} RateLimitConfig
+     * @property {string} storageKey - localStorage key of the policy state.
+     * @property {Array<{duration: number, maxAttempts: number}>} windows - More than maxAttempts
+     *           attempts within duration ms triggers a lock.
+     * @property {Array<number>} lockDurations - Lock length in ms for the 1st, 2nd, ... offence; the last repeats.
+     * @property {number} offenceMemory - ms after which an offence no longer counts towards escalation.
+     * @property {number} [questionCooldown] - ms during which asking the same question for another attempt locks.
+     */
+
+    /** @typedef {{until: number, reason: string, offence: number}} RateLimitLock - reason is 'frequency' or 'question' */
+
+    /** @returns {string} The question reduced to what makes two questions "the same" */
+    function normalizeQuestion(question) {
+        return String(question || '').trim().replace(/\s+/g, ' ').replace(/[\s。．.？?！!，,]+$/, '').toLowerCase();
+    }
+
+    /**
+     * Creates a rate-limit policy.
+     * @param {RateLimitConfig} config
+     * @returns {{getLock: function(number=): (RateLimitLock|null), recordAttempt: function(number=): (RateLimitLock|null),
+     *            recordQuestion: function(string, *, number=): (RateLimitLock|null),
+     *            importLock: function(number, string=, number=): (RateLimitLock|null)}}
+     */
+    function createPolicy(config) {
+        const emptyState = () => ({ attempts: [], offences: [], lock: null, questions: {} });
+
+        function readState() {
+            try {
+                const stored = JSON.parse(root.localStorage.getItem(config.storageKey));
+                return stored && typeof stored === 'object' ? Object.assign(emptyState(), stored) : emptyState();
+            } catch (error) {
+                console.warn('Failed to read rate-limit state, starting empty:', error);
+                return emptyState();
+            }
+        }
+
+        function writeState(state) {
+            root.localStorage.setItem(config.storageKey, JSON.stringify(state));
+        }
+
+        /** Drops attempts, offences and questions too old to matter */
+        function prune(state, now) {
+            const longestWindow = Math.max(0, ...config.windows.map(limit => limit.duration));
+            state.attempts = state.attempts.filter(timestamp => now - timestamp <= longestWindow);
+            state.offences = state.offences.filter(timestamp => now - timestamp <= config.offenceMemory);
+            Object.keys(state.questions).forEach(key => {
+                if (!config.questionCooldown || now - state.questions[key].askedAt > config.questionCooldown) delete state.questions[key];
+            });
+            if (state.lock && state.lock.until <= now) state.lock = null;
+        }
+
+        function startLock(state, now, reason, duration) {
+            state.offences.push(now);
+            state.attempts = [];
+            state.lock = { until: now + duration, reason, offence: state.offences.length };
+            return state.lock;
+        }
+
+        /**
+         * @param {number} [now=Date.now()]
+         * @returns {RateLimitLock|null} The active lock, if any.
+         */
+        function getLock(now = Date.now()) {
+            const lock = readState().lock;
+            return lock && lock.until > now ? lock : null;
+        }
+
+        /**
+         * Counts an attempt, locking if it exceeds any window. Attempts made while locked are not counted.
+         * @param {number} [now=Date.now()]
+         * @returns {RateLimitLock|null} The lock now in force, or null if the attempt may proceed.
+         */
+        function recordAttempt(now = Date.now()) {
+            const state = readState();
+            prune(state, now);
+            if (state.lock) return state.lock;
+
+            state.attempts.push(now);
+            const exceeded = config.windows.some(limit =>
+                state.attempts.filter(timestamp => now - timestamp <= limit.duration).length > limit.maxAttempts);
+            let lock = null;
+            if (exceeded) {
+                const durations = config.lockDurations;
+                lock = startLock(state, now, 'frequency', durations[Math.min(state.offences.length, durations.length - 1)]);
+            }
+            writeState(state);
+            return lock;
+        }
+
+        /**
+         * Records the question asked for an attempt. Asking the same question for a different
+         * attempt within the cooldown locks until the cooldown since it was first asked ends.
+         * @param {string} question
+         * @param {*} attemptKey - Identifies the attempt (e.g. the drawn sign), so re-asking for the same one is allowed.
+         * @param {number} [now=Date.now()]
+         * @returns {RateLimitLock|null} The lock started, if any.
+         */
+        function recordQuestion(question, attemptKey, now = Date.now()) {
+            const key = normalizeQuestion(question);
+            if (!key || !config.questionCooldown) return null;
+            const state = readState();
+            prune(state, now);
+
+            const previous = state.questions[key];
+            let lock = null;
+            if (previous && previous.attemptKey !== attemptKey) {
+                const remaining = previous.askedAt + config.questionCooldown - now;
+                if (!state.lock || state.lock.until < now + remaining) lock = startLock(state, now, 'question', remaining);
+            } else if (!previous) {
+                state.questions[key] = { askedAt: now, attemptKey };
+            }
+            writeState(state);
+            return lock;
+        }
+
+        /**
+         * Adopts a lock kept elsewhere (e.g. by an older throttle being migrated), counting it as an offence.
+         * A lock already in force that lasts longer wins.
+         * @param {number} until - Timestamp the lock ends at; past timestamps are ignored.
+         * @param {string} [reason='frequency']
+         * @param {number} [now=Date.now()]
+         * @returns {RateLimitLock|null} The lock now in force.
+         */
+        function importLock(until, reason = 'frequency', now = Date.now()) {
+            const state = readState();
+            prune(state, now);
+            if (until > now && (!state.lock || state.lock.until < until)) {
+                startLock(state, now, reason, until - now);
+                writeState(state);
+            }
+            return state.lock;
+        }
+
+        return { getLock, recordAttempt, recordQuestion, importLock };
+    }
+
+    root.RateLimit = { createPolicy };
+})(window);
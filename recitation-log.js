@@ -0,0 +1,40 @@
+// recitation-log.js
+// Lifetime mantra recitation totals kept in localStorage, exposed as window.RecitationLog.
+// Totals are keyed by the mantra's audio file name (文件名), which is the same in every language deck.
+(function (root) {
+    const STORAGE_KEY = 'mantraRecitationTotals';
+
+    /** @returns {object} Totals keyed by file name */
+    function readAll() {
+        try {
+            const stored = JSON.parse(root.localStorage.getItem(STORAGE_KEY));
+            return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+        } catch (error) {
+            console.warn('Failed to read recitation totals, starting empty:', error);
+            return {};
+        }
+    }
+
+    /**
+     * @param {string} fileName - The mantra's 文件名.
+     * @returns {number} Recitations recorded so far.
+     */
+    function getTotal(fileName) {
+        return readAll()[fileName] || 0;
+    }
+
+    /**
+     * Adds recitations to a mantra's total.
+     * @param {string} fileName - The mantra's 文件名.
+     * @param {number} [count=1]
+     * @returns {number} The new total.
+     */
+    function add(fileName, count = 1) {
+        const totals = readAll();
+        totals[fileName] = (totals[fileName] || 0) + count;
+        root.localStorage.setItem(STORAGE_KEY, JSON.stringify(totals));
+        return totals[fileName];
+    }
+
+    root.RecitationLog = { getTotal, add };
+})(window);
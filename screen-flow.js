@@ -0,0 +1,147 @@
+// screen-flow.js
+// A small state machine for full-screen views (splash, loading, main...).
+// Each screen declares which screens it may move to; a transition runs the target screen's enter
+// function, whose waits are cancelled when a newer transition supersedes it. History entries are
+// written through an optional adapter, so the machine itself needs no DOM and can run in isolation.
+// Exposed as window.ScreenFlow in the browser and module.exports in Node (see screen-flow.test.js).
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.ScreenFlow = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /** Rejection reason of wait() once a transition has been superseded */
+    const CANCELLED = { cancelled: true };
+
+    /**
+     * @typedef {object} ScreenTransition
+     * @property {string} from
+     * @property {string} to
+     * @property {object|null} data - Stored with the history entry; must be serializable.
+     * @property {object} params - Passed to enter() only, never stored.
+     * @property {function(number): Promise<void>} wait - Resolves after ms; rejects if the transition is superseded meanwhile.
+     * @property {function(): boolean} isCancelled
+     */
+
+    /**
+     * @typedef {object} ScreenDefinition
+     * @property {Array<string>} next - Screens this one may move to. Listing itself allows re-entering with new data.
+     * @property {function(ScreenTransition): (Promise|void)} enter - Shows the screen.
+     */
+
+    function sameData(a, b) {
+        return JSON.stringify(a || null) === JSON.stringify(b || null);
+    }
+
+    /**
+     * Creates a screen state machine.
+     * @param {object} config
+     * @param {string} config.initial - Screen showing when the page loads; enter() is not run for it.
+     * @param {Object<string, ScreenDefinition>} config.screens
+     * @param {{push: function(object): void, replace: function(object): void}} [config.history] - Receives
+     *        {screen, screenData} entries; without it the machine keeps no history.
+     * @returns {{getState: function(): string, getData: function(): (object|null), isTransitioning: function(): boolean,
+     *            can: function(string): boolean, isAt: function(string, object=): boolean,
+     *            go: function(string, object=): Promise<boolean>}}
+     */
+    function createMachine(config) {
+        let state = config.initial;
+        let data = null;
+        let current = null; // The transition in progress, if any
+
+        if (config.history) config.history.replace({ screen: state, screenData: data });
+
+        /** @returns {boolean} Whether go(to) would be accepted now */
+        function can(to) {
+            const screen = config.screens[to];
+            if (!screen) return false;
+            if (to === state) return current === null && config.screens[state].next.includes(to);
+            return config.screens[state].next.includes(to);
+        }
+
+        /** @returns {boolean} Whether the machine is on (or moving to) screen with the given data */
+        function isAt(screen, screenData) {
+            return state === screen && sameData(data, screenData);
+        }
+
+        function createTransition(from, to, options) {
+            const timers = new Set();
+            const rejects = new Set();
+            let cancelled = false;
+            return {
+                from,
+                to,
+                data: options.data || null,
+                params: options.params || {},
+                wait(ms) {
+                    if (cancelled) return Promise.reject(CANCELLED);
+                    return new Promise((resolve, reject) => {
+                        const timer = setTimeout(() => {
+                            timers.delete(timer);
+                            rejects.delete(reject);
+                            resolve();
+                        }, ms);
+                        timers.add(timer);
+                        rejects.add(reject);
+                    });
+                },
+                isCancelled: () => cancelled,
+                cancel() {
+                    cancelled = true;
+                    timers.forEach(clearTimeout);
+                    rejects.forEach(reject => reject(CANCELLED));
+                    timers.clear();
+                    rejects.clear();
+                }
+            };
+        }
+
+        /**
+         * Moves to another screen. Refused if the current screen doesn't list the target, or if it is
+         * already the screen being shown or moved to (so double taps start one transition only).
+         * A transition still running is cancelled in favour of the new one.
+         * @param {string} to
+         * @param {object} [options]
+         * @param {object} [options.data] - Serializable screen data, kept in the history entry.
+         * @param {object} [options.params] - Extra values for enter(), not kept.
+         * @param {string} [options.history='push'] - 'push', 'replace' or 'none'.
+         * @returns {Promise<boolean>} True once the screen has fully entered; false if refused or superseded.
+         */
+        async function go(to, options = {}) {
+            if (!can(to)) return false;
+            if (current) current.cancel();
+
+            const transition = createTransition(state, to, options);
+            current = transition;
+            state = to;
+            data = transition.data;
+
+            const historyMode = options.history || 'push';
+            if (config.history && historyMode !== 'none') {
+                config.history[historyMode === 'replace' ? 'replace' : 'push']({ screen: to, screenData: data });
+            }
+
+            try {
+                await config.screens[to].enter(transition);
+            } catch (error) {
+                if (error !== CANCELLED) throw error;
+            } finally {
+                if (current === transition) current = null;
+            }
+            return !transition.isCancelled();
+        }
+
+        return {
+            getState: () => state,
+            getData: () => data,
+            isTransitioning: () => current !== null,
+            can,
+            isAt,
+            go
+        };
+    }
+
+    return { createMachine };
+});
@@ -0,0 +1,129 @@
+// screen-flow.test.js
+// Tests for screen-flow.js, run with Node 18 or later:
+//     node --test screen-flow.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMachine } = require('./screen-flow.js');
+
+/** A machine over the app's screen graph whose enter functions only log, plus its history adapter's log */
+function createTestMachine(enterOverrides = {}) {
+    const entered = [];
+    const history = [];
+    const enter = name => enterOverrides[name] || (transition => { entered.push(`${transition.from}>${name}`); });
+    const machine = createMachine({
+        initial: 'splash',
+        screens: {
+            splash: { next: ['loading', 'main'], enter: enter('splash') },
+            loading: { next: ['main', 'splash'], enter: enter('loading') },
+            main: { next: ['main', 'loading', 'splash'], enter: enter('main') }
+        },
+        history: {
+            push: entry => history.push(['push', entry]),
+            replace: entry => history.push(['replace', entry])
+        }
+    });
+    return { machine, entered, history };
+}
+
+test('writes the initial screen with replace', () => {
+    const { machine, history } = createTestMachine();
+    assert.equal(machine.getState(), 'splash');
+    assert.deepEqual(history, [['replace', { screen: 'splash', screenData: null }]]);
+});
+
+test('follows only the transitions a screen lists', async () => {
+    const { machine, entered } = createTestMachine();
+    assert.equal(machine.can('main'), true);
+    assert.equal(await machine.go('loading'), true);
+    assert.equal(machine.can('loading'), false); // Loading doesn't list itself
+    assert.equal(await machine.go('loading'), false);
+    assert.equal(await machine.go('nowhere'), false);
+    assert.equal(machine.getState(), 'loading');
+    assert.deepEqual(entered, ['splash>loading']);
+});
+
+test('re-enters a self-listed screen with new data only when idle', async () => {
+    const { machine, entered } = createTestMachine();
+    await machine.go('main', { data: { signNumber: 1 } });
+    assert.equal(await machine.go('main', { data: { signNumber: 2 } }), true);
+    assert.equal(machine.isAt('main', { signNumber: 2 }), true);
+    assert.equal(machine.isAt('main', { signNumber: 1 }), false);
+    assert.deepEqual(entered, ['splash>main', 'main>main']);
+});
+
+test('refuses a double tap while the first transition runs', async () => {
+    let finishEnter;
+    const { machine } = createTestMachine({
+        main: () => new Promise(resolve => { finishEnter = resolve; })
+    });
+    const first = machine.go('main', { data: { signNumber: 7 } });
+    assert.equal(machine.isTransitioning(), true);
+    assert.equal(await machine.go('main', { data: { signNumber: 7 } }), false);
+    finishEnter();
+    assert.equal(await first, true);
+    assert.equal(machine.isTransitioning(), false);
+});
+
+test('cancels the waits of a superseded transition', async () => {
+    const steps = [];
+    const { machine } = createTestMachine({
+        loading: async transition => {
+            steps.push('loading started');
+            await transition.wait(50);
+            steps.push('loading finished'); // Never reached: main supersedes it
+        }
+    });
+    const loading = machine.go('loading');
+    const main = machine.go('main');
+    assert.equal(await loading, false);
+    assert.equal(await main, true);
+    assert.equal(machine.getState(), 'main');
+    await new Promise(resolve => setTimeout(resolve, 80));
+    assert.deepEqual(steps, ['loading started']);
+});
+
+test('rejects wait() at once after cancellation', async () => {
+    let loadingTransition;
+    const { machine } = createTestMachine({
+        loading: async transition => {
+            loadingTransition = transition;
+            await transition.wait(1000);
+        }
+    });
+    const pending = machine.go('loading');
+    await machine.go('splash');
+    assert.equal(await pending, false);
+    assert.equal(loadingTransition.isCancelled(), true);
+    await assert.rejects(loadingTransition.wait(10), error => error.cancelled === true);
+});
+
+test('writes history through the adapter by mode', async () => {
+    const { machine, history } = createTestMachine();
+    await machine.go('loading');
+    await machine.go('main', { data: { signNumber: 3 }, history: 'replace' });
+    await machine.go('splash', { history: 'none' });
+    assert.deepEqual(history, [
+        ['replace', { screen: 'splash', screenData: null }],
+        ['push', { screen: 'loading', screenData: null }],
+        ['replace', { screen: 'main', screenData: { signNumber: 3 } }]
+    ]);
+});
+
+test('passes params to enter() without storing them', async () => {
+    let received;
+    const { machine, history } = createTestMachine({
+        main: transition => { received = transition.params; }
+    });
+    await machine.go('main', { data: { signNumber: 9 }, params: { isNewDraw: true } });
+    assert.deepEqual(received, { isNewDraw: true });
+    assert.deepEqual(machine.getData(), { signNumber: 9 });
+    assert.deepEqual(history[history.length - 1], ['push', { screen: 'main', screenData: { signNumber: 9 } }]);
+});
+
+test('rethrows errors from enter() other than cancellation', async () => {
+    const { machine } = createTestMachine({
+        loading: () => { throw new Error('boom'); }
+    });
+    await assert.rejects(machine.go('loading'), /boom/);
+    assert.equal(machine.isTransitioning(), false);
+});
@@ -9,14 +9,28 @@ document.addEventListener('DOMContentLoaded', async () => {
     const resultBox = document.querySelector('.result-box');
     const drawBtn = document.getElementById('draw-btn');
     const shareBtn = document.getElementById('share-btn'); // New Share Button
+    const historyBtn = document.getElementById('history-btn');
+    const favoritesBtn = document.getElementById('favorites-btn');
+    const favoriteToggleBtn = document.getElementById('favorite-toggle');
+    const nowPlayingBar = document.getElementById('now-playing-bar');
+    const catalogueBtns = document.querySelectorAll('.catalogue-open-btn');
+    const catalogueScreen = document.getElementById('catalogue-screen');
+    const catalogueSearchInput = document.getElementById('catalogue-search');
+    const catalogueLuckFilter = document.getElementById('catalogue-luck-filter');
+    const catalogueCategoryFilter = document.getElementById('catalogue-category-filter');
+    const catalogueList = document.getElementById('catalogue-list');
+    const catalogueCount = document.getElementById('catalogue-count');
+    const moonBlockToggleBtn = document.getElementById('moon-block-toggle');
     const actionBtns = document.querySelectorAll('.action-btn');
     const btnExample = document.getElementById('btn-example');
-    const langSwitcherBtns = document.querySelectorAll('.lang-btn');
+    const langSwitcherContainer = document.querySelector('.lang-switcher');
     const splashTextOverlay = document.getElementById('splash-text-overlay');
+    const loadingDrawBtn = loadingScreen.querySelector('.loading-draw-btn');
+    const a11yStatusRegion = document.getElementById('a11y-status');
+    const a11yAlertRegion = document.getElementById('a11y-alert');
 
     // Image Preview Modal Elements
     const imagePreviewModal = document.getElementById('image-preview-modal');
-    const closePreviewModalBtn = document.getElementById('close-preview-modal');
     const previewImageElement = document.getElementById('preview-image');
     const shareImageRenderContainer = document.getElementById('share-image-render-container');
 
@@ -26,37 +40,232 @@ document.addEventListener('DOMContentLoaded', async () => {
     let currentLang = 'zh'; // Default language
     let translations = {};   // Store UI translations
     let signDataStore = {}; // Store sign data for different languages
-    let globalAudio = null; // Global audio object for mantra playback
     let textOverlayTimeoutId = null; // Timeout ID for text overlay animation cleanup
-    let isDataLoading = false; // Flag to prevent multiple simultaneous data loads
-    let dataLoadPromise = null; // Promise for ongoing data load
+    let dataLoadPromises = {}; // In-flight sign data loads, keyed by language, to prevent duplicate fetches
+    let languageRegistry = null; // Contents of lang/index.json
     let currentUserRequest = ''; // Store the user's request
+    // Local servers, file:// copies and ?debug URLs get extra console diagnostics (e.g. sign data schema checks)
+    const isDevMode = ['localhost', '127.0.0.1', ''].includes(window.location.hostname) || new URLSearchParams(window.location.search).has('debug');
+    let currentHistoryEntryId = null; // DrawHistory id of the sign drawn on this visit, if any
+    let isDrawInProgress = false; // Guards the loading-screen tap against repeated draws
+    let lockCountdownTimer = null; // Ticks the countdown on the locked loading screen
+    let currentTheme = null; // Themes.resolve() result applied to the page; null for the default look
+    // ?festival=<id> (or =none) previews a festival theme on development builds
+    const festivalPreview = isDevMode ? new URLSearchParams(window.location.search).get('festival') : null;
+    // Draws the theme's particles and background shapes (see particle-engine.js)
+    const themeParticles = ParticleEngine.create(document.getElementById('effects-canvas'));
+
+    // --- Draw Rate Limit ---
+
+    const DRAW_RATE_LIMIT_CONFIG = {
+        storageKey: 'drawRateLimit',
+        windows: [{ duration: 4 * 60 * 1000, maxAttempts: 4 }], // More than 4 draws (a first draw and 3 redraws) in 4 minutes locks drawing
+        lockDurations: [30 * 60 * 1000, 60 * 60 * 1000, 3 * 60 * 60 * 1000], // 1st, 2nd, 3rd and later offences
+        offenceMemory: 24 * 60 * 60 * 1000, // Offences older than a day no longer lengthen the lock
+        // The same question asked for another sign within this locks drawing. Questions are only asked
+        // when sharing a card (the draw itself takes none), so this applies to users who share.
+        questionCooldown: 30 * 60 * 1000
+    };
+    const drawRateLimit = RateLimit.createPolicy(DRAW_RATE_LIMIT_CONFIG);
+    // Keys of the previous hard-coded throttle, superseded by DRAW_RATE_LIMIT_CONFIG.storageKey;
+    // a lock it still had running carries over
+    const legacyLockUntil = parseInt(localStorage.getItem('drawBtnLockUntil'), 10);
+    if (legacyLockUntil) drawRateLimit.importLock(legacyLockUntil, 'frequency');
+    localStorage.removeItem('drawBtnLockUntil');
+    localStorage.removeItem('drawBtnClicks');
+
+    // --- Screen Flow ---
+
+    // splash → loading (or locked) → main, and back again from the draw button or the browser's back button.
+    // Each screen's enter function lives with the core application logic below.
+    const screenFlow = ScreenFlow.createMachine({
+        initial: 'splash',
+        screens: {
+            splash: { next: ['loading', 'locked', 'main'], enter: enterSplashScreen },
+            loading: { next: ['main', 'locked', 'splash'], enter: enterLoadingScreen },
+            locked: { next: ['loading', 'main', 'splash'], enter: enterLoadingScreen },
+            main: { next: ['main', 'loading', 'locked', 'splash'], enter: enterMainScreen }
+        },
+        history: {
+            // Waits for modals closing by history.back() first, or their back navigation would undo ours
+            push: entry => ModalManager.runWhenHistoryIdle(() => history.pushState(Object.assign({}, history.state, entry), '')),
+            replace: entry => ModalManager.runWhenHistoryIdle(() => history.replaceState(Object.assign({}, history.state, entry), ''))
+        }
+    });
+
+    // --- Language Registry ---
+
+    // Used when lang/index.json cannot be loaded, so the app still works in Chinese
+    const FALLBACK_LANGUAGE_REGISTRY = {
+        baseLang: 'zh',
+        defaultLang: 'zh',
+        languages: [
+            { code: 'zh', name: '中文', locale: 'zh-CN', aliases: ['zh'], dataFile: 'data.json', translationFile: 'lang/zh.json', fallback: [], fonts: {} }
+        ]
+    };
+
+    /**
+     * Loads the language registry (lang/index.json), which lists each language's
+     * display name, data file, translation file, fonts and fallback chain.
+     * @returns {Promise<object>} The registry.
+     */
+    async function loadLanguageRegistry() {
+        try {
+            const response = await fetch('lang/index.json');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const registry = await response.json();
+            if (!registry || !Array.isArray(registry.languages) || registry.languages.length === 0) {
+                throw new Error('registry has no languages');
+            }
+            languageRegistry = registry;
+        } catch (error) {
+            console.error('Failed to load language registry (lang/index.json). Using Chinese only.', error);
+            languageRegistry = FALLBACK_LANGUAGE_REGISTRY;
+        }
+        return languageRegistry;
+    }
+
+    /**
+     * @param {string} lang - Language code.
+     * @returns {object|null} The registry entry for the language, or null if it isn't registered.
+     */
+    function getLanguageConfig(lang) {
+        return languageRegistry.languages.find(language => language.code === lang) || null;
+    }
+
+    /** @returns {Array<string>} Codes of all registered languages, in registry order */
+    function getSupportedLangs() {
+        return languageRegistry.languages.map(language => language.code);
+    }
+
+    /**
+     * Expands a language's fallback chain: the language itself, its fallbacks (recursively),
+     * and finally the base language every deck is aligned to.
+     * @param {string} lang - Language code.
+     * @returns {Array<string>} Registered language codes to try, in order.
+     */
+    function getLanguageChain(lang) {
+        const chain = [];
+        const visit = (code) => {
+            const config = getLanguageConfig(code);
+            if (!config || chain.includes(code)) return;
+            chain.push(code);
+            (config.fallback || []).forEach(visit);
+        };
+        visit(lang);
+        if (!chain.includes(languageRegistry.baseLang)) visit(languageRegistry.baseLang);
+        return chain;
+    }
+
+    /**
+     * Picks the registered language that best matches the browser's preferred languages.
+     * Tags are matched against each language's code and aliases, dropping subtags
+     * from the end (zh-Hant-TW -> zh-Hant -> zh) until one matches.
+     * @returns {string} Language code.
+     */
+    function matchBrowserLanguage() {
+        const browserLangs = (navigator.languages && navigator.languages.length > 0) ? navigator.languages : [navigator.language || ''];
+        for (const tag of browserLangs) {
+            const subtags = tag.toLowerCase().split('-');
+            for (let length = subtags.length; length > 0; length--) {
+                const candidate = subtags.slice(0, length).join('-');
+                const match = languageRegistry.languages.find(language =>
+                    [language.code, ...(language.aliases || [])].some(alias => alias.toLowerCase() === candidate));
+                if (match) return match.code;
+            }
+        }
+        return getLanguageConfig(languageRegistry.defaultLang) ? languageRegistry.defaultLang : languageRegistry.baseLang;
+    }
+
+    /** Builds the language switcher buttons from the registry */
+    function renderLanguageSwitcher() {
+        if (!langSwitcherContainer) return;
+        langSwitcherContainer.innerHTML = '';
+        languageRegistry.languages.forEach(language => {
+            const btn = document.createElement('button');
+            btn.className = 'lang-btn';
+            btn.setAttribute('data-lang', language.code);
+            btn.textContent = language.name;
+            btn.addEventListener('click', () => {
+                if (language.code !== currentLang) {
+                    setLanguage(language.code);
+                }
+            });
+            langSwitcherContainer.appendChild(btn);
+        });
+    }
+
+    /** Applies the current language's fonts (body/heading CSS variables) from the registry */
+    function applyLanguageFonts() {
+        const fonts = (getLanguageConfig(currentLang) || {}).fonts || {};
+        const rootStyle = document.documentElement.style;
+        if (fonts.body) rootStyle.setProperty('--lang-font-body', fonts.body);
+        else rootStyle.removeProperty('--lang-font-body');
+        if (fonts.heading) rootStyle.setProperty('--lang-font-heading', fonts.heading);
+        else rootStyle.removeProperty('--lang-font-heading');
+        document.documentElement.classList.toggle('has-lang-heading-font', !!fonts.heading);
+    }
+
+    // --- Script Conversion (e.g. Simplified -> Traditional) ---
+
+    // Sign fields that must keep their original characters (file names point at music/)
+    const SIGN_FIELDS_NOT_CONVERTED = ['文件名'];
+
+    /**
+     * Runs a registry "convert" converter over every string value of an object (recursively).
+     * Object keys are left alone because the code looks fields up by their Simplified names.
+     * @param {object} source - Translations or a sign entry.
+     * @param {string} converterName - Converter name from lang/index.json (e.g. 's2t').
+     * @param {Array<string>} [skipKeys] - Keys whose values are copied unconverted.
+     * @returns {object} A converted copy.
+     */
+    function convertTextValues(source, converterName, skipKeys = []) {
+        if (!window.ChineseConverter || !ChineseConverter.hasConverter(converterName)) {
+            console.warn(`Text converter "${converterName}" is not available; showing unconverted text.`);
+            return source;
+        }
+        const convertValue = (value, key) => {
+            if (skipKeys.includes(key)) return value;
+            if (typeof value === 'string') return ChineseConverter.convert(value, converterName);
+            if (Array.isArray(value)) return value.map(item => convertValue(item));
+            if (value && typeof value === 'object') {
+                const converted = {};
+                Object.keys(value).forEach(childKey => { converted[childKey] = convertValue(value[childKey], childKey); });
+                return converted;
+            }
+            return value;
+        };
+        return convertValue(source);
+    }
 
     // --- Language Handling Core Functions ---
 
     /**
-     * Loads UI translation file (lang/xx.json) for the specified language.
-     * Falls back to Chinese ('zh') if the requested language file fails to load.
+     * Loads the UI translation file for the specified language.
+     * Walks the language's fallback chain if the file fails to load.
      * @param {string} lang - Language code (e.g., 'zh', 'en').
      * @returns {Promise<object>} The translations object.
      */
     async function loadTranslations(lang) {
-        try {
-            const response = await fetch(`lang/${lang.toLowerCase()}.json?v=${new Date().getTime()}`);
-            if (!response.ok) {
-                console.warn(`Translations for ${lang} not found or failed to load. Falling back to 'zh'.`);
-                if (lang !== 'zh') { return await loadTranslations('zh'); } // Recurse for 'zh'
-                translations = {}; // Reset if 'zh' also fails
-                return {};
+        for (const candidate of getLanguageChain(lang)) {
+            const config = getLanguageConfig(candidate);
+            try {
+                const response = await fetch(config.translationFile); // Freshness is handled by the service worker's versioned cache
+                if (!response.ok) {
+                    console.warn(`Translations for ${candidate} (${config.translationFile}) not found or failed to load.`);
+                    continue;
+                }
+                translations = await response.json();
+                if (candidate === lang && config.convert) {
+                    translations = convertTextValues(translations, config.convert);
+                }
+                return translations;
+            } catch (error) {
+                console.error(`Error loading translations for ${candidate}:`, error);
             }
-            translations = await response.json();
-            return translations;
-        } catch (error) {
-            console.error(`Error loading translations for ${lang}:`, error);
-            if (lang !== 'zh') { return await loadTranslations('zh'); } // Recurse for 'zh' on error
-            translations = {}; // Reset if 'zh' also fails on error
-            return {};
         }
+        translations = {}; // Reset if the whole chain fails
+        return {};
     }
 
     /**
@@ -67,9 +276,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     /**
-     * Loads sign data (data-xx.json) for the specified language.
-     * Falls back to Chinese ('zh') data if the requested language data fails.
-     * Caches loaded data and prevents multiple simultaneous loads.
+     * Loads sign data for the specified language (file name from the language registry).
+     * Walks the language's fallback chain if the requested data fails to load or is empty.
+     * Caches loaded data and prevents multiple simultaneous loads of the same language.
      * @param {string} lang - Language code.
      * @returns {Promise<Array>} Array of sign data objects.
      */
@@ -80,74 +289,166 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
 
         // If a load for this language is already in progress, return that promise
-        if (isDataLoading && dataLoadPromise) {
-            return dataLoadPromise;
+        if (dataLoadPromises[lang]) {
+            return dataLoadPromises[lang];
         }
 
-        isDataLoading = true;
-        dataLoadPromise = (async () => {
+        dataLoadPromises[lang] = (async () => {
             try {
-                const dataFileName = (lang === 'zh') ? 'data.json' : `data-${lang.toLowerCase()}.json`;
-                // Use a timestamp to prevent browser caching
-                const response = await fetch(`${dataFileName}?t=${new Date().getTime()}`);
-                
-                if (!response.ok) {
-                    console.warn(`Sign data for ${lang} (${dataFileName}) not found or failed. Falling back to Chinese.`);
-                    if (lang === 'zh') throw new Error('CRITICAL: Failed to load Chinese sign data (data.json).');
-                    
-                    // Attempt to load 'zh' if not already cached
-                    if (signDataStore['zh'] && signDataStore['zh'].length > 0) {
-                        signDataStore[lang] = signDataStore['zh']; // Use cached 'zh'
-                        return signDataStore['zh'];
-                    } else {
-                        const fallbackData = await loadSignData('zh'); // This will fetch 'zh'
-                        signDataStore[lang] = fallbackData; // Cache for current lang
-                        return fallbackData;
+                const chain = getLanguageChain(lang);
+                for (const candidate of chain) {
+                    if (signDataStore[candidate] && signDataStore[candidate].length > 0) {
+                        signDataStore[lang] = signDataStore[candidate];
+                        return signDataStore[candidate];
                     }
-                }
-
-                const data = await response.json();
-                if (!data || data.length === 0) {
-                    console.warn(`Sign data for ${lang} (${dataFileName}) is empty. Falling back to Chinese.`);
-                    if (lang === 'zh') throw new Error('CRITICAL: Chinese sign data (data.json) is empty.');
 
-                    if (signDataStore['zh'] && signDataStore['zh'].length > 0) {
-                         signDataStore[lang] = signDataStore['zh'];
-                         return signDataStore['zh'];
-                    } else {
-                        const fallbackData = await loadSignData('zh');
-                        signDataStore[lang] = fallbackData;
-                        return fallbackData;
-                    }
-                }
-                signDataStore[lang] = data;
-                return data;
-            } catch (error) {
-                console.error(`Failed to fetch sign data for ${lang}:`, error);
-                // Fallback to Chinese if primary language fails and it's not Chinese itself
-                if (lang !== 'zh') {
-                    if (signDataStore['zh'] && signDataStore['zh'].length > 0) {
-                        console.warn(`Returning cached Chinese data after error loading ${lang}.`);
-                        signDataStore[lang] = signDataStore['zh'];
-                        return signDataStore['zh'];
-                    } else {
-                        try {
-                            const fallbackData = await loadSignData('zh');
-                            signDataStore[lang] = fallbackData;
-                            return fallbackData;
-                        } catch (zhError) {
-                            console.error("CRITICAL: Fallback to Chinese sign data also failed.", zhError);
-                            return []; // Return empty array if everything fails
+                    const dataFileName = getLanguageConfig(candidate).dataFile;
+                    try {
+                        // Freshness is handled by the service worker's versioned cache (see sw.js)
+                        const response = await fetch(dataFileName);
+                        if (!response.ok) {
+                            console.warn(`Sign data for ${candidate} (${dataFileName}) not found or failed.`);
+                            continue;
+                        }
+                        let data = await response.json();
+                        if (!data || data.length === 0) {
+                            console.warn(`Sign data for ${candidate} (${dataFileName}) is empty.`);
+                            continue;
                         }
+                        const converterName = getLanguageConfig(candidate).convert;
+                        if (converterName) {
+                            data = data.map(sign => convertTextValues(sign, converterName, SIGN_FIELDS_NOT_CONVERTED));
+                        }
+                        if (isDevMode) reportSignDataIssues(candidate, dataFileName, data);
+
+                        // Fill missing fields from the next language in the chain (guarding against circular fallbacks)
+                        const fallbackLang = getLanguageChain(candidate)[1];
+                        if (fallbackLang && !getLanguageChain(fallbackLang).includes(candidate)) {
+                            const fallbackDeck = await loadSignData(fallbackLang);
+                            if (fallbackDeck.length > 0) {
+                                data = mergeDeckFallbacks(data, fallbackDeck, fallbackLang);
+                            }
+                        }
+
+                        signDataStore[candidate] = data;
+                        signDataStore[lang] = data; // The requested language uses the first deck that loaded
+                        return data;
+                    } catch (error) {
+                        console.error(`Failed to fetch sign data for ${candidate}:`, error);
                     }
                 }
-                return []; // Return empty if 'zh' fails critically during its own load attempt
+                console.error(`CRITICAL: No sign data could be loaded for ${lang} (tried ${chain.join(' -> ')}).`);
+                return []; // Return empty array if everything fails
             } finally {
-                isDataLoading = false;
-                dataLoadPromise = null; // Clear promise only after this specific load finishes
+                delete dataLoadPromises[lang]; // Clear promise only after this specific load finishes
             }
         })();
-        return dataLoadPromise;
+        return dataLoadPromises[lang];
+    }
+
+    /** @returns {boolean} Whether a sign field value counts as missing */
+    function isMissingFieldValue(value) {
+        return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+    }
+
+    /**
+     * Fills a sign's missing or empty fields (including single 分类运程 entries) from the
+     * fallback language's version of the same sign. Filled fields are recorded in
+     * _fallbackFields ({ '远古预言': 'zh', '分类运程.健康': 'zh' }) so the UI can badge them.
+     * @param {object} sign - Sign in the requested language.
+     * @param {object} fallbackSign - Same 签号 in the fallback language.
+     * @param {string} fallbackLang - Language code of fallbackSign.
+     * @returns {object} The merged sign (the original object if nothing was missing).
+     */
+    function mergeSignFallbacks(sign, fallbackSign, fallbackLang) {
+        const merged = Object.assign({}, sign);
+        const filled = Object.assign({}, sign._fallbackFields);
+        // A field the fallback sign itself borrowed keeps pointing at its real source language
+        const sourceLang = (path) => (fallbackSign._fallbackFields && fallbackSign._fallbackFields[path]) || fallbackLang;
+
+        Object.keys(fallbackSign).forEach(field => {
+            if (field === '_fallbackFields') return;
+            const fallbackValue = fallbackSign[field];
+            if (fallbackValue && typeof fallbackValue === 'object' && !Array.isArray(fallbackValue)) {
+                const nested = Object.assign({}, (merged[field] && typeof merged[field] === 'object') ? merged[field] : {});
+                Object.keys(fallbackValue).forEach(key => {
+                    if (isMissingFieldValue(nested[key]) && !isMissingFieldValue(fallbackValue[key])) {
+                        nested[key] = fallbackValue[key];
+                        filled[`${field}.${key}`] = sourceLang(`${field}.${key}`);
+                    }
+                });
+                merged[field] = nested;
+            } else if (isMissingFieldValue(merged[field]) && !isMissingFieldValue(fallbackValue)) {
+                merged[field] = fallbackValue;
+                filled[field] = sourceLang(field);
+            }
+        });
+
+        if (Object.keys(filled).length === 0) return sign;
+        merged._fallbackFields = filled;
+        return merged;
+    }
+
+    /**
+     * Merges a deck with its fallback deck by 签号, field by field. Signs missing
+     * from the deck altogether are taken over from the fallback deck.
+     * @param {Array} deck - Deck in the requested language.
+     * @param {Array} fallbackDeck - Deck of the next language in the fallback chain.
+     * @param {string} fallbackLang - Language code of fallbackDeck.
+     * @returns {Array} The merged deck, sorted by 签号.
+     */
+    function mergeDeckFallbacks(deck, fallbackDeck, fallbackLang) {
+        if (deck === fallbackDeck) return deck;
+        const fallbackByNumber = new Map(fallbackDeck.map(sign => [sign.签号, sign]));
+        const merged = deck.map(sign => {
+            const fallbackSign = fallbackByNumber.get(sign.签号);
+            fallbackByNumber.delete(sign.签号);
+            return fallbackSign ? mergeSignFallbacks(sign, fallbackSign, fallbackLang) : sign;
+        });
+        fallbackByNumber.forEach((fallbackSign, signNumber) => {
+            merged.push(mergeSignFallbacks({ 签号: signNumber }, fallbackSign, fallbackLang));
+        });
+        return merged.sort((a, b) => a.签号 - b.签号);
+    }
+
+    /**
+     * Returns a small "original language" badge if a sign field was filled from a fallback language.
+     * @param {object} sign - Sign data object.
+     * @param {string} fieldPath - Field name, or '分类运程.<key>' for a category.
+     * @returns {string} Badge HTML, or an empty string.
+     */
+    function fallbackBadge(sign, fieldPath) {
+        const sourceLang = sign && sign._fallbackFields && sign._fallbackFields[fieldPath];
+        if (!sourceLang) return '';
+        const sourceConfig = getLanguageConfig(sourceLang);
+        const languageName = sourceConfig ? sourceConfig.name : sourceLang;
+        const title = (translations.fallbackTextTitle || '暂无当前语言版本，显示{language}原文').replace('{language}', languageName);
+        return ` <span class="original-lang-badge" title="${title}">${translations.originalLanguageBadge || '原文'} · ${languageName}</span>`;
+    }
+
+    /**
+     * Logs schema problems in a freshly loaded deck (dev mode only). Translated decks are
+     * also checked against the Chinese deck once it is cached.
+     * @param {string} lang - Language code of the deck.
+     * @param {string} fileName - Data file the deck came from.
+     * @param {Array} data - The parsed deck.
+     */
+    function reportSignDataIssues(lang, fileName, data) {
+        if (!window.SignSchema) return;
+        const result = SignSchema.validateDeck(data, { label: fileName });
+        const baseLang = languageRegistry.baseLang;
+        if (lang !== baseLang && signDataStore[baseLang] && signDataStore[baseLang] !== data) {
+            const baseFileName = getLanguageConfig(baseLang).dataFile;
+            const alignment = SignSchema.compareDecks(signDataStore[baseLang], data, { referenceLabel: baseFileName, label: fileName });
+            result.errors.push(...alignment.errors);
+            result.warnings.push(...alignment.warnings);
+        }
+        if (result.errors.length === 0 && result.warnings.length === 0) return;
+
+        console.groupCollapsed(`[SignSchema] ${fileName}: ${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+        result.errors.forEach(message => console.warn(message));
+        result.warnings.forEach(message => console.info(message));
+        console.groupEnd();
     }
 
     /**
@@ -164,11 +465,21 @@ document.addEventListener('DOMContentLoaded', async () => {
                 // console.warn(`Translation key "${key}" not found for language "${currentLang}".`);
             }
         });
+        document.querySelectorAll('[data-lang-placeholder-key]').forEach(element => {
+            const key = element.getAttribute('data-lang-placeholder-key');
+            if (translations[key] !== undefined) element.placeholder = translations[key];
+        });
+        document.querySelectorAll('[data-lang-aria-key]').forEach(element => {
+            const key = element.getAttribute('data-lang-aria-key');
+            if (translations[key] !== undefined) element.setAttribute('aria-label', translations[key]);
+        });
         document.documentElement.lang = currentLang; // Set HTML lang attribute
+        applyLanguageFonts();
 
-        // Language specific UI changes
-        if (btnExample) {
-            btnExample.style.display = (currentLang === 'en') ? 'none' : '';
+        updateMoonBlockToggle();
+        updateFavoriteToggle();
+        if (isCatalogueOpen()) {
+            populateCatalogueFilters();
         }
 
         // Update loading message if visible
@@ -183,7 +494,7 @@ document.addEventListener('DOMContentLoaded', async () => {
      * Updates the visual state of language switcher buttons.
      */
     function updateActiveLangButton() {
-        langSwitcherBtns.forEach(btn => {
+        document.querySelectorAll('.lang-btn').forEach(btn => {
             const btnLang = btn.getAttribute('data-lang');
             if (btnLang === currentLang) {
                 btn.style.display = 'none';
@@ -274,10 +585,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     /**
      * Sets the application language, loads necessary resources, and updates the UI.
      * @param {string} lang - The target language code.
+     * @param {object} [options]
+     * @param {boolean} [options.persist=true] - Remember the language for later visits; false for
+     *        languages that only come from a deep link.
      */
-    async function setLanguage(lang) {
+    async function setLanguage(lang, options = {}) {
         currentLang = lang;
-        localStorage.setItem('preferredLang', lang);
+        if (options.persist !== false) localStorage.setItem('preferredLang', lang);
 
         await loadTranslations(lang); // Load translations first
         
@@ -287,9 +601,16 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         // Update splash screen text overlay with animation
         const splashTextKey = 'appTitle';
-        const splashText = translations[splashTextKey] || (currentLang === 'en' ? "Spiritual Lots' Mysteries" : "灵签玄机");
+        const splashText = translations[splashTextKey] || "灵签玄机";
         updateSplashOverlayText(splashText, true); // Animate for language change
 
+        if (isCatalogueOpen()) {
+            renderCatalogue(); // List the deck of the new language
+        }
+        if (MantraPlayer.getState().track) {
+            refreshMantraPlaylist(); // Retitle the playing mantra in the new language
+        }
+
         // Reload sign data if a sign is currently shown
         if (currentSign && currentSign.签号) {
             const signNumberToKeep = currentSign.签号;
@@ -319,19 +640,21 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     /**
      * Initializes the application's language settings on page load.
+     * @param {string} [requestedLang] - Language requested by a deep link; overrides the stored preference for this visit.
      */
-    async function initializeLanguage() {
-        const preferredLang = localStorage.getItem('preferredLang');
-        const browserLang = navigator.language.split('-')[0].toLowerCase();
-        let langToSet = preferredLang || ((browserLang === 'zh') ? 'zh' : 'en');
+    async function initializeLanguage(requestedLang) {
+        const storedLang = localStorage.getItem('preferredLang');
+        const preferredLang = getLanguageConfig(storedLang) ? storedLang : null; // Ignore languages no longer registered
+        let langToSet = requestedLang || preferredLang || matchBrowserLanguage();
 
         await loadTranslations(langToSet); // Load translations for the determined language
         currentLang = langToSet; // Set currentLang *after* translations are loaded
-        localStorage.setItem('preferredLang', langToSet);
+        // A deep link's language applies to this visit only; the saved preference stays as it was
+        if (!requestedLang) localStorage.setItem('preferredLang', langToSet);
         
         // Set initial splash text WITHOUT animation for speed
         const splashTextKey = 'appTitle';
-        const initialSplashText = translations[splashTextKey] || (currentLang === 'en' ? "Spiritual Lots' Mysteries" : "灵签玄机");
+        const initialSplashText = translations[splashTextKey] || "灵签玄机";
         if (splashTextOverlay) {
             // Use the non-animated path of updateSplashOverlayText
             updateSplashOverlayText(initialSplashText, false);
@@ -342,29 +665,15 @@ document.addEventListener('DOMContentLoaded', async () => {
         updateActiveLangButton();
     }
 
-    // Add event listeners for language buttons
-    langSwitcherBtns.forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const langToSet = e.target.getAttribute('data-lang');
-            if (langToSet && langToSet !== currentLang) {
-                setLanguage(langToSet);
-            }
-        });
-    });
-
     /**
-     * Preloads sign data for both Chinese and English
+     * Preloads sign data for the current language and its fallback chain
      * to speed up subsequent display
      */
     async function preloadSignData() {
         console.log('Preloading sign data files...');
         try {
-            // Start loading both language data files in parallel
-            const zhDataPromise = loadSignData('zh');
-            const enDataPromise = loadSignData('en');
-            
-            // Wait for both to complete
-            await Promise.all([zhDataPromise, enDataPromise]);
+            // Start loading the data files in parallel and wait for all to complete
+            await Promise.all(getLanguageChain(currentLang).map(lang => loadSignData(lang)));
             console.log('Sign data preloading complete');
         } catch (error) {
             console.error('Error during sign data preloading:', error);
@@ -372,170 +681,1105 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    // --- Offline Support ---
+
+    /**
+     * Registers the service worker and offers a reload when a new cache version is waiting.
+     * Only runs over http(s); file:// copies keep working without offline support.
+     */
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+
+        const hadController = !!navigator.serviceWorker.controller;
+        let isReloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            // The first install claims the page too; only reload when replacing an older version
+            if (!hadController || isReloading) return;
+            isReloading = true;
+            window.location.reload();
+        });
+
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdateBanner(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const newWorker = registration.installing;
+                if (!newWorker) return;
+                newWorker.addEventListener('statechange', () => {
+                    if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdateBanner(newWorker);
+                    }
+                });
+            });
+        }).catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
+
+    /**
+     * Shows a banner announcing a new version; accepting it activates the waiting worker.
+     * @param {ServiceWorker} waitingWorker - The installed worker waiting to take over.
+     */
+    function showUpdateBanner(waitingWorker) {
+        if (document.getElementById('update-banner')) return;
+        const banner = document.createElement('div');
+        banner.id = 'update-banner';
+        banner.className = 'update-banner';
+        banner.innerHTML = `
+            <span class="update-banner-text">${translations.updateAvailable || '灵签已更新'}</span>
+            <button class="update-banner-btn">${translations.updateReloadButton || '刷新'}</button>`;
+        banner.querySelector('.update-banner-btn').addEventListener('click', () => {
+            waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+            banner.remove();
+        });
+        document.body.appendChild(banner);
+    }
+
+    // --- Deep Links ---
+
+    const SITE_BASE_URL = 'https://fish-gao.github.io/';
+
+    /**
+     * Parses a sign deep link from the current URL.
+     * Supports hash routes (#/sign/37?lang=en) and query strings (?sign=37&lang=en).
+     * @returns {{signNumber: number, lang: (string|null)}|null} The requested sign, or null if the URL has none.
+     */
+    function parseDeepLink() {
+        let signParam = null;
+        let langParam = null;
+
+        const hashMatch = window.location.hash.match(/^#\/sign\/(\d+)\/?(?:\?(.*))?$/);
+        if (hashMatch) {
+            signParam = hashMatch[1];
+            langParam = new URLSearchParams(hashMatch[2] || '').get('lang');
+        } else {
+            const searchParams = new URLSearchParams(window.location.search);
+            signParam = searchParams.get('sign');
+            langParam = searchParams.get('lang');
+        }
+
+        const signNumber = parseInt(signParam, 10);
+        if (!Number.isInteger(signNumber) || signNumber <= 0) return null;
+
+        const lang = langParam ? (getSupportedLangs().find(code => code.toLowerCase() === langParam.toLowerCase()) || null) : null;
+        return { signNumber, lang };
+    }
+
+    /**
+     * Builds the absolute deep link URL that opens the given sign in the given language.
+     * Local copies (file://) fall back to the public site so shared QR codes stay scannable.
+     * @param {number} signNumber - The 签号 to open.
+     * @param {string} lang - Language code.
+     * @returns {string} The deep link URL.
+     */
+    function buildSignDeepLink(signNumber, lang) {
+        const baseUrl = /^https?:$/.test(window.location.protocol)
+            ? `${window.location.origin}${window.location.pathname}`
+            : SITE_BASE_URL;
+        return `${baseUrl}#/sign/${signNumber}?lang=${encodeURIComponent(lang)}`;
+    }
+
+    /** Removes a sign deep link from the address bar without adding a history entry */
+    function clearDeepLink() {
+        if (!parseDeepLink()) return;
+        const searchParams = new URLSearchParams(window.location.search);
+        searchParams.delete('sign');
+        searchParams.delete('lang');
+        const search = searchParams.toString();
+        history.replaceState(history.state, '', `${window.location.pathname}${search ? `?${search}` : ''}`); // Keeps the modal history state
+    }
+
+    /**
+     * Opens a specific sign directly on the main screen, skipping the splash and loading screens.
+     * @param {number} signNumber - The 签号 to display.
+     * @param {string} [historyMode='push'] - How the main screen is recorded in history: 'push', 'replace' or 'none'.
+     * @returns {Promise<boolean>} True if the sign was found and rendered.
+     */
+    async function openSignByNumber(signNumber, historyMode = 'push') {
+        const data = await loadSignData(currentLang);
+        const sign = data && data.find(s => s.签号 === signNumber);
+        if (!sign) {
+            console.warn(`Deep link sign No. ${signNumber} not found in ${currentLang} data.`);
+            showAlert((translations.signNotFound || '未找到第 {number} 签').replace('{number}', signNumber));
+            return false;
+        }
+        await screenFlow.go('main', { data: { signNumber }, params: { sign }, history: historyMode });
+        return true;
+    }
+
+    window.addEventListener('hashchange', async () => {
+        const deepLink = parseDeepLink();
+        if (!deepLink) return;
+        if (deepLink.lang && deepLink.lang !== currentLang) {
+            await setLanguage(deepLink.lang, { persist: false });
+        }
+        await openSignByNumber(deepLink.signNumber, 'replace'); // The hash change already added the entry
+    });
+
+    // Back/forward between screens; entries that only differ in open modals are left to ModalManager
+    window.addEventListener('popstate', (e) => {
+        const entry = e.state;
+        if (!entry || !entry.screen || screenFlow.isAt(entry.screen, entry.screenData)) return;
+
+        if (entry.screen === 'main' && entry.screenData && entry.screenData.signNumber) {
+            openSignByNumber(entry.screenData.signNumber, 'replace');
+        } else if (entry.screen === 'splash') {
+            screenFlow.go('splash', { history: 'replace' });
+        } else {
+            // Only navigation: the draw counts once the loading screen is tapped (see startDraw)
+            screenFlow.go(drawRateLimit.getLock() ? 'locked' : 'loading', { history: 'replace' });
+        }
+    });
+
     // Execute initialization
-    await initializeLanguage(); // Initialize language first
+    await loadLanguageRegistry();
+    renderLanguageSwitcher();
+    const initialDeepLink = parseDeepLink();
+    await initializeLanguage(initialDeepLink && initialDeepLink.lang); // Initialize language first
     preloadSignData(); // Preload data files for faster access
-    checkLockStatus(); // Then check lock status
+    registerServiceWorker();
+    if (!initialDeepLink || !(await openSignByNumber(initialDeepLink.signNumber, 'replace'))) {
+        checkLockStatus(); // Then check lock status
+    }
 
     // --- Core Application Logic (Event Listeners, Functions) ---
 
-    /** Updates the message displayed on the loading screen */
+    /**
+     * @param {number} until - Timestamp.
+     * @returns {string} Time left until then as m:ss, or h:mm:ss from an hour up.
+     */
+    function formatCountdown(until) {
+        const seconds = Math.max(0, Math.ceil((until - Date.now()) / 1000));
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const rest = String(seconds % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+    }
+
+    /** Updates the message displayed on the loading screen, ticking a countdown while drawing is locked */
     function updateLockMessage() {
-        const lockEndTime = localStorage.getItem('drawBtnLockUntil');
         const overlayTextEl = loadingScreen.querySelector('.overlay-text');
         if (!overlayTextEl) return;
+        clearInterval(lockCountdownTimer);
+        lockCountdownTimer = null;
 
-        let message = '';
-        if (lockEndTime && new Date().getTime() < parseInt(lockEndTime)) {
-            const remainingTime = Math.ceil((parseInt(lockEndTime) - new Date().getTime()) / 60000);
-            let messageKey, fallbackMessage;
-            if (remainingTime >= 30) {
-                messageKey = 'lockMessageFrequent';
-                fallbackMessage = '初告之...半小时后再求他事';
-            } else {
-                messageKey = 'lockMessageRemaining';
-                fallbackMessage = `请平心静气<br>${remainingTime}分钟后再来`;
-            }
-            message = (translations[messageKey] || fallbackMessage).replace('{minutes}', remainingTime);
+        const lock = drawRateLimit.getLock();
+        if (!lock) {
+            overlayTextEl.innerHTML = translations.loadingText || '虔诚求问...轻触屏幕';
+            return;
+        }
+
+        let messageKey, fallbackMessage;
+        if (lock.reason === 'question') {
+            messageKey = 'lockMessageSameQuestion';
+            fallbackMessage = '初告之  再三渎<br>此事已得签示<br>请勿一事反复求问<br>{time} 后再来';
+        } else if (lock.offence > 1) {
+            messageKey = 'lockMessageRepeated';
+            fallbackMessage = '再三渎  渎则不告<br>平心静气<br>{time} 后再来';
         } else {
-            message = translations.loadingText || '虔诚求问...轻触屏幕';
+            messageKey = 'lockMessageFrequent';
+            fallbackMessage = '初告之  再三渎<br>请不要一事多求<br>平心静气<br>{time} 后再求他事';
         }
-        overlayTextEl.innerHTML = message; // innerHTML because message can contain <br>
+        // innerHTML because message can contain <br>
+        overlayTextEl.innerHTML = (translations[messageKey] || fallbackMessage)
+            .replace('{time}', `<span class="lock-countdown">${formatCountdown(lock.until)}</span>`);
+
+        lockCountdownTimer = setInterval(() => {
+            if (Date.now() >= lock.until) {
+                clearInterval(lockCountdownTimer);
+                lockCountdownTimer = null;
+                if (screenFlow.getState() === 'locked') {
+                    screenFlow.go('loading', { history: 'replace' }); // Unlock in place; the next tap draws
+                }
+                return;
+            }
+            const countdownEl = overlayTextEl.querySelector('.lock-countdown');
+            if (countdownEl) countdownEl.textContent = formatCountdown(lock.until);
+        }, 1000);
     }
 
-    /** Checks lock status and updates UI */
+    /**
+     * Shows the locked loading screen while a draw lock is in force, without adding a history entry.
+     * @returns {boolean} Whether drawing is locked.
+     */
     function checkLockStatus() {
-        const lockEndTime = localStorage.getItem('drawBtnLockUntil');
-        if (lockEndTime && new Date().getTime() < parseInt(lockEndTime)) {
-            // If splash screen is visible, hide it first
-            if (!splashScreen.classList.contains('hidden')) {
-                splashScreen.style.opacity = 0;
-                setTimeout(() => splashScreen.classList.add('hidden'), 800); // Match CSS transition
-            }
-            // Show locked loading screen
-            loadingScreen.classList.remove('hidden');
-            loadingScreen.classList.add('locked');
-            loadingScreen.style.opacity = 1; // Ensure it's visible
-            updateLockMessage();
-            return true; // Is locked
-        } else if (loadingScreen.classList.contains('locked')) {
-            // If it was locked but time expired, unlock it
-            loadingScreen.classList.remove('locked');
-            updateLockMessage(); // Update message to normal loading
+        if (!drawRateLimit.getLock()) return false;
+        screenFlow.go('locked', { history: 'replace' });
+        return true;
+    }
+
+    /** Removes the burst and glow left on the sun by tapping it */
+    function resetSunArea() {
+        sunArea.querySelectorAll('.sun-burst, .sun-core').forEach(el => el.remove());
+        sunArea.classList.remove('sun-glow');
+    }
+
+    /** Forgets the displayed sign and its theme once the main screen is left */
+    function clearCurrentSign() {
+        currentSign = null;
+        currentHistoryEntryId = null;
+        qianContent.innerHTML = '';
+        applyThemeBasedOnSign(null);
+    }
+
+    /** Hides every screen but the given one ('locked' is the loading screen too) */
+    function showOnlyScreen(screen) {
+        splashScreen.classList.toggle('hidden', screen !== 'splash');
+        loadingScreen.classList.toggle('hidden', screen !== 'loading' && screen !== 'locked');
+        mainContent.classList.toggle('hidden', screen !== 'main');
+    }
+
+    /**
+     * Fades out the screen a transition leaves, then hides every screen but the target.
+     * @param {ScreenTransition} transition
+     */
+    async function leaveScreen(transition) {
+        if (transition.from === 'splash') {
+            splashScreen.style.opacity = 0;
+            await transition.wait(800); // Match the splash screen's CSS transition
+            resetSunArea();
+        } else if (transition.from === 'main') {
+            MantraPlayer.stop(); // The mantra belongs to the sign being left
+            mainContent.style.transition = 'opacity 0.8s ease';
+            mainContent.style.opacity = 0;
+            await transition.wait(800);
+            clearCurrentSign();
+        } else if (transition.from !== transition.to) {
+            loadingScreen.style.opacity = 0;
+            await transition.wait(800);
         }
-        return false; // Is not locked
+        showOnlyScreen(transition.to);
     }
 
-    // Sun Area Click Handler
-    sunArea.addEventListener('click', () => {
-        splashScreen.style.opacity = 0; // Start fade out of splash
-        const burst = document.createElement('div'); burst.className = 'sun-burst'; sunArea.appendChild(burst);
-        sunArea.classList.remove('sun-glow'); void sunArea.offsetWidth; sunArea.classList.add('sun-glow');
-        const core = document.createElement('div'); core.className = 'sun-core'; sunArea.appendChild(core);
+    /** Screen flow: shows the splash screen again (going back from the loading screen) */
+    async function enterSplashScreen(transition) {
+        await leaveScreen(transition);
+        resetSunArea();
+        splashScreen.style.opacity = 0;
+        await transition.wait(50);
+        splashScreen.style.opacity = 1;
+        sunArea.focus({ preventScroll: true });
+    }
 
-        setTimeout(() => {
-            splashScreen.classList.add('hidden'); // Hide splash screen after fade
-            loadingScreen.classList.remove('hidden'); // Prepare loading screen
-            loadingScreen.style.opacity = 0; // Start loading screen as transparent
-            
-            burst.remove(); 
-            core.remove();
+    /** Screen flow: shows the loading screen, waiting for a draw ('loading') or counting down a lock ('locked') */
+    async function enterLoadingScreen(transition) {
+        const fadeIn = transition.from !== 'loading' && transition.from !== 'locked';
+        isDrawInProgress = false;
+        if (fadeIn) await leaveScreen(transition);
+        else showOnlyScreen(transition.to);
+        loadingScreen.classList.toggle('locked', transition.to === 'locked');
+        updateLockMessage();
+        if (!fadeIn) { // Locking or unlocking in place
+            loadingScreen.style.opacity = 1;
+            return;
+        }
 
-            if (checkLockStatus()) { // Check lock status *before* fading in loading screen
-                loadingScreen.style.opacity = 1; // If locked, show it immediately
-                return;
-            }
-            
-            updateLockMessage(); // Update to normal loading message
-            // Short delay before fading in loading screen to ensure message is updated
-            setTimeout(() => {
-                loadingScreen.style.opacity = 1; // Fade in loading screen
-            }, 50);
-        }, 800); // Duration of splash screen fade
-    });
+        loadingScreen.style.opacity = 0;
+        loadingDrawBtn.focus({ preventScroll: true }); // Reads out the message it is described by
+        await transition.wait(50); // Let the message update before fading in
+        loadingScreen.style.opacity = 1;
+    }
 
-    // Loading Screen Click Handler
-    loadingScreen.addEventListener('click', () => {
-        if (loadingScreen.classList.contains('locked')) return; // Do nothing if locked
+    /**
+     * Screen flow: shows a sign. A new draw fades over from the loading screen and is recorded;
+     * a reopened sign (deep link, history, catalogue) replaces whatever is showing straight away.
+     * @param {ScreenTransition} transition - params.sign is the sign; params.isNewDraw marks a draw.
+     */
+    async function enterMainScreen(transition) {
+        const { sign, isNewDraw } = transition.params;
+        if (!isNewDraw) {
+            showOnlyScreen('main');
+            splashScreen.style.opacity = 0;
+            mainContent.style.opacity = 1;
+            qianContent.style.opacity = 1;
+
+            currentSign = sign;
+            currentHistoryEntryId = null; // Reopened signs are not new draws
+            renderSign(currentSign);
+            requestAnimationFrame(() => {
+                applyThemeBasedOnSign(currentSign);
+            });
+            return;
+        }
 
         // Prepare main content (hidden by default, opacity 0)
         mainContent.classList.remove('hidden');
-        mainContent.style.opacity = 0; 
+        mainContent.style.opacity = 0;
         qianContent.style.opacity = 0; // Ensure qian content is also initially transparent
-
         loadingScreen.style.opacity = 0; // Fade out loading screen
+        await transition.wait(1000); // Duration of loading screen fade
+
+        loadingScreen.classList.add('hidden');
+        mainContent.style.transition = 'opacity 1.2s ease-in';
+        mainContent.style.opacity = 1; // Fade in main content shell
+
+        // Render the sign *before* fading in qianContent (fetchRandomSign may show a spinner or an error)
+        await fetchRandomSign(sign);
+        isDrawInProgress = false;
+        // Keyboard focus was on the now hidden loading screen; continue from the result
+        if (document.activeElement === document.body || loadingScreen.contains(document.activeElement)) {
+            resultBox.focus({ preventScroll: true });
+        }
 
-        setTimeout(async () => { // Make this async
-            loadingScreen.classList.add('hidden'); // Hide loading screen after fade
-            
-            mainContent.style.transition = 'opacity 1.2s ease-in';
-            mainContent.style.opacity = 1; // Fade in main content shell
+        await transition.wait(100); // Let the main content fade get under way
+        qianContent.style.transition = 'opacity 0.8s ease-in';
+        qianContent.style.opacity = 1; // Fade in the actual sign content (or spinner)
+    }
 
-            // Fetch and render sign *before* trying to fade in qianContent
-            // fetchRandomSign will set qianContent's innerHTML (e.g. to spinner)
-            await fetchRandomSign(); 
-            
-            // After sign is fetched and rendered (or spinner is shown), then fade in qianContent
-            // A small delay to ensure mainContent opacity transition starts
-            setTimeout(() => {
-                qianContent.style.transition = 'opacity 0.8s ease-in';
-                qianContent.style.opacity = 1; // Fade in the actual sign content (or spinner)
-            }, 100); // Adjust delay as needed, 500ms might be too long if spinner is used
+    // Sun Area Click Handler
+    sunArea.addEventListener('click', () => {
+        const target = drawRateLimit.getLock() ? 'locked' : 'loading';
+        if (!screenFlow.can(target)) return; // Already on the way
+        unlockEffectsAudio(); // Needs a user gesture; the rattle itself is triggered by motion events
+        const burst = document.createElement('div'); burst.className = 'sun-burst'; sunArea.appendChild(burst);
+        sunArea.classList.remove('sun-glow'); void sunArea.offsetWidth; sunArea.classList.add('sun-glow');
+        const core = document.createElement('div'); core.className = 'sun-core'; sunArea.appendChild(core);
+        screenFlow.go(target);
+    });
 
-        }, 1000); // Duration of loading screen fade
+    // The sun is a role="button" div, so Enter and Space have to be handled by hand
+    sunArea.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        e.preventDefault();
+        sunArea.click();
     });
+
+    // Loading Screen Click Handler
+    loadingScreen.addEventListener('click', startDraw);
+
+    /** Draws a sign from the loading screen; triggered by a tap or by shaking the lot tube */
+    async function startDraw() {
+        if (screenFlow.getState() !== 'loading' || screenFlow.isTransitioning()) return; // Locked, or not shown yet
+        if (isDrawInProgress) return; // Ignore repeated taps (the video container also forwards its clicks here)
+        isDrawInProgress = true;
+
+        const result = await DrawAttempt.run({
+            rateLimit: drawRateLimit, // Counts the draw only once a sign is accepted
+            pickSign: pickRandomSign, // null lets fetchRandomSign surface the loading error
+            // Ritual mode: the candidate sign must be confirmed by holy cups before it is shown
+            confirmSign: isMoonBlockRitualEnabled() ? runMoonBlockRitual : null
+        });
+        if (result.status === 'locked') {
+            isDrawInProgress = false;
+            screenFlow.go('locked', { history: 'replace' });
+        } else if (result.status === 'rejected') {
+            isDrawInProgress = false; // Stay on the loading screen so the user can draw again
+        } else {
+            revealDrawnSign(result.sign);
+        }
+    }
+
+    /**
+     * Moves from the loading screen to the main screen with a newly drawn sign.
+     * @param {object|null} sign - The drawn sign, or null if the deck failed to load.
+     */
+    function revealDrawnSign(sign) {
+        screenFlow.go('main', { data: { signNumber: sign ? sign.签号 : null }, params: { sign, isNewDraw: true } });
+    }
     
     // Video Container Click Handler (if used for loading animation)
     const videoContainer = document.querySelector('.video-container');
     if (videoContainer) {
         videoContainer.addEventListener('click', () => {
             // Trigger loading screen click only if not locked
-            if (!loadingScreen.classList.contains('locked')) {
+            if (screenFlow.getState() === 'loading') {
                 loadingScreen.click();
             }
         });
     }
 
-    /** Fetches and displays a random sign */
-    async function fetchRandomSign() {
-        try {
-            // Show loading state in qianContent (if mainContent is already visible)
-            qianContent.innerHTML = '<div class="loading-spinner"></div>';
-            // Opacity for qianContent is handled by the loadingScreen click handler
-            
-            let data = await loadSignData(currentLang);
-            
-            if (!data || data.length === 0) {
-                throw new Error(`Sign data for language ${currentLang} (and fallback 'zh') is empty or failed to load.`);
-            }
-
-            const randomIndex = Math.floor(Math.random() * data.length);
-            currentSign = data[randomIndex];
+    // --- Shake-the-Tube Drawing (摇签筒) ---
+
+    const SHAKE_CONFIG = {
+        threshold: 14,       // Change in acceleration (m/s²) between events that counts as a shake
+        minInterval: 150,    // ms between counted shakes
+        resetAfter: 1500,    // ms without shaking before the count starts over
+        shakesToDraw: 6,     // Shakes needed before a stick falls out
+        stickFallDuration: 900 // ms, matches the stick-fall animation in style.css
+    };
+
+    const lotTube = loadingScreen.querySelector('.lot-tube');
+    const motionPermissionBtn = loadingScreen.querySelector('.motion-permission-btn');
+    let effectsAudioContext = null;
+    let lastMotion = null;
+    let shakeCount = 0;
+    let lastShakeTime = 0;
+
+    /** Creates or resumes the Web Audio context used for sound effects such as the rattle (must run in a user gesture) */
+    function unlockEffectsAudio() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        if (!effectsAudioContext) effectsAudioContext = new AudioContextClass();
+        if (effectsAudioContext.state === 'suspended') effectsAudioContext.resume().catch(() => {});
+    }
 
-            // Render sign text first
-            renderSign(currentSign);
-            
-            // Apply theme in the next animation frame to allow text rendering to complete
-            requestAnimationFrame(() => {
-                 applyThemeBasedOnSign(currentSign);
-            });
+    /** Synthesizes the clatter of bamboo sticks hitting each other: a few short filtered noise bursts */
+    function playRattleSound() {
+        if (!effectsAudioContext || effectsAudioContext.state !== 'running') return;
+        const ctx = effectsAudioContext;
+        const clickLength = Math.floor(ctx.sampleRate * 0.03);
+        const noiseBuffer = ctx.createBuffer(1, clickLength, ctx.sampleRate);
+        const samples = noiseBuffer.getChannelData(0);
+        for (let i = 0; i < clickLength; i++) {
+            samples[i] = (Math.random() * 2 - 1) * (1 - i / clickLength);
+        }
 
-        } catch (error) {
-            console.error('Error fetching sign data:', error);
-            qianContent.innerHTML = `<p>${translations.fetchSignError || '获取签文失败，请重试'}</p>`;
-            currentSign = null; // Reset current sign
-            applyThemeBasedOnSign(null); // Reset theme to default
+        const clicks = 3 + Math.floor(Math.random() * 3);
+        for (let i = 0; i < clicks; i++) {
+            const startTime = ctx.currentTime + i * (0.03 + Math.random() * 0.04);
+            const source = ctx.createBufferSource();
+            source.buffer = noiseBuffer;
+            const filter = ctx.createBiquadFilter();
+            filter.type = 'bandpass';
+            filter.frequency.value = 1500 + Math.random() * 2000;
+            filter.Q.value = 8;
+            const gain = ctx.createGain();
+            gain.gain.setValueAtTime(0.6, startTime);
+            gain.gain.exponentialRampToValueAtTime(0.001, startTime + 0.05);
+            source.connect(filter).connect(gain).connect(ctx.destination);
+            source.start(startTime);
         }
     }
 
-    /** Renders sign details */
-    function renderSign(sign) {
-        if (!sign) { 
-            qianContent.innerHTML = ''; 
-            return; 
-        }
+    /** @returns {boolean} Whether the loading screen is currently waiting for a draw */
+    function isAwaitingDraw() {
+        return screenFlow.getState() === 'loading' && !screenFlow.isTransitioning() && !isDrawInProgress;
+    }
 
-        const fragment = document.createDocumentFragment();
+    /** Resets the lot tube to its idle state */
+    function resetLotTube() {
+        shakeCount = 0;
+        if (!lotTube) return;
+        lotTube.classList.remove('rattling', 'stick-out');
+    }
+
+    /** Handles devicemotion events: counts shakes, rattles the tube and drops a stick to draw */
+    function handleDeviceMotion(event) {
+        const acceleration = event.accelerationIncludingGravity;
+        if (!acceleration || acceleration.x === null) return;
+
+        if (!loadingScreen.classList.contains('motion-ready')) {
+            loadingScreen.classList.add('motion-ready'); // The device really reports motion; switch on shake mode
+        }
+
+        const current = { x: acceleration.x, y: acceleration.y, z: acceleration.z };
+        const previous = lastMotion;
+        lastMotion = current;
+        if (!previous || !isAwaitingDraw() || (lotTube && lotTube.classList.contains('stick-out'))) return;
+
+        const now = Date.now();
+        if (now - lastShakeTime > SHAKE_CONFIG.resetAfter) shakeCount = 0;
+
+        const delta = Math.abs(current.x - previous.x) + Math.abs(current.y - previous.y) + Math.abs(current.z - previous.z);
+        if (delta < SHAKE_CONFIG.threshold || now - lastShakeTime < SHAKE_CONFIG.minInterval) return;
+
+        lastShakeTime = now;
+        shakeCount++;
+        playRattleSound();
+        if (navigator.vibrate) navigator.vibrate(30);
+        if (lotTube) {
+            lotTube.classList.remove('rattling');
+            void lotTube.offsetWidth; // Restart the rattle animation
+            lotTube.classList.add('rattling');
+        }
+
+        if (shakeCount >= SHAKE_CONFIG.shakesToDraw) {
+            if (navigator.vibrate) navigator.vibrate([60, 40, 120]);
+            if (lotTube) lotTube.classList.add('stick-out');
+            setTimeout(() => {
+                startDraw();
+                setTimeout(resetLotTube, 1500); // After the loading screen has faded out
+            }, SHAKE_CONFIG.stickFallDuration);
+        }
+    }
+
+    /** Starts listening for device motion, asking for permission first where the browser requires it (iOS 13+) */
+    function initializeShakeDrawing() {
+        if (typeof DeviceMotionEvent === 'undefined') return; // Tap remains the only way to draw
+
+        if (typeof DeviceMotionEvent.requestPermission !== 'function') {
+            window.addEventListener('devicemotion', handleDeviceMotion);
+            return;
+        }
+
+        if (!motionPermissionBtn) return;
+        loadingScreen.classList.add('motion-permission-needed');
+        motionPermissionBtn.addEventListener('click', async (e) => {
+            e.stopPropagation(); // Don't let this tap draw a sign
+            unlockEffectsAudio();
+            try {
+                const permission = await DeviceMotionEvent.requestPermission();
+                if (permission === 'granted') {
+                    window.addEventListener('devicemotion', handleDeviceMotion);
+                }
+            } catch (error) {
+                console.warn('Motion permission request failed:', error);
+            }
+            loadingScreen.classList.remove('motion-permission-needed');
+        });
+    }
+
+    initializeShakeDrawing();
+
+    /**
+     * Picks a random sign from the current language's deck without displaying it.
+     * @returns {Promise<object|null>} The sign, or null if no data could be loaded.
+     */
+    async function pickRandomSign() {
+        const data = await loadSignData(currentLang);
+        if (!data || data.length === 0) return null;
+        return data[Math.floor(Math.random() * data.length)];
+    }
+
+    /**
+     * Fetches and displays a random sign.
+     * @param {object} [preselectedSign] - Display this sign instead of picking a new one.
+     */
+    async function fetchRandomSign(preselectedSign) {
+        try {
+            // Show loading state in qianContent (if mainContent is already visible)
+            qianContent.innerHTML = '<div class="loading-spinner"></div>';
+            // Opacity for qianContent is handled by the loadingScreen click handler
+            
+            const sign = preselectedSign || await pickRandomSign();
+            
+            if (!sign) {
+                throw new Error(`Sign data for language ${currentLang} (and its fallbacks) is empty or failed to load.`);
+            }
+
+            currentSign = sign;
+
+            // Render sign text first
+            renderSign(currentSign);
+            
+            // Apply theme in the next animation frame to allow text rendering to complete
+            requestAnimationFrame(() => {
+                 applyThemeBasedOnSign(currentSign);
+            });
+
+            recordDraw(currentSign);
+
+        } catch (error) {
+            console.error('Error fetching sign data:', error);
+            qianContent.innerHTML = `<p>${translations.fetchSignError || '获取签文失败，请重试'}</p>`;
+            currentSign = null; // Reset current sign
+            applyThemeBasedOnSign(null); // Reset theme to default
+        }
+    }
+
+    // --- Moon Block Ritual (掷筊) ---
+
+    const MOON_BLOCK_RITUAL_CONFIG = {
+        requiredHolyCups: 3, // Consecutive 圣杯 needed before a sign counts
+        tossDuration: 1200,  // ms, matches the moon-block-toss animation in style.css
+        resultPause: 1600    // ms to show a failed toss before returning to the loading screen
+    };
+
+    /** @returns {boolean} Whether the user has turned on the moon-block confirmation step */
+    function isMoonBlockRitualEnabled() {
+        return localStorage.getItem('moonBlockRitualEnabled') === 'true';
+    }
+
+    /** Updates the ritual toggle button's label and pressed state */
+    function updateMoonBlockToggle() {
+        if (!moonBlockToggleBtn) return;
+        const enabled = isMoonBlockRitualEnabled();
+        moonBlockToggleBtn.setAttribute('aria-pressed', String(enabled));
+        moonBlockToggleBtn.classList.toggle('active', enabled);
+        moonBlockToggleBtn.querySelector('.btn-text').textContent = enabled
+            ? (translations.moonBlockToggleOn || '掷筊请示：开')
+            : (translations.moonBlockToggleOff || '掷筊请示：关');
+    }
+
+    if (moonBlockToggleBtn) {
+        moonBlockToggleBtn.addEventListener('click', () => {
+            localStorage.setItem('moonBlockRitualEnabled', String(!isMoonBlockRitualEnabled()));
+            updateMoonBlockToggle();
+        });
+    }
+
+    /**
+     * Tosses a pair of moon blocks. Each block lands flat side (阳) or round side (阴) up.
+     * @returns {{outcome: string, faces: Array<string>}} 'holy' (圣杯), 'laughing' (笑杯) or 'yin' (阴杯).
+     */
+    function tossMoonBlocks() {
+        const faces = [0, 1].map(() => (Math.random() < 0.5 ? 'flat' : 'round'));
+        let outcome;
+        if (faces[0] !== faces[1]) outcome = 'holy';
+        else if (faces[0] === 'flat') outcome = 'laughing';
+        else outcome = 'yin';
+        return { outcome, faces };
+    }
+
+    /**
+     * Runs the moon-block confirmation ritual for a candidate sign.
+     * @param {object} sign - The candidate sign.
+     * @returns {Promise<boolean>} Resolves true once enough consecutive holy cups are tossed,
+     *     false on a 笑杯/阴杯 or if the user closes the ritual.
+     */
+    function runMoonBlockRitual(sign) {
+        return new Promise((resolve) => {
+            const required = MOON_BLOCK_RITUAL_CONFIG.requiredHolyCups;
+            const signNumberPrefix = translations.signNumberPrefix === undefined ? "第 " : translations.signNumberPrefix;
+            const signNumberSuffix = translations.signNumberSuffix === undefined ? " 签" : translations.signNumberSuffix;
+            const outcomeNames = {
+                holy: translations.holyCup || '圣杯',
+                laughing: translations.laughingCup || '笑杯',
+                yin: translations.yinCup || '阴杯'
+            };
+
+            const overlay = document.createElement('div');
+            overlay.id = 'moon-block-ritual';
+            overlay.className = 'moon-block-overlay';
+            overlay.innerHTML = `
+                <div class="moon-block-panel">
+                    <button type="button" class="close-modal moon-block-close" aria-label="${translations.closeButtonLabel || '关闭'}">&times;</button>
+                    <h3 class="moon-block-title">${translations.moonBlockTitle || '掷筊请示'}</h3>
+                    <p class="moon-block-sign">${signNumberPrefix}${sign.签号}${signNumberSuffix}</p>
+                    <p class="moon-block-prompt">${(translations.moonBlockPrompt || '需连得 {required} 次圣杯，此签方为神明所允').replace('{required}', required)}</p>
+                    <div class="moon-block-pair">
+                        <div class="moon-block face-round"></div>
+                        <div class="moon-block face-flat"></div>
+                    </div>
+                    <div class="moon-block-tally">${'<span class="tally-cup"></span>'.repeat(required)}</div>
+                    <p class="moon-block-result" aria-live="polite"></p>
+                    <button class="moon-block-toss-btn">${translations.moonBlockTossButton || '掷筊'}</button>
+                </div>`;
+
+            const blocks = overlay.querySelectorAll('.moon-block');
+            const tallyCups = overlay.querySelectorAll('.tally-cup');
+            const resultEl = overlay.querySelector('.moon-block-result');
+            const tossBtn = overlay.querySelector('.moon-block-toss-btn');
+            let holyCount = 0;
+            let settled = false;
+
+            const ritualModal = ModalManager.open(overlay, {
+                closeOnBackdrop: false,
+                initialFocus: tossBtn,
+                onClose: (accepted) => {
+                    settled = true;
+                    resolve(accepted === true);
+                }
+            });
+            const finish = accepted => ritualModal.close(accepted);
+
+            tossBtn.addEventListener('click', () => {
+                tossBtn.disabled = true;
+                resultEl.textContent = '';
+                const { outcome, faces } = tossMoonBlocks();
+
+                blocks.forEach(block => {
+                    block.classList.remove('tossing');
+                    void block.offsetWidth; // Restart the animation
+                    block.classList.add('tossing');
+                });
+
+                setTimeout(() => {
+                    if (settled) return;
+                    blocks.forEach((block, index) => {
+                        block.classList.remove('tossing', 'face-flat', 'face-round');
+                        block.classList.add(`face-${faces[index]}`);
+                    });
+
+                    if (outcome === 'holy') {
+                        holyCount++;
+                        tallyCups[holyCount - 1].classList.add('filled');
+                        if (holyCount >= required) {
+                            resultEl.textContent = translations.moonBlockAccepted || '圣杯连连，神明应允此签';
+                            setTimeout(() => finish(true), MOON_BLOCK_RITUAL_CONFIG.resultPause);
+                            return;
+                        }
+                        resultEl.textContent = (translations.moonBlockHolyResult || '{name}！({count}/{required}) 请再掷')
+                            .replace('{name}', outcomeNames.holy).replace('{count}', holyCount).replace('{required}', required);
+                        tossBtn.disabled = false;
+                    } else {
+                        const messageKey = outcome === 'laughing' ? 'moonBlockLaughingResult' : 'moonBlockYinResult';
+                        const fallback = outcome === 'laughing' ? '{name}：神明笑而不答，请重新求签' : '{name}：神明不允，请重新求签';
+                        resultEl.textContent = (translations[messageKey] || fallback).replace('{name}', outcomeNames[outcome]);
+                        setTimeout(() => finish(false), MOON_BLOCK_RITUAL_CONFIG.resultPause);
+                    }
+                }, MOON_BLOCK_RITUAL_CONFIG.tossDuration);
+            });
+        });
+    }
+
+    /**
+     * Counts the ★ characters in a sign's 幸运指数.
+     * @param {object} sign - Sign data object.
+     * @returns {number} Luck level (0 if the sign has no luck index).
+     */
+    function getLuckLevel(sign) {
+        if (!sign || typeof sign.幸运指数 !== 'string') return 0;
+        return sign.幸运指数.split('').filter(char => char === '★').length;
+    }
+
+    // --- Draw History ---
+
+    /** Saves a freshly drawn sign to the history journal */
+    async function recordDraw(sign) {
+        currentHistoryEntryId = null;
+        if (!window.DrawHistory || !DrawHistory.isSupported()) return;
+        try {
+            currentHistoryEntryId = await DrawHistory.addDraw({
+                signNumber: sign.签号,
+                lang: currentLang,
+                timestamp: Date.now(),
+                question: '',
+                luckLevel: getLuckLevel(sign)
+            });
+        } catch (error) {
+            console.warn('Failed to record draw history:', error);
+        }
+    }
+
+    /** Attaches the question entered in the share flow to the current draw's history entry */
+    async function recordDrawQuestion(question) {
+        if (currentHistoryEntryId === null || !question) return;
+        try {
+            await DrawHistory.updateDraw(currentHistoryEntryId, { question });
+        } catch (error) {
+            console.warn('Failed to save question to draw history:', error);
+        }
+    }
+
+    /** Shows the list of past draws; each entry reopens its sign */
+    async function showHistoryModal() {
+        const modalTitle = translations.historyTitle || '求签记录';
+        let entries = [];
+        if (window.DrawHistory && DrawHistory.isSupported()) {
+            try {
+                entries = await DrawHistory.getAllDraws();
+            } catch (error) {
+                console.error('Failed to load draw history:', error);
+                showAlert(translations.historyLoadError || '读取求签记录失败');
+                return;
+            }
+        }
+
+        if (entries.length === 0) {
+            showModal(modalTitle, `<div class="modal-section"><p class="history-empty">${translations.historyEmpty || '尚无求签记录'}</p></div>`);
+            return;
+        }
+
+        const signNumberPrefix = translations.signNumberPrefix === undefined ? "第 " : translations.signNumberPrefix;
+        const signNumberSuffix = translations.signNumberSuffix === undefined ? " 签" : translations.signNumberSuffix;
+        const dateLocale = (getLanguageConfig(currentLang) || {}).locale;
+        const langLabels = {};
+        languageRegistry.languages.forEach(language => { langLabels[language.code] = language.name; });
+
+        const listItems = entries.map(entry => {
+            const date = new Date(entry.timestamp).toLocaleString(dateLocale, { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+            const stars = '★'.repeat(entry.luckLevel) + '☆'.repeat(Math.max(0, 5 - entry.luckLevel));
+            const question = entry.question ? `<span class="history-question">${escapeHTML(entry.question)}</span>` : '';
+            return `
+                <li>
+                    <button class="history-entry" data-sign-number="${entry.signNumber}" data-lang="${getLanguageConfig(entry.lang) ? entry.lang : ''}">
+                        <span class="history-entry-header">
+                            <span class="history-sign-number">${signNumberPrefix}${entry.signNumber}${signNumberSuffix}</span>
+                            <span class="history-luck">${stars}</span>
+                        </span>
+                        <span class="history-meta">${date} · ${langLabels[entry.lang] || entry.lang}</span>
+                        ${question}
+                    </button>
+                </li>`;
+        }).join('');
+
+        const historyModal = showModal(modalTitle, `<ul class="history-list">${listItems}</ul>`);
+        historyModal.element.querySelectorAll('.history-entry').forEach(entryBtn => {
+            entryBtn.addEventListener('click', async () => {
+                historyModal.close();
+                // Reopen in the language it was drawn in, for this visit only (like a deep link)
+                const entryLang = entryBtn.getAttribute('data-lang');
+                if (entryLang && entryLang !== currentLang) {
+                    await setLanguage(entryLang, { persist: false });
+                }
+                await openSignByNumber(parseInt(entryBtn.getAttribute('data-sign-number'), 10));
+            });
+        });
+    }
+
+    /** Escapes user-entered text for safe insertion into HTML */
+    function escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    historyBtn.addEventListener('click', showHistoryModal);
+
+    // --- Favorites ---
+
+    /**
+     * Syncs the bookmark button on the result box with the shown sign.
+     * @param {object} [sign] - Sign being shown; defaults to currentSign.
+     */
+    function updateFavoriteToggle(sign = currentSign) {
+        if (!sign || !sign.签号) {
+            favoriteToggleBtn.classList.add('hidden');
+            return;
+        }
+        const isFavorite = Favorites.has(sign.签号);
+        const label = isFavorite
+            ? (translations.favoriteRemoveLabel || '取消收藏')
+            : (translations.favoriteAddLabel || '收藏此签');
+        favoriteToggleBtn.classList.remove('hidden');
+        favoriteToggleBtn.classList.toggle('active', isFavorite);
+        favoriteToggleBtn.setAttribute('aria-pressed', String(isFavorite));
+        favoriteToggleBtn.setAttribute('aria-label', label);
+        favoriteToggleBtn.title = label;
+        favoriteToggleBtn.textContent = isFavorite ? '♥' : '♡';
+    }
+
+    favoriteToggleBtn.addEventListener('click', () => {
+        if (!currentSign) return;
+        if (Favorites.has(currentSign.签号)) {
+            Favorites.remove(currentSign.签号);
+            showAlert(translations.favoriteRemoved || '已取消收藏', 1500);
+        } else {
+            Favorites.add(currentSign.签号);
+            showAlert(translations.favoriteAdded || '已收藏，可在"我的收藏"中添加备注', 2000);
+        }
+        updateFavoriteToggle();
+    });
+
+    /** Shows the bookmarked signs with their notes; each can be reopened, shared or removed */
+    async function showFavoritesModal() {
+        const modalTitle = translations.favoritesTitle || '我的收藏';
+        const emptyHTML = `<p class="favorites-empty">${translations.favoritesEmpty || '尚未收藏任何签文'}</p>`;
+        const entries = Favorites.getAll();
+        if (entries.length === 0) {
+            showModal(modalTitle, `<div class="modal-section">${emptyHTML}</div>`);
+            return;
+        }
+
+        const deck = await loadSignData(currentLang);
+        const signNumberPrefix = translations.signNumberPrefix === undefined ? "第 " : translations.signNumberPrefix;
+        const signNumberSuffix = translations.signNumberSuffix === undefined ? " 签" : translations.signNumberSuffix;
+        const notePlaceholder = translations.favoriteNotePlaceholder || '写下这支签对你的意义（可选）';
+
+        const listItems = entries.map(entry => {
+            const sign = deck.find(s => s.签号 === entry.signNumber) || {};
+            return `
+                <li class="favorite-item" data-sign-number="${entry.signNumber}">
+                    <div class="favorite-header">
+                        <span class="favorite-sign-number">${signNumberPrefix}${entry.signNumber}${signNumberSuffix}</span>
+                        <span class="favorite-luck">${sign.幸运指数 || ''}</span>
+                    </div>
+                    <p class="favorite-summary">${escapeHTML(sign.总结 || '')}</p>
+                    <textarea class="favorite-note" rows="2" placeholder="${notePlaceholder}">${escapeHTML(entry.note || '')}</textarea>
+                    <div class="favorite-actions">
+                        <button class="secondary-btn" data-favorite-action="open">${translations.favoriteOpenButton || '查看'}</button>
+                        <button class="secondary-btn" data-favorite-action="share">${translations.shareButtonText || '分享'}</button>
+                        <button class="secondary-btn" data-favorite-action="remove">${translations.favoriteRemoveButton || '移除'}</button>
+                    </div>
+                </li>`;
+        }).join('');
+
+        const favoritesModal = showModal(modalTitle, `<ul class="favorites-list">${listItems}</ul>`);
+        const list = favoritesModal.element.querySelector('.favorites-list');
+
+        list.addEventListener('input', (e) => {
+            if (!e.target.classList.contains('favorite-note')) return;
+            const signNumber = parseInt(e.target.closest('.favorite-item').getAttribute('data-sign-number'), 10);
+            Favorites.setNote(signNumber, e.target.value);
+        });
+
+        list.addEventListener('click', async (e) => {
+            const actionBtn = e.target.closest('[data-favorite-action]');
+            if (!actionBtn) return;
+            const item = actionBtn.closest('.favorite-item');
+            const signNumber = parseInt(item.getAttribute('data-sign-number'), 10);
+
+            switch (actionBtn.getAttribute('data-favorite-action')) {
+                case 'open':
+                    favoritesModal.close();
+                    await openSignByNumber(signNumber);
+                    break;
+                case 'share':
+                    favoritesModal.close();
+                    if (await openSignByNumber(signNumber)) {
+                        shareBtn.click(); // Same flow as sharing a freshly drawn sign
+                    }
+                    break;
+                case 'remove':
+                    Favorites.remove(signNumber);
+                    item.remove();
+                    if (!list.querySelector('.favorite-item')) {
+                        list.outerHTML = emptyHTML;
+                    }
+                    updateFavoriteToggle();
+                    break;
+            }
+        });
+    }
+
+    favoritesBtn.addEventListener('click', showFavoritesModal);
+
+    // --- Sign Catalogue (签谱) ---
+
+    /** Fields covered by the catalogue's full-text search, besides 分类运程 */
+    const CATALOGUE_SEARCH_FIELDS = ['远古预言', '整体运程', '总结'];
+    const CATALOGUE_SNIPPET_RADIUS = 24; // Characters shown on each side of a search match
+    let catalogueRenderToken = 0; // Discards results of renders overtaken by newer input
+
+    /** @returns {boolean} Whether the catalogue screen is showing */
+    function isCatalogueOpen() {
+        return ModalManager.isOpen('catalogue');
+    }
+
+    /** Fills the luck and category filter menus, keeping the current selections */
+    function populateCatalogueFilters() {
+        const selectedLuck = catalogueLuckFilter.value;
+        const selectedCategory = catalogueCategoryFilter.value;
+
+        let luckOptions = `<option value="">${translations.catalogueAllLuck || '全部运势'}</option>`;
+        for (let level = 5; level >= 1; level--) {
+            luckOptions += `<option value="${level}">${'★'.repeat(level)}${'☆'.repeat(5 - level)}</option>`;
+        }
+        catalogueLuckFilter.innerHTML = luckOptions;
+
+        const categoryLabels = getCategoryLabels();
+        catalogueCategoryFilter.innerHTML = `<option value="">${translations.catalogueAllCategories || '全部分类'}</option>` +
+            SignSchema.CATEGORY_KEYS.map(key => `<option value="${key}">${categoryLabels[key] || key}</option>`).join('');
+
+        catalogueLuckFilter.value = selectedLuck;
+        catalogueCategoryFilter.value = selectedCategory;
+    }
+
+    /**
+     * Lists the texts of a sign that the catalogue searches and previews.
+     * @param {object} sign - Sign data object.
+     * @param {string} categoryKey - Selected 分类运程 key, or '' for all fields.
+     * @returns {Array<{label: string, text: string}>}
+     */
+    function getCatalogueTexts(sign, categoryKey) {
+        const categoryLabels = getCategoryLabels();
+        const categories = sign.分类运程 || {};
+        if (categoryKey) {
+            return [{ label: categoryLabels[categoryKey] || categoryKey, text: categories[categoryKey] || '' }];
+        }
+        const fieldLabels = {
+            远古预言: translations.ancientProphecyTitle || '远古预言',
+            整体运程: translations.overallFortuneTitle || '整体运程',
+            总结: ''
+        };
+        return CATALOGUE_SEARCH_FIELDS.map(field => ({ label: fieldLabels[field], text: sign[field] || '' }))
+            .concat(SignSchema.CATEGORY_KEYS.map(key => ({ label: categoryLabels[key] || key, text: categories[key] || '' })));
+    }
+
+    /**
+     * Builds an HTML excerpt of text around the first match of query, with the match highlighted.
+     * @param {string} text - Field text.
+     * @param {number} matchIndex - Position of the match in text.
+     * @param {number} matchLength - Length of the match.
+     * @returns {string}
+     */
+    function buildCatalogueSnippet(text, matchIndex, matchLength) {
+        const start = Math.max(0, matchIndex - CATALOGUE_SNIPPET_RADIUS);
+        const end = Math.min(text.length, matchIndex + matchLength + CATALOGUE_SNIPPET_RADIUS);
+        return (start > 0 ? '…' : '') +
+            escapeHTML(text.slice(start, matchIndex)) +
+            `<mark>${escapeHTML(text.slice(matchIndex, matchIndex + matchLength))}</mark>` +
+            escapeHTML(text.slice(matchIndex + matchLength, end)) +
+            (end < text.length ? '…' : '');
+    }
+
+    /** Re-filters the loaded deck and redraws the catalogue list */
+    async function renderCatalogue() {
+        const renderToken = ++catalogueRenderToken;
+        const deck = await loadSignData(currentLang);
+        if (renderToken !== catalogueRenderToken) return;
+
+        const query = catalogueSearchInput.value.trim().replace(/\s+/g, ' ');
+        const normalizedQuery = query.toLowerCase();
+        const luckLevel = parseInt(catalogueLuckFilter.value, 10);
+        const categoryKey = catalogueCategoryFilter.value;
+        const signNumberPrefix = translations.signNumberPrefix === undefined ? "第 " : translations.signNumberPrefix;
+        const signNumberSuffix = translations.signNumberSuffix === undefined ? " 签" : translations.signNumberSuffix;
+
+        const results = [];
+        deck.forEach(sign => {
+            if (luckLevel && getLuckLevel(sign) !== luckLevel) return;
+            const texts = getCatalogueTexts(sign, categoryKey).map(entry => ({ label: entry.label, text: entry.text.replace(/\s+/g, ' ') }));
+
+            let preview = null;
+            if (!query) {
+                preview = escapeHTML(categoryKey ? texts[0].text : (sign.总结 || ''));
+            } else if (String(sign.签号) === query) {
+                preview = escapeHTML(sign.总结 || ''); // Looking a sign up by its number
+            } else {
+                for (const entry of texts) {
+                    const matchIndex = entry.text.toLowerCase().indexOf(normalizedQuery);
+                    if (matchIndex !== -1) {
+                        const label = entry.label ? `<span class="catalogue-field">${entry.label}</span> ` : '';
+                        preview = label + buildCatalogueSnippet(entry.text, matchIndex, query.length);
+                        break;
+                    }
+                }
+            }
+            if (preview !== null) results.push({ sign, preview });
+        });
+
+        catalogueCount.textContent = (translations.catalogueResultCount || '共 {count} 签').replace('{count}', results.length);
+        if (results.length === 0) {
+            catalogueList.innerHTML = `<li class="catalogue-empty">${translations.catalogueNoResults || '没有符合条件的签文'}</li>`;
+            return;
+        }
+        catalogueList.innerHTML = results.map(({ sign, preview }) => `
+            <li>
+                <button class="catalogue-entry" data-sign-number="${sign.签号}">
+                    <span class="catalogue-entry-header">
+                        <span class="catalogue-sign-number">${signNumberPrefix}${sign.签号}${signNumberSuffix}</span>
+                        <span class="catalogue-luck">${sign.幸运指数 || ''}</span>
+                    </span>
+                    <span class="catalogue-preview">${preview}</span>
+                </button>
+            </li>`).join('');
+    }
+
+    let catalogueModal = null; // Set while the catalogue is open
+
+    /** Shows the catalogue over whichever screen is active */
+    function openCatalogue() {
+        if (catalogueModal) return;
+        populateCatalogueFilters();
+        catalogueModal = ModalManager.open(catalogueScreen, {
+            id: 'catalogue',
+            closeOnBackdrop: false,
+            initialFocus: catalogueSearchInput,
+            onClose: () => { catalogueModal = null; }
+        });
+        catalogueScreen.scrollTop = 0;
+        renderCatalogue();
+    }
+
+    function closeCatalogue() {
+        if (catalogueModal) catalogueModal.close();
+    }
+
+    catalogueBtns.forEach(btn => btn.addEventListener('click', openCatalogue));
+    document.getElementById('catalogue-close').addEventListener('click', closeCatalogue);
+    catalogueSearchInput.addEventListener('input', renderCatalogue);
+    catalogueLuckFilter.addEventListener('change', renderCatalogue);
+    catalogueCategoryFilter.addEventListener('change', renderCatalogue);
+
+    catalogueList.addEventListener('click', async (e) => {
+        const entryBtn = e.target.closest('.catalogue-entry');
+        if (!entryBtn) return;
+        closeCatalogue();
+        await openSignByNumber(parseInt(entryBtn.getAttribute('data-sign-number'), 10));
+    });
+
+    /** Renders sign details */
+    function renderSign(sign) {
+        updateFavoriteToggle(sign);
+        if (!sign) { 
+            qianContent.innerHTML = ''; 
+            return; 
+        }
+
+        const fragment = document.createDocumentFragment();
         const container = document.createElement('div');
         
         const ancientProphecyTitle = translations.ancientProphecyTitle || "远古预言";
@@ -543,22 +1787,26 @@ document.addEventListener('DOMContentLoaded', async () => {
         const signNumberPrefix = translations.signNumberPrefix === undefined ? "第 " : translations.signNumberPrefix;
         const signNumberSuffix = translations.signNumberSuffix === undefined ? " 签" : translations.signNumberSuffix;
         const noDataText = translations.noDataLabel || "(暂无数据)";
+        const luckLabel = sign.幸运指数
+            ? (translations.luckIndexLabel || '幸运指数 {level}/{max}')
+                .replace('{level}', getLuckLevel(sign)).replace('{max}', sign.幸运指数.replace(/[^★☆]/g, '').length)
+            : '';
 
         container.innerHTML = `
             <div class="sign-header">
                 <p class="sign-number">${signNumberPrefix}${sign.签号}${signNumberSuffix}</p>
-                <p class="luck-index">${sign.幸运指数 || ''}</p>
+                <p class="luck-index"><span aria-hidden="true">${sign.幸运指数 || ''}</span><span class="visually-hidden">${luckLabel}</span></p>
             </div>
             <div class="ancient-prophecy">
-                <h3>${ancientProphecyTitle}</h3>
+                <h3>${ancientProphecyTitle}${fallbackBadge(sign, '远古预言')}</h3>
                 <p>${sign.远古预言 ? sign.远古预言.replace(/\n/g, '<br>') : noDataText}</p>
             </div>
             <div class="overall-fortune">
-                <h3>${overallFortuneTitle}</h3>
+                <h3>${overallFortuneTitle}${fallbackBadge(sign, '整体运程')}</h3>
                 <p>${sign.整体运程 ? sign.整体运程.replace(/\n/g, '<br>') : noDataText}</p>
             </div>
             <div class="summary">
-                <h3>${sign.总结 || noDataText}</h3>
+                <h3>${sign.总结 || noDataText}${fallbackBadge(sign, '总结')}</h3>
             </div>
         `;
 
@@ -566,200 +1814,43 @@ document.addEventListener('DOMContentLoaded', async () => {
         
         qianContent.innerHTML = ''; // Clear previous content or spinner
         qianContent.appendChild(fragment); // Append new sign content
+
+        announce((translations.signAnnouncement || '{number}，{luck}。{summary}')
+            .replace('{number}', `${signNumberPrefix}${sign.签号}${signNumberSuffix}`)
+            .replace('{luck}', luckLabel)
+            .replace('{summary}', sign.总结 || ''));
     }
 
-    /** Applies theme based on sign */
+    /** Applies the theme of the sign's luck level, with the festival layer of the day, to the page */
     function applyThemeBasedOnSign(sign) {
-        // Remove all existing theme classes from body
-        document.body.className = document.body.className.replace(/\btheme-[a-z-]+\b/g, '');
+        // Remove all existing theme and festival classes from body
+        document.body.className = document.body.className.replace(/\b(theme|festival)-[a-z-]+\b/g, '');
         
-        // Clear existing effects from effectsContainer
-        const effectsContainer = document.getElementById('effectsContainer');
-        if (effectsContainer) {
-            effectsContainer.innerHTML = ''; // Clear previous particles/rays
-        }
-        
-        // Clear existing theme background elements
-        const themeBg = document.querySelector('.theme-background');
-        if (themeBg) {
-            themeBg.innerHTML = ''; // Clear previous background elements
-        }
-
         // Reset extra styles on buttons and result box to default
-        applyExtraStyles(null); // Pass null for default styles
+        currentTheme = null;
+        applyExtraStyles(null);
+        themeParticles.setScene(null);
 
         if (!sign || typeof sign.幸运指数 !== 'string') {
-            // console.warn("Invalid sign data for theme application. Applying default theme.");
             // Default theme is already applied by applyExtraStyles(null) and no body class
             return;
         }
 
-        const luckLevel = sign.幸运指数.split('').filter(char => char === '★').length;
-        
-        let themeClass = '';
-        let colorTheme = ''; // For addExtraElements
-        let particleCount = 0;
-        let styleKey = ''; // For applyExtraStyles
-
-        switch (luckLevel) {
-            case 5:
-            case 6: // Assuming 6 stars is also very lucky
-                themeClass = 'theme-very-lucky';
-                colorTheme = 'gold';
-                particleCount = 30;
-                styleKey = 'very-lucky';
-                break;
-            case 4:
-                themeClass = 'theme-lucky';
-                colorTheme = 'silver';
-                particleCount = 20;
-                styleKey = 'lucky';
-                break;
-            case 3:
-                themeClass = 'theme-neutral';
-                colorTheme = 'green';
-                particleCount = 15;
-                styleKey = 'neutral';
-                break;
-            case 2:
-                themeClass = 'theme-unlucky';
-                colorTheme = 'red';
-                particleCount = 10;
-                styleKey = 'unlucky';
-                break;
-            default: // Covers 1 star or any other unexpected value
-                themeClass = 'theme-very-unlucky';
-                colorTheme = 'purple';
-                particleCount = 5;
-                styleKey = 'very-unlucky';
-        }
-
-        // Apply theme changes
-        // requestAnimationFrame(() => { // Already called within requestAnimationFrame by caller
-            document.body.classList.add(themeClass);
-            addExtraElements(colorTheme, particleCount);
-            applyExtraStyles(styleKey);
-            createThematicBackground(luckLevel); // This creates elements
-            applyAnimations(luckLevel); // This applies animations to elements created by createThematicBackground
-        // });
-    }
-
-    /** Creates thematic background elements */
-    function createThematicBackground(luckLevel) {
-        let container = document.querySelector('.theme-background');
-        if (!container) {
-            container = document.createElement('div');
-            container.className = 'theme-background';
-            const effectsContainerRef = document.getElementById('effectsContainer'); // Use a different var name
-            const insertBeforeElement = effectsContainerRef ? effectsContainerRef.nextSibling : document.body.firstChild;
-            document.body.insertBefore(container, insertBeforeElement);
-        }
-        container.innerHTML = ''; // Clear existing content
-
-        const elementsCount = Math.max(0, luckLevel * 5); // Consistent with original logic
-        const fragment = document.createDocumentFragment();
-
-        for (let i = 0; i < elementsCount; i++) {
-            const element = document.createElement('div');
-            element.className = 'theme-bg-element'; // Base class
-            
-            Object.assign(element.style, {
-                left: `${Math.random() * 100}%`,
-                top: `${Math.random() * 100}%`,
-                width: `${10 + Math.random() * 40}px`,
-                height: `${10 + Math.random() * 40}px`,
-                transform: `rotate(${Math.random() * 360}deg)`
-            });
-            fragment.appendChild(element);
-        }
-        container.appendChild(fragment);
-    }
-
-    /** Applies animations to background elements */
-    function applyAnimations(luckLevel) {
-        const elements = document.querySelectorAll('.theme-bg-element'); // Should target elements created by createThematicBackground
-        if (elements.length === 0) return;
-
-        const animationClass = luckLevel >= 5 ? 'anim-float-gold' :
-                             luckLevel === 4 ? 'anim-float-silver' :
-                             luckLevel === 3 ? 'anim-float' :
-                             luckLevel === 2 ? 'anim-flicker' :
-                             'anim-fade';
-
-        const batchSize = 10; // Process in batches for performance
-        for (let i = 0; i < elements.length; i += batchSize) {
-            const batch = Array.from(elements).slice(i, i + batchSize);
-            requestAnimationFrame(() => { // Defer each batch to next frame
-                batch.forEach((el, index) => {
-                    el.style.animationDelay = `${(i + index) * 0.1}s`; // Stagger animation start
-                    el.classList.add(animationClass); // Add specific animation class
-                });
-            });
-        }
+        currentTheme = Themes.resolve(getLuckLevel(sign), { festivalId: festivalPreview });
+        document.body.classList.add(...currentTheme.classNames);
+        applyExtraStyles(currentTheme);
+        themeParticles.setScene({ particles: currentTheme.particles, background: currentTheme.background });
     }
 
     // Draw Button Click Handler
     drawBtn.addEventListener('click', () => {
-        if (globalAudio && !globalAudio.paused) { globalAudio.pause(); globalAudio.currentTime = 0; globalAudio = null; }
-
-        const lockEndTime = localStorage.getItem('drawBtnLockUntil');
-        if (lockEndTime && new Date().getTime() < parseInt(lockEndTime)) {
-            mainContent.style.transition = 'opacity 0.8s ease'; mainContent.style.opacity = 0;
-            setTimeout(() => {
-                mainContent.classList.add('hidden');
-                loadingScreen.classList.remove('hidden');
-                loadingScreen.style.opacity = 0; // Start transparent
-                loadingScreen.classList.add('locked');
-                updateLockMessage();
-                setTimeout(() => loadingScreen.style.opacity = 1, 50); // Fade in
-            }, 800);
+        if (screenFlow.getState() !== 'main') return; // Already leaving
+        if (drawRateLimit.getLock()) { // The draw itself is counted on the loading screen
+            screenFlow.go('locked');
             return;
         }
-
-        const clicksData = JSON.parse(localStorage.getItem('drawBtnClicks') || '[]');
-        const now = new Date().getTime();
-        // Filter out clicks older than 4 minutes
-        const recentClicks = clicksData.filter(timestamp => now - timestamp <= 4 * 60 * 1000);
-        recentClicks.push(now); // Add current click
-        localStorage.setItem('drawBtnClicks', JSON.stringify(recentClicks));
-
-        if (recentClicks.length > 3) { // If more than 3 clicks in the last 4 minutes
-            const lockUntil = now + 30 * 60 * 1000; // Lock for 30 minutes
-            localStorage.setItem('drawBtnLockUntil', lockUntil.toString());
-            mainContent.style.transition = 'opacity 0.8s ease'; mainContent.style.opacity = 0;
-            setTimeout(() => {
-                mainContent.classList.add('hidden');
-                loadingScreen.classList.remove('hidden');
-                loadingScreen.style.opacity = 0;
-                loadingScreen.classList.add('locked');
-                updateLockMessage();
-                setTimeout(() => loadingScreen.style.opacity = 1, 50);
-            }, 800);
-            return;
-        }
-
-        // Normal redraw process
-        mainContent.style.transition = 'opacity 0.8s ease';
-        mainContent.style.opacity = 0;
-        setTimeout(() => {
-            mainContent.classList.add('hidden');
-            loadingScreen.classList.remove('hidden');
-            loadingScreen.classList.remove('locked'); // Ensure not locked
-            loadingScreen.style.opacity = 0;
-            updateLockMessage(); // Set to normal loading message
-            
-            setTimeout(() => loadingScreen.style.opacity = 1, 50);
-
-            currentSign = null;
-            qianContent.innerHTML = ''; // Clear sign content
-            applyThemeBasedOnSign(null); // Reset theme
-
-            // Reset sun area elements if they exist
-            const oldSunElements = document.querySelectorAll('.sun-burst, .sun-core');
-            oldSunElements.forEach(el => el.remove());
-            if (sunArea) sunArea.classList.remove('sun-glow');
-
-        }, 800); // After main content fades out
+        clearDeepLink(); // A fresh draw should not reopen the linked sign on reload
+        screenFlow.go('loading');
     });
 
     // Touch feedback for draw button
@@ -778,11 +1869,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 case 'fortune': showFortuneModal(); break;
                 case 'tips': showTipsModal(); break;
                 case 'mantra': showMantraModal(); break;
-                case 'example': 
-                    if (currentLang !== 'en' && btnExample && btnExample.style.display !== 'none') {
-                        showExampleModal();
-                    }
-                    break;
+                case 'example': showExampleModal(); break;
             }
         });
     });
@@ -791,18 +1878,14 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     function showInputModal() {
         return new Promise((resolve) => {
-            const modalId = 'request-input-modal';
-            let existingModal = document.getElementById(modalId);
-            if (existingModal) existingModal.remove();
-
             const modal = document.createElement('div');
-            modal.id = modalId;
+            modal.id = 'request-input-modal';
             modal.className = 'modal input-modal';
             modal.innerHTML = `
                 <div class="modal-content input-modal-content">
                     <div class="modal-header input-modal-header">
                         <h3 class="modal-title input-modal-title">${translations.enterRequestPrompt || '请输入所求之事'}</h3>
-                        <span class="close-modal input-close-modal">&times;</span>
+                        <button type="button" class="close-modal input-close-modal" aria-label="${translations.closeButtonLabel || '关闭'}">&times;</button>
                     </div>
                     <div class="modal-body input-modal-body">
                         <textarea id="request-input-area" class="request-textarea" rows="4" placeholder="${translations.enterRequestPlaceholder || (translations.enterRequestPrompt || '请输入所求之事')}..."></textarea>
@@ -812,155 +1895,19 @@ document.addEventListener('DOMContentLoaded', async () => {
                         </div>
                     </div>
                 </div>`;
-            
-            document.body.appendChild(modal);
 
             const textarea = modal.querySelector('#request-input-area');
             const confirmBtn = modal.querySelector('#confirm-request');
             const cancelBtn = modal.querySelector('#cancel-request');
-            const closeBtn = modal.querySelector('.input-close-modal');
-
-            const styleId = 'input-modal-dynamic-styles';
-            let styleElement = document.getElementById(styleId);
-            if (!styleElement) {
-                styleElement = document.createElement('style');
-                styleElement.id = styleId;
-                document.head.appendChild(styleElement);
-            }
-            
-            styleElement.textContent = `
-                .input-modal .input-modal-content {
-                    background: #2c2a3a; 
-                    border: 1px solid #5a5278; 
-                    border-radius: 12px;
-                    box-shadow: 0 5px 25px rgba(0,0,0,0.5), 0 0 0 1px rgba(255,215,0,0.2) inset;
-                    color: #e0d8f0;
-                    max-width: 520px; 
-                    width: 90%; 
-                }
-                .input-modal .input-modal-header {
-                    border-bottom: 1px solid #4a4660;
-                    padding: 15px 20px; 
-                    display: flex; 
-                    justify-content: space-between; 
-                    align-items: center; 
-                }
-                .input-modal .input-modal-title {
-                    color: var(--gold);
-                    font-size: 1.3em; 
-                    text-shadow: 0 0 5px rgba(255,215,0,0.5);
-                    margin: 0; 
-                    flex-grow: 1; 
-                    text-align: left; 
-                    padding-right: 10px; 
-                }
-                .input-modal .input-close-modal {
-                    color: var(--gold);
-                    opacity: 0.7;
-                    transition: opacity 0.2s;
-                    font-size: 1.8rem; 
-                    padding: 0; 
-                    line-height: 1; 
-                    flex-shrink: 0; 
-                }
-                .input-modal .input-close-modal:hover {
-                    opacity: 1;
-                }
-                .input-modal .input-modal-body {
-                    padding: 25px 30px; 
-                }
-                .request-textarea {
-                    width: 100%;
-                    padding: 12px; 
-                    margin-bottom: 25px; 
-                    border: 1px solid #5a5278; 
-                    border-radius: 8px; 
-                    font-size: 16px; 
-                    background: rgba(20, 18, 30, 0.8); 
-                    color: #e8e0f8; 
-                    resize: vertical; 
-                    min-height: 80px; 
-                    box-sizing: border-box;
-                    font-family: inherit;
-                    line-height: 1.5; 
-                }
-                .request-textarea::placeholder {
-                    color: #9c95b0; 
-                }
-                .request-textarea:focus {
-                    outline: none;
-                    border-color: var(--gold);
-                    box-shadow: 0 0 10px rgba(255, 215, 0, 0.5); 
-                }
-                .input-modal-buttons {
-                    display: flex;
-                    justify-content: flex-end;
-                    gap: 15px; 
-                }
-                .input-modal .modal-btn { 
-                    padding: 12px 25px; 
-                    border-radius: 25px; 
-                    font-size: 1em;
-                    font-weight: bold;
-                    cursor: pointer;
-                    transition: all 0.2s ease-out;
-                    border: 1px solid transparent;
-                }
-                .input-modal .input-confirm-btn {
-                    background: var(--gold);
-                    color: #2c2a3a; 
-                    border-color: var(--gold);
-                }
-                .input-modal .input-confirm-btn:hover {
-                    background: #e6c300; 
-                    box-shadow: 0 2px 10px rgba(255,215,0,0.4);
-                }
-                .input-modal .input-cancel-btn {
-                    background: transparent;
-                    color: #c0b8d0; 
-                    border: 1px solid #6a6288; 
-                }
-                .input-modal .input-cancel-btn:hover {
-                    background: rgba(255,255,255,0.08);
-                    color: #f0e8ff;
-                    border-color: #8a839e;
-                }
-            `;
 
-            setTimeout(() => textarea.focus(), 100);
-
-            const closeModalFunction = () => { 
-                modal.remove();
-            };
-
-            confirmBtn.addEventListener('click', () => {
-                const value = textarea.value.trim();
-                closeModalFunction();
-                resolve(value);
+            const inputModal = ModalManager.open(modal, {
+                id: 'request-input',
+                initialFocus: textarea,
+                onClose: value => resolve(typeof value === 'string' ? value : null)
             });
 
-            cancelBtn.addEventListener('click', () => {
-                closeModalFunction();
-                resolve(null);
-            });
-
-            closeBtn.addEventListener('click', () => {
-                closeModalFunction();
-                resolve(null);
-            });
-            
-            modal.addEventListener('click', (e) => {
-                if (e.target === modal) {
-                    closeModalFunction();
-                    resolve(null);
-                }
-            });
-             textarea.addEventListener('keyup', (e) => {
-                if (e.key === 'Escape') {
-                    closeModalFunction();
-                    resolve(null);
-                }
-            });
+            confirmBtn.addEventListener('click', () => inputModal.close(textarea.value.trim()));
+            cancelBtn.addEventListener('click', () => inputModal.close(null));
         });
     }
 
@@ -970,284 +1917,474 @@ document.addEventListener('DOMContentLoaded', async () => {
             return;
         }
 
+        ShareCard.loadFonts(); // Start fetching the card font while the user types
         const userRequest = await showInputModal();
         if (userRequest === null) return; 
         
         currentUserRequest = userRequest;
+        recordDrawQuestion(currentUserRequest);
+        drawRateLimit.recordQuestion(currentUserRequest, currentSign.签号); // Re-asking for another sign locks the next draw
 
         const originalShareText = shareBtn.querySelector('[data-lang-key]').textContent;
         shareBtn.querySelector('[data-lang-key]').textContent = translations.generatingImage || "生成中...";
         shareBtn.disabled = true;
 
         try {
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            
-            const canvasWidth = 500;
-            const sidePadding = 35; 
-            const contentWidth = canvasWidth - (sidePadding * 2);
-            
-            const baseFontFamily = `KaiTi, STKaiti, "华文楷体", SimSun, "儷宋 Pro", "LiSong Pro", serif`;
-            const engBaseFontFamily = `Georgia, "Times New Roman", Times, serif`;
-            
-            const titleFontSize = 30;       
-            const requestFontSize = 24;     
-            const dateFontSize = 16;        
-            const luckIndexFontSize = 22;   // Increased Luck Index font size
-            const sectionTitleFontSize = 23;
-            const bodyFontSize = 19;        
-            const summaryFontSize = 26;     
-            const qrSize = 80;             
-
-            const requestLineHeight = requestFontSize * 1.4;
-            const luckIndexLineHeight = luckIndexFontSize * 1.35; // Adjusted
-            const bodyLineHeight = bodyFontSize * 1.5; 
-            const summaryLineHeight = summaryFontSize * 1.4;
-
-            const topPadding = 40;
-            const spaceAfterTitle = 20;
-            const spaceAfterRequest = 20;
-            const spaceAfterDate = 18;      
-            const spaceAfterLuckIndex = 30; 
-            const spaceAfterSectionTitle = 15;
-            const spaceBetweenSections = 28;
-            const spaceBeforeSummary = 30;
-            const spaceAfterSummary = 30;
-            const spaceBeforeQR = 25; 
-            const bottomPadding = 40;
-
-            let currentY = topPadding;
-
-            // --- Calculate total height needed ---
-            ctx.font = `bold ${titleFontSize}px ${baseFontFamily}`;
-            currentY += titleFontSize + spaceAfterTitle;
-
-            ctx.font = `bold ${requestFontSize}px ${baseFontFamily}`;
-            const requestLines = wrapText(ctx, currentUserRequest, contentWidth);
-            currentY += requestLines.length * requestLineHeight + spaceAfterRequest;
-            
-            ctx.font = `${dateFontSize}px ${engBaseFontFamily}`; 
-            currentY += dateFontSize + spaceAfterDate;
-
-            ctx.font = `bold ${luckIndexFontSize}px Arial, sans-serif`;
-            currentY += luckIndexLineHeight + spaceAfterLuckIndex;
-
-            ctx.font = `bold ${sectionTitleFontSize}px ${baseFontFamily}`;
-            currentY += sectionTitleFontSize + spaceAfterSectionTitle;
-            ctx.font = `${bodyFontSize}px ${currentLang === 'en' ? engBaseFontFamily : baseFontFamily}`;
-            const prophecyText = currentSign.远古预言 || (translations.noDataLabel || "(No Data)");
-            const prophecyLinesWrapped = prophecyText.split('\n').reduce((acc, val) => acc.concat(wrapText(ctx, val, contentWidth)), []);
-            currentY += prophecyLinesWrapped.length * bodyLineHeight + spaceBetweenSections;
-
-            ctx.font = `bold ${sectionTitleFontSize}px ${baseFontFamily}`;
-            currentY += sectionTitleFontSize + spaceAfterSectionTitle;
-            ctx.font = `${bodyFontSize}px ${currentLang === 'en' ? engBaseFontFamily : baseFontFamily}`;
-            const fortuneText = currentSign.整体运程 || (translations.noDataLabel || "(No Data)");
-            const fortuneLinesWrapped = fortuneText.split('\n').reduce((acc, val) => acc.concat(wrapText(ctx, val, contentWidth)), []);
-            currentY += fortuneLinesWrapped.length * bodyLineHeight + spaceBeforeSummary;
-
-            ctx.font = `bold ${summaryFontSize}px ${baseFontFamily}`;
-            const summaryText = currentSign.总结 || (translations.noDataLabel || "(No Data)");
-            const summaryLinesWrapped = wrapText(ctx, summaryText, contentWidth);
-            currentY += summaryLinesWrapped.length * summaryLineHeight + spaceAfterSummary;
-            
-            currentY += spaceBeforeQR + qrSize + bottomPadding; 
-            
-            const calculatedCanvasHeight = Math.max(currentY, 900); 
-
-            canvas.width = canvasWidth;
-            canvas.height = calculatedCanvasHeight;
-            // --- End Height Calculation ---
+            await generateShareCard(selectedShareTemplate);
+        } catch (error) {
+            console.error('Error generating share image:', error);
+            showAlert(translations.generateShareImageError || '生成分享图片失败，请重试');
+        } finally {
+            shareBtn.querySelector('[data-lang-key]').textContent = originalShareText;
+            shareBtn.disabled = false;
+        }
+    });
 
+    // --- Share Card Templates ---
 
-            // --- Drawing with Bright & Mystical Theme ---
-            ctx.fillStyle = '#FFFDF7'; // Very light, almost white with a hint of cream/yellow
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
-            
-            // Decorative border - Using a double line
-            ctx.strokeStyle = '#D0BBA0'; // Softer, desaturated gold
-            ctx.lineWidth = 7; 
-            ctx.strokeRect(ctx.lineWidth / 2, ctx.lineWidth / 2, canvas.width - ctx.lineWidth, canvas.height - ctx.lineWidth);
-            ctx.strokeStyle = '#F0E6D2'; // Very light inner line for highlight effect
-            ctx.lineWidth = 2;
-            ctx.strokeRect(10, 10, canvas.width - 20, canvas.height - 20);
+    const storedShareTemplate = localStorage.getItem('shareTemplate');
+    let selectedShareTemplate = ShareCard.listTemplates().some(t => t.id === storedShareTemplate) ? storedShareTemplate : 'classic';
 
+    /**
+     * @param {string} lang - Language code.
+     * @returns {{body: string, heading: string}} Canvas font families from the language registry.
+     */
+    function getCanvasFonts(lang) {
+        const baseFontFamily = `"LXGW WenKai Lingqian", KaiTi, STKaiti, "华文楷体", SimSun, "儷宋 Pro", "LiSong Pro", serif`;
+        const langFonts = Object.assign(
+            { canvasBody: baseFontFamily, canvasHeading: baseFontFamily },
+            (getLanguageConfig(lang) || {}).fonts
+        );
+        return { body: langFonts.canvasBody, heading: langFonts.canvasHeading };
+    }
 
-            currentY = topPadding;
-            
-            // App Title
-            ctx.textAlign = 'center';
-            ctx.fillStyle = '#5D4037'; // Darker, rich brown
-            ctx.font = `bold ${titleFontSize}px "${currentLang === 'en' ? 'Times New Roman' : 'STKaiti'}", ${baseFontFamily}`; 
-            ctx.shadowColor = "rgba(0,0,0,0.1)";
-            ctx.shadowBlur = 2;
-            ctx.shadowOffsetX = 1;
-            ctx.shadowOffsetY = 1;
-            ctx.fillText(translations.appTitle || '灵签玄机', canvas.width / 2, currentY + titleFontSize * 0.75); 
-            ctx.shadowColor = "transparent"; 
-            currentY += titleFontSize + spaceAfterTitle;
-            
-            // User Request
-            ctx.font = `bold ${requestFontSize}px "${currentLang === 'en' ? 'Times New Roman' : 'STKaiti'}", ${baseFontFamily}`; 
-            ctx.fillStyle = '#795548'; 
-            requestLines.forEach(line => {
-                ctx.fillText(line, canvas.width / 2, currentY + requestFontSize * 0.75);
-                currentY += requestLineHeight;
-            });
-            if (requestLines.length > 0) currentY -= requestLineHeight;
-            currentY += requestLineHeight + spaceAfterRequest;
-
-            // Date
-            ctx.font = `italic ${dateFontSize}px ${engBaseFontFamily}`; 
-            ctx.fillStyle = '#9E8A7A'; 
-            const displayDate = new Date().toLocaleDateString((currentLang === 'zh' ? 'zh-CN' : 'en-US'), { year: 'numeric', month: 'long', day: 'numeric' });
-            ctx.fillText(displayDate, canvas.width / 2, currentY + dateFontSize * 0.75);
-            currentY += dateFontSize + spaceAfterDate;
-
-            // Luck Index (Stars)
-            const luckIndexText = currentSign.幸运指数 || "";
-            ctx.font = `bold ${luckIndexFontSize}px Arial, sans-serif`; 
-            ctx.fillStyle = '#FFC107'; // Bright Gold color for stars
-            ctx.shadowColor = "rgba(180, 120, 0, 0.4)"; // Gold shadow
-            ctx.shadowBlur = 4;
-            ctx.shadowOffsetX = 1;
-            ctx.shadowOffsetY = 1;
-            ctx.fillText(luckIndexText, canvas.width / 2, currentY + luckIndexFontSize * 0.75);
-            ctx.shadowColor = "transparent"; // Reset shadow
-            currentY += luckIndexLineHeight + spaceAfterLuckIndex;
-            
-            // Content Sections
-            ctx.textAlign = 'left';
-            const sectionTextColor = '#5D4037'; 
-            const sectionTitleColor = '#4E342E'; 
-
-            function drawDecorativeLine(yPos) { // More subtle line
-                ctx.strokeStyle = '#E0D6C0'; // Light beige line
-                ctx.lineWidth = 0.75;
-                const lineY = yPos - spaceAfterSectionTitle / 2 + 3; // Adjusted position
-                ctx.beginPath();
-                ctx.moveTo(sidePadding, lineY);
-                ctx.lineTo(canvasWidth - sidePadding, lineY);
-                ctx.stroke();
+    /** Collects the current sign's texts, fonts and colours for ShareCard.render() */
+    function buildShareCardContent() {
+        const noDataText = translations.noDataLabel || "(No Data)";
+        const luckColors = Themes.getLuckTheme(getLuckLevel(currentSign)).colors; // Festivals don't recolour the card
+
+        return {
+            appTitle: translations.appTitle || '灵签玄机',
+            request: currentUserRequest,
+            locale: (getLanguageConfig(currentLang) || {}).locale,
+            dateText: new Date().toLocaleDateString((getLanguageConfig(currentLang) || {}).locale, { year: 'numeric', month: 'long', day: 'numeric' }),
+            luckIndex: currentSign.幸运指数 || '',
+            luckColors: { stops: luckColors.stops, color: luckColors.accent },
+            sections: {
+                prophecy: { title: translations.ancientProphecyTitle || "Ancient Prophecy", text: currentSign.远古预言 || noDataText },
+                fortune: { title: translations.overallFortuneTitle || "Overall Fortune", text: currentSign.整体运程 || noDataText }
+            },
+            summary: currentSign.总结 || noDataText,
+            fonts: getCanvasFonts(currentLang),
+            createQrImage: (size, colors) => {
+                return QRCode.toCanvas(document.createElement('canvas'), buildSignDeepLink(currentSign.签号, currentLang), {
+                    size,
+                    level: 'H',
+                    background: colors.background,
+                    foreground: colors.foreground
+                });
             }
-            
-            // Ancient Prophecy
-            drawDecorativeLine(currentY);
-            ctx.font = `bold ${sectionTitleFontSize}px "${currentLang === 'en' ? 'Times New Roman' : 'STKaiti'}", ${baseFontFamily}`; 
-            ctx.fillStyle = sectionTitleColor;
-            ctx.fillText(translations.ancientProphecyTitle || "Ancient Prophecy", sidePadding, currentY + sectionTitleFontSize * 0.75); 
-            currentY += sectionTitleFontSize + spaceAfterSectionTitle;
-            
-            ctx.font = `${bodyFontSize}px ${currentLang === 'en' ? engBaseFontFamily : baseFontFamily}`; 
-            ctx.fillStyle = sectionTextColor;
-            prophecyLinesWrapped.forEach(line => {
-                ctx.fillText(line, sidePadding, currentY + bodyFontSize * 0.75); 
-                currentY += bodyLineHeight;
-            });
-            if (prophecyLinesWrapped.length > 0) currentY -= bodyLineHeight; 
-            currentY += bodyLineHeight + spaceBetweenSections;
-
-            // Overall Fortune
-            drawDecorativeLine(currentY);
-            ctx.font = `bold ${sectionTitleFontSize}px "${currentLang === 'en' ? 'Times New Roman' : 'STKaiti'}", ${baseFontFamily}`; 
-            ctx.fillStyle = sectionTitleColor;
-            ctx.fillText(translations.overallFortuneTitle || "Overall Fortune", sidePadding, currentY + sectionTitleFontSize * 0.75); 
-            currentY += sectionTitleFontSize + spaceAfterSectionTitle;
-            
-            ctx.font = `${bodyFontSize}px ${currentLang === 'en' ? engBaseFontFamily : baseFontFamily}`; 
-            ctx.fillStyle = sectionTextColor;
-            fortuneLinesWrapped.forEach(line => {
-                ctx.fillText(line, sidePadding, currentY + bodyFontSize * 0.75); 
-                currentY += bodyLineHeight;
-            });
-            if (fortuneLinesWrapped.length > 0) currentY -= bodyLineHeight; 
-            currentY += bodyLineHeight + spaceBeforeSummary;
-            
-            // Summary
-            drawDecorativeLine(currentY);
-            ctx.textAlign = 'center';
-            ctx.font = `bold ${summaryFontSize}px "${currentLang === 'en' ? 'Times New Roman' : 'STKaiti'}", ${baseFontFamily}`; 
-            ctx.fillStyle = '#6D4C41'; 
-            summaryLinesWrapped.forEach(line => {
-                ctx.fillText(line, canvas.width / 2, currentY + summaryFontSize * 0.75);
-                currentY += summaryLineHeight;
-            });
-            if (summaryLinesWrapped.length > 0) currentY -= summaryLineHeight;
-            currentY += summaryLineHeight + spaceAfterSummary;
-
-            // QR Code (Centered, no text below)
-            const qrCanvasElement = document.createElement('canvas'); 
-            new QRious({
-                element: qrCanvasElement,
-                value: 'https://fish-gao.github.io',
-                size: qrSize,
-                level: 'H', 
-                background: 'rgba(255,255,255,0.9)', // Slightly transparent white
-                foreground: '#402E2F' 
-            });
-            
-            const qrXPos = (canvasWidth - qrSize) / 2; 
-            const qrActualYPosition = canvas.height - bottomPadding - qrSize;
-            ctx.drawImage(qrCanvasElement, qrXPos, qrActualYPosition, qrSize, qrSize);
-            
-            // --- End Drawing ---
+        };
+    }
+
+    /**
+     * Collects the current sign in Chinese and English for bilingual share cards.
+     * Chinese is taken in the current script (Simplified or Traditional) when a Chinese language is active.
+     * @returns {Promise<object>} content.bilingual for ShareCard.render()
+     */
+    async function buildBilingualShareContent() {
+        const noDataText = translations.noDataLabel || "(No Data)";
+        const chineseLang = /^zh/.test((getLanguageConfig(currentLang) || {}).locale || '') ? currentLang : 'zh';
+        const [chineseDeck, englishDeck] = await Promise.all([loadSignData(chineseLang), loadSignData('en')]);
+        const chineseSign = chineseDeck.find(sign => sign.签号 === currentSign.签号) || {};
+        const englishSign = englishDeck.find(sign => sign.签号 === currentSign.签号) || {};
+        // English fields filled from the Chinese deck would only repeat the Chinese text
+        const englishText = field => ((englishSign._fallbackFields || {})[field] ? '' : englishSign[field] || '');
+
+        return {
+            sections: {
+                prophecy: { title: translations.shareBilingualProphecyTitle || '远古预言 · Ancient Prophecy', primary: chineseSign.远古预言 || noDataText, secondary: englishText('远古预言') },
+                fortune: { title: translations.shareBilingualFortuneTitle || '整体运程 · Overall Fortune', primary: chineseSign.整体运程 || noDataText, secondary: englishText('整体运程') },
+                summary: { title: '', primary: chineseSign.总结 || noDataText, secondary: englishText('总结') }
+            },
+            fonts: { primary: getCanvasFonts(chineseLang), secondary: getCanvasFonts('en') }
+        };
+    }
 
-            const imageDataUrl = canvas.toDataURL('image/png');
-            previewImageElement.src = imageDataUrl;
-            imagePreviewModal.classList.remove('hidden');
-            imagePreviewModal.style.opacity = 1;
+    /**
+     * Renders the current sign with a share-card template and shows it in the preview modal.
+     * @param {string} templateId - A ShareCard template id.
+     */
+    async function generateShareCard(templateId) {
+        await ShareCard.loadFonts(); // Draw only once the bundled font is ready (or has timed out)
+        const content = buildShareCardContent();
+        const template = ShareCard.listTemplates().find(t => t.id === templateId);
+        if (template && template.bilingual) {
+            content.bilingual = await buildBilingualShareContent();
+        }
+        const canvas = ShareCard.render(templateId, content);
+        const imageBlob = await canvasToBlob(canvas);
+        previewImageElement.src = canvas.toDataURL('image/png');
+        renderShareTemplateSwitcher();
+        ModalManager.open(imagePreviewModal, { id: 'share-preview' }); // Already open when switching templates
+        renderShareActions(imageBlob, `lingqian-${currentSign.签号}-${templateId}.png`);
+    }
 
-            const instructionArea = imagePreviewModal.querySelector('.preview-instruction-area'); 
-            if (instructionArea) {
-                instructionArea.innerHTML = `<p class="long-press-instruction">${translations.longPressToSaveInstruction || '长按图片保存到手机相册'}</p>`;
-            }
-            
+    /** Lists the templates above the preview; picking one re-renders the card */
+    function renderShareTemplateSwitcher() {
+        const switcher = imagePreviewModal.querySelector('.share-template-switcher');
+        switcher.innerHTML = ShareCard.listTemplates().map(template => `
+            <button class="share-template-btn${template.id === selectedShareTemplate ? ' active' : ''}" data-template="${template.id}" aria-pressed="${template.id === selectedShareTemplate}">
+                ${translations[template.labelKey] || template.label}
+            </button>`).join('');
+    }
+
+    imagePreviewModal.querySelector('.share-template-switcher').addEventListener('click', async (e) => {
+        const templateBtn = e.target.closest('.share-template-btn');
+        if (!templateBtn || templateBtn.getAttribute('data-template') === selectedShareTemplate) return;
+        selectedShareTemplate = templateBtn.getAttribute('data-template');
+        localStorage.setItem('shareTemplate', selectedShareTemplate);
+        try {
+            await generateShareCard(selectedShareTemplate);
         } catch (error) {
             console.error('Error generating share image:', error);
             showAlert(translations.generateShareImageError || '生成分享图片失败，请重试');
-        } finally {
-            shareBtn.querySelector('[data-lang-key]').textContent = originalShareText;
-            shareBtn.disabled = false;
         }
     });
 
-    function wrapText(ctx, text, maxWidth) {
-        const lines = [];
-        if (!text) return lines;
-        const paragraphs = text.split('\n'); 
-
-        paragraphs.forEach(paragraph => {
-            let currentLine = "";
-            const chars = paragraph.split(''); 
-            for (let i = 0; i < chars.length; i++) {
-                const char = chars[i];
-                const testLine = currentLine + char;
-                if (ctx.measureText(testLine).width > maxWidth && currentLine.length > 0) {
-                    lines.push(currentLine);
-                    currentLine = char;
-                } else {
-                    currentLine = testLine;
+    /**
+     * Encodes a canvas as a PNG blob.
+     * @param {HTMLCanvasElement} canvas
+     * @returns {Promise<Blob>}
+     */
+    function canvasToBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas could not be encoded'))), 'image/png');
+        });
+    }
+
+    /**
+     * Works out how the share image can leave the page in this browser.
+     * In-app browsers (WeChat, QQ, Weibo) ignore downloads, so long-press is the only option there.
+     * @param {File} file - The PNG to share.
+     * @returns {{share: boolean, download: boolean, copy: boolean}}
+     */
+    function detectShareCapabilities(file) {
+        const isInAppBrowser = /MicroMessenger|QQ\/|Weibo/i.test(navigator.userAgent);
+        let share = false;
+        try {
+            share = typeof navigator.share === 'function' && typeof navigator.canShare === 'function' && navigator.canShare({ files: [file] });
+        } catch (error) {
+            share = false; // Some browsers throw for unsupported file types instead of returning false
+        }
+        return {
+            share,
+            download: !isInAppBrowser && 'download' in HTMLAnchorElement.prototype,
+            copy: !isInAppBrowser && window.isSecureContext && !!(navigator.clipboard && navigator.clipboard.write) && typeof window.ClipboardItem === 'function'
+        };
+    }
+
+    /**
+     * Fills the preview's instruction area with the share, download and copy buttons this
+     * browser supports, and an instruction that matches them.
+     * @param {Blob} imageBlob - The rendered share card.
+     * @param {string} fileName - Name for the shared or downloaded file.
+     */
+    function renderShareActions(imageBlob, fileName) {
+        const instructionArea = imagePreviewModal.querySelector('.preview-instruction-area');
+        if (!instructionArea) return;
+        const file = new File([imageBlob], fileName, { type: 'image/png' });
+        const capabilities = detectShareCapabilities(file);
+        const isTouchDevice = window.matchMedia('(pointer: coarse)').matches;
+
+        let instruction;
+        if (capabilities.share) {
+            instruction = translations.shareFileInstruction || '点击"分享"发送给好友或存入相册';
+        } else if (isTouchDevice || (!capabilities.download && !capabilities.copy)) {
+            instruction = translations.longPressToSaveInstruction || '长按图片保存到手机相册';
+        } else if (capabilities.copy) {
+            instruction = translations.downloadOrCopyInstruction || '下载图片保存，或复制后粘贴到聊天窗口';
+        } else {
+            instruction = translations.downloadInstruction || '点击"下载图片"保存到电脑';
+        }
+
+        const buttons = [];
+        if (capabilities.share) buttons.push(`<button class="share-action-btn" data-share-action="share">📤 ${translations.shareFileButton || '分享'}</button>`);
+        if (capabilities.download) buttons.push(`<button class="share-action-btn" data-share-action="download">⬇️ ${translations.downloadImageButton || '下载图片'}</button>`);
+        if (capabilities.copy) buttons.push(`<button class="share-action-btn" data-share-action="copy">📋 ${translations.copyImageButton || '复制图片'}</button>`);
+
+        instructionArea.innerHTML = `
+            ${buttons.length > 0 ? `<div class="share-action-buttons">${buttons.join('')}</div>` : ''}
+            <p class="long-press-instruction">${instruction}</p>`;
+
+        instructionArea.querySelectorAll('[data-share-action]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const action = button.getAttribute('data-share-action');
+                try {
+                    if (action === 'share') {
+                        await navigator.share({ files: [file], title: translations.appTitle || '灵签玄机' });
+                    } else if (action === 'download') {
+                        const objectUrl = URL.createObjectURL(imageBlob);
+                        const link = document.createElement('a');
+                        link.href = objectUrl;
+                        link.download = fileName;
+                        document.body.appendChild(link);
+                        link.click();
+                        link.remove();
+                        setTimeout(() => URL.revokeObjectURL(objectUrl), 10000);
+                    } else if (action === 'copy') {
+                        await navigator.clipboard.write([new ClipboardItem({ 'image/png': imageBlob })]);
+                        showAlert(translations.imageCopied || '图片已复制，可直接粘贴');
+                    }
+                } catch (error) {
+                    if (error.name === 'AbortError') return; // The user closed the share sheet
+                    console.error(`Share action "${action}" failed:`, error);
+                    showAlert(action === 'copy'
+                        ? (translations.copyImageError || '复制失败，请长按或下载图片')
+                        : (translations.shareFileError || '分享失败，请长按或下载图片'));
                 }
-            }
-            if (currentLine) {
-                lines.push(currentLine);
-            }
+            });
         });
-        return lines;
     }
 
+    // --- Mantra Player ---
 
-    closePreviewModalBtn.addEventListener('click', () => {
-        imagePreviewModal.style.opacity = 0;
-        setTimeout(() => imagePreviewModal.classList.add('hidden'), 300); 
+    const MANTRA_REPEAT_OPTIONS = [0, 1, 3, 7, 21]; // 0 = loop the current mantra forever
+    const MANTRA_SLEEP_OPTIONS = [0, 15, 30, 60]; // Minutes
+    let mantraSleepMinutesChosen = 0;
+    let sleepCountdownInterval = null;
+
+    /** Restores the saved order and repeat settings of the mantra player */
+    function loadMantraPlayerSettings() {
+        try {
+            const settings = JSON.parse(localStorage.getItem('mantraPlayerSettings')) || {};
+            if (settings.orderMode) MantraPlayer.setOrderMode(settings.orderMode);
+            if (MANTRA_REPEAT_OPTIONS.includes(settings.repeatCount)) MantraPlayer.setRepeatCount(settings.repeatCount);
+        } catch (error) {
+            console.warn('Ignoring unreadable mantra player settings:', error);
+        }
+    }
+
+    function saveMantraPlayerSettings() {
+        const { orderMode, repeatCount } = MantraPlayer.getState();
+        localStorage.setItem('mantraPlayerSettings', JSON.stringify({ orderMode, repeatCount }));
+    }
+
+    /** Loads every distinct mantra of the current deck into the player, in 签号 order */
+    async function refreshMantraPlaylist() {
+        const deck = await loadSignData(currentLang);
+        const seenFiles = new Set();
+        const tracks = [];
+        deck.forEach(sign => {
+            if (!sign.文件名 || seenFiles.has(sign.文件名)) return;
+            seenFiles.add(sign.文件名);
+            tracks.push({
+                fileName: sign.文件名,
+                title: sign.文件标题 || sign.文件名.replace(/\.mp3$/i, ''),
+                sanskrit: sign.梵文 || '',
+                meaning: sign.咒语含义 || '',
+                signNumber: sign.签号
+            });
+        });
+        MantraPlayer.setPlaylist(tracks, { artist: translations.appTitle || '灵签玄机' });
+    }
+
+    /** @returns {string} Remaining sleep-timer time as m:ss, or '' when no timer is set */
+    function formatSleepRemaining() {
+        const { sleepEndsAt } = MantraPlayer.getState();
+        if (!sleepEndsAt) return '';
+        const seconds = Math.max(0, Math.ceil((sleepEndsAt - Date.now()) / 1000));
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /** Refreshes every visible sleep-timer countdown, ticking once a second while a timer runs */
+    function updateSleepCountdowns() {
+        const remaining = formatSleepRemaining();
+        document.querySelectorAll('.mantra-sleep-remaining, .now-playing-sleep').forEach(el => {
+            el.textContent = remaining ? `⏲ ${remaining}` : '';
+        });
+        if (remaining && !sleepCountdownInterval) {
+            sleepCountdownInterval = setInterval(updateSleepCountdowns, 1000);
+        } else if (!remaining && sleepCountdownInterval) {
+            clearInterval(sleepCountdownInterval);
+            sleepCountdownInterval = null;
+        }
+    }
+
+    /** Shows the mini player while a mantra is loaded and the mantra modal is not open */
+    function updateNowPlayingBar() {
+        const state = MantraPlayer.getState();
+        const mantraPlayBtn = document.getElementById('play-mantra');
+        const mantraModalOpen = !!mantraPlayBtn && !mantraPlayBtn.closest('.modal-closing'); // Fading out counts as closed
+        nowPlayingBar.classList.toggle('hidden', !state.track || mantraModalOpen);
+        if (!state.track) return;
+        nowPlayingBar.querySelector('.now-playing-title').textContent = state.track.title;
+        const toggleBtn = nowPlayingBar.querySelector('.now-playing-toggle');
+        toggleBtn.textContent = state.isPlaying ? '⏸' : '▶';
+        toggleBtn.setAttribute('aria-label', state.isPlaying ? (translations.pauseButton || '暂停') : (translations.playButton || '播放'));
+        nowPlayingBar.querySelector('.now-playing-stop').setAttribute('aria-label', translations.stopButton || '停止');
+        updateSleepCountdowns();
+    }
+
+    MantraPlayer.on('change', (state) => {
+        updateNowPlayingBar();
+        if (state.error) showAlert(translations.audioLoadError || '音频加载失败');
     });
-    
-    imagePreviewModal.addEventListener('click', (e) => {
-        if (e.target === imagePreviewModal) {
-            imagePreviewModal.style.opacity = 0;
-            setTimeout(() => imagePreviewModal.classList.add('hidden'), 300);
+    nowPlayingBar.querySelector('.now-playing-info').addEventListener('click', showMantraModal);
+    nowPlayingBar.querySelector('.now-playing-toggle').addEventListener('click', () => {
+        if (MantraPlayer.getState().isPlaying) {
+            MantraPlayer.pause();
+        } else {
+            MantraPlayer.resume().catch(error => console.error('Audio playback failed:', error));
         }
     });
+    nowPlayingBar.querySelector('.now-playing-stop').addEventListener('click', () => MantraPlayer.stop());
+    loadMantraPlayerSettings();
+
+    // --- Mala Recitation Counter (念珠计数) ---
+
+    const MALA_BEAD_COUNT = 108;
+    const RECITATION_TARGET_OPTIONS = [0, 21, 27, 54, 108]; // 0 = no target
+    const storedRecitationTarget = parseInt(localStorage.getItem('recitationTarget'), 10);
+    let recitationTarget = RECITATION_TARGET_OPTIONS.includes(storedRecitationTarget) ? storedRecitationTarget : 108;
+    let recitationSession = { fileName: null, count: 0 }; // Recitations since the mantra was chosen or reset
+
+    /** @returns {string} Markup of the mala counter shown in the mantra modal */
+    function buildMalaCounterHTML() {
+        const center = 100;
+        const radius = 82;
+        let beads = '';
+        for (let i = 0; i < MALA_BEAD_COUNT; i++) {
+            const angle = (i / MALA_BEAD_COUNT) * 2 * Math.PI - Math.PI / 2; // Bead 0 at the top
+            const x = (center + radius * Math.cos(angle)).toFixed(2);
+            const y = (center + radius * Math.sin(angle)).toFixed(2);
+            beads += `<circle class="mala-bead" cx="${x}" cy="${y}" r="2.3"></circle>`;
+        }
+        const targetOptions = RECITATION_TARGET_OPTIONS.map(target => {
+            const label = target === 0 ? (translations.recitationNoTarget || '不设目标') : target;
+            return `<option value="${target}"${target === recitationTarget ? ' selected' : ''}>${label}</option>`;
+        }).join('');
+
+        return `
+            <div class="mala-counter">
+                <button class="mala" aria-label="${translations.malaTapLabel || '轻触念珠，计数一遍'}">
+                    <svg viewBox="0 0 200 200" aria-hidden="true">
+                        <g class="mala-ring">${beads}</g>
+                        <circle class="mala-guru-bead" cx="${center}" cy="${center - radius - 9}" r="5"></circle>
+                    </svg>
+                    <span class="mala-center">
+                        <span class="mala-count">0</span>
+                        <span class="mala-target"></span>
+                    </span>
+                </button>
+                <p class="mala-info">
+                    <span class="mala-round"></span>
+                    <span class="mala-total"></span>
+                </p>
+                <div class="mala-controls">
+                    <label class="mantra-setting">
+                        <span>${translations.recitationTargetLabel || '目标遍数'}</span>
+                        <select id="recitation-target">${targetOptions}</select>
+                    </label>
+                    <button class="secondary-btn mala-reset">${translations.recitationResetButton || '归零'}</button>
+                </div>
+            </div>`;
+    }
+
+    /**
+     * Counts one recitation of a mantra, from a completed audio loop or a bead tap.
+     * @param {string} fileName - The mantra's 文件名.
+     */
+    function countRecitation(fileName) {
+        if (recitationSession.fileName !== fileName) {
+            recitationSession = { fileName, count: 0 }; // A different mantra starts a new round
+        }
+        recitationSession.count++;
+        RecitationLog.add(fileName);
+        if (recitationTarget > 0 && recitationSession.count === recitationTarget) {
+            celebrateRecitationTarget();
+        }
+        updateMalaCounter(true);
+    }
+
+    /** Chime, vibration and a message when the session reaches its target */
+    function celebrateRecitationTarget() {
+        playCompletionChime();
+        if (navigator.vibrate) navigator.vibrate([120, 80, 120, 80, 400]);
+        showAlert((translations.recitationTargetReached || '功德圆满：已持诵 {count} 遍').replace('{count}', recitationTarget), 3000);
+    }
+
+    /** Synthesizes a temple bell: a few inharmonic partials with a long decay */
+    function playCompletionChime() {
+        if (!effectsAudioContext || effectsAudioContext.state !== 'running') return;
+        const ctx = effectsAudioContext;
+        const startTime = ctx.currentTime;
+        [[523.25, 0.35], [1046.5, 0.18], [1383.2, 0.12], [2093, 0.06]].forEach(([frequency, level]) => {
+            const oscillator = ctx.createOscillator();
+            oscillator.type = 'sine';
+            oscillator.frequency.value = frequency;
+            const gain = ctx.createGain();
+            gain.gain.setValueAtTime(0.0001, startTime);
+            gain.gain.exponentialRampToValueAtTime(level, startTime + 0.01);
+            gain.gain.exponentialRampToValueAtTime(0.0001, startTime + 3);
+            oscillator.connect(gain).connect(ctx.destination);
+            oscillator.start(startTime);
+            oscillator.stop(startTime + 3);
+        });
+    }
+
+    /**
+     * Redraws the mala counter if the mantra modal is open.
+     * @param {boolean} [animate=false] - Pulse the newest bead (a recitation was just counted).
+     */
+    function updateMalaCounter(animate = false) {
+        const malaCounter = document.querySelector('.mala-counter');
+        if (!malaCounter) return;
+        const fileName = malaCounter.getAttribute('data-file-name');
+        const count = recitationSession.fileName === fileName ? recitationSession.count : 0;
+        const beadsInRound = count === 0 ? 0 : ((count - 1) % MALA_BEAD_COUNT) + 1;
+
+        malaCounter.querySelectorAll('.mala-bead').forEach((bead, index) => {
+            bead.classList.toggle('counted', index < beadsInRound);
+            bead.classList.remove('current');
+        });
+        if (count > 0) {
+            const currentBead = malaCounter.querySelectorAll('.mala-bead')[beadsInRound - 1];
+            if (animate) {
+                void currentBead.getBoundingClientRect(); // Restart the pulse animation
+                currentBead.classList.add('current');
+            }
+        }
+        // Turn the ring so the newest bead sits under the guru bead, like beads passing through the fingers
+        const rotation = -(Math.max(0, count - 1) * 360) / MALA_BEAD_COUNT;
+        malaCounter.querySelector('.mala-ring').style.transform = `rotate(${rotation}deg)`;
+
+        malaCounter.querySelector('.mala-count').textContent = count;
+        malaCounter.querySelector('.mala-target').textContent = recitationTarget > 0 ? `/ ${recitationTarget}` : '';
+        malaCounter.querySelector('.mala-round').textContent = count > MALA_BEAD_COUNT
+            ? (translations.malaRound || '第 {round} 圈').replace('{round}', Math.floor((count - 1) / MALA_BEAD_COUNT) + 1)
+            : '';
+        malaCounter.querySelector('.mala-total').textContent = fileName
+            ? (translations.recitationTotal || '累计持诵 {count} 遍').replace('{count}', RecitationLog.getTotal(fileName))
+            : '';
+    }
+
+    // Every completed play of a mantra counts as one recitation, even with the modal closed
+    MantraPlayer.on('repetition', ({ track }) => countRecitation(track.fileName));
+
+    // --- Accessibility ---
+
+    /**
+     * Reads a message out through the screen-reader live regions.
+     * @param {string} message - Plain text.
+     * @param {string} [politeness='polite'] - 'polite' waits for the reader to finish; 'assertive' interrupts.
+     */
+    function announce(message, politeness = 'polite') {
+        const region = politeness === 'assertive' ? a11yAlertRegion : a11yStatusRegion;
+        if (!region || !message) return;
+        region.textContent = '';
+        setTimeout(() => { region.textContent = message; }, 50); // Re-setting the text makes repeats announced too
+    }
 
     // --- Modal Functions ---
 
@@ -1263,6 +2400,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         alertBox.className = 'alert'; 
         alertBox.innerHTML = message; 
         document.body.appendChild(alertBox);
+        announce(alertBox.textContent, 'assertive');
         
         void alertBox.offsetWidth; 
         alertBox.style.opacity = '1';
@@ -1277,12 +2415,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         }, duration - 300);
     }
 
-    /** Shows the luck categories modal */
-    function showFortuneModal() {
-        if (!currentSign || !currentSign.分类运程) return;
-        const modalTitle = translations.categoryFortuneButton || "分类运程";
-        const categoryKeysInOrder = ["健康", "财运", "感情", "考学", "事业", "人际", "纠纷", "远行"];
-        const categoryMap = { 
+    /** @returns {object} Translated display names for the 分类运程 keys */
+    function getCategoryLabels() {
+        return {
             "健康": translations.healthTitle || "健康",
             "财运": translations.wealthLuckTitle || "财运",
             "感情": translations.loveLifeTitle || "感情",
@@ -1292,12 +2427,20 @@ document.addEventListener('DOMContentLoaded', async () => {
             "纠纷": translations.disputesTitle || "纠纷",
             "远行": translations.longJourneysTitle || "远行"
         };
+    }
+
+    /** Shows the luck categories modal */
+    function showFortuneModal() {
+        if (!currentSign || !currentSign.分类运程) return;
+        const modalTitle = translations.categoryFortuneButton || "分类运程";
+        const categoryKeysInOrder = SignSchema.CATEGORY_KEYS;
+        const categoryMap = getCategoryLabels();
         const noDataText = translations.noDataLabel || "(暂无数据)";
         let fortuneItems = '';
         for (const key of categoryKeysInOrder) {
             if (currentSign.分类运程.hasOwnProperty(key)) {
                 const text = currentSign.分类运程[key];
-                fortuneItems += `<div class="category-item"><h4>${categoryMap[key] || key}</h4><p>${text ? text.replace(/\n/g, '<br>') : noDataText}</p></div>`;
+                fortuneItems += `<div class="category-item"><h4>${categoryMap[key] || key}${fallbackBadge(currentSign, `分类运程.${key}`)}</h4><p>${text ? text.replace(/\n/g, '<br>') : noDataText}</p></div>`;
             }
         }
         showModal(modalTitle, `<div class="category-fortunes">${fortuneItems}</div>`);
@@ -1317,11 +2460,11 @@ document.addEventListener('DOMContentLoaded', async () => {
         showModal(modalTitle, `
             <div class="modal-section lucky-tips-section">
                 <div class="tips-container">
-                    <h4>${outfitSubTitle}</h4>
+                    <h4>${outfitSubTitle}${fallbackBadge(currentSign, '穿搭建议')}</h4>
                     <p>${outfitAdvice}</p>
                 </div>
                 <div class="tips-container">
-                    <h4>${pouchSubTitle}</h4>
+                    <h4>${pouchSubTitle}${fallbackBadge(currentSign, '开运锦囊')}</h4>
                     <p>${luckyCharmPouch}</p>
                 </div>
             </div>`);
@@ -1332,7 +2475,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (!currentSign) return;
         const modalTitleText = translations.mantraBlessingButton || "佛咒加持";
         const playText = translations.playButton || "播放";
-        const shuffleText = translations.shuffleButton || "随机";
+        const pauseText = translations.pauseButton || "暂停";
         const stopText = translations.stopButton || "停止";
         const shareText = translations.shareMantraText || "分享好友...";
         const sanskritTextLabel = translations.sanskritLabel || "梵文：";
@@ -1342,121 +2485,160 @@ document.addEventListener('DOMContentLoaded', async () => {
         const currentFileTitle = currentSign.文件标题 ? currentSign.文件标题 : noDataText;
         const currentSanskrit = currentSign.梵文 || noDataText;
         const currentMeaning = currentSign.咒语含义 || noDataText;
+        // Badge kept outside the title/text elements, which playback rewrites
+        const mantraBadge = fallbackBadge(currentSign, '咒语含义') || fallbackBadge(currentSign, '文件标题');
+
+        const playerState = MantraPlayer.getState();
+        const repeatOptions = MANTRA_REPEAT_OPTIONS.map(count => {
+            const label = count === 0
+                ? (translations.mantraRepeatLoop || '单曲循环')
+                : (translations.mantraRepeatTimes || '每首 {count} 遍').replace('{count}', count);
+            return `<option value="${count}"${count === playerState.repeatCount ? ' selected' : ''}>${label}</option>`;
+        }).join('');
+        const sleepOptions = MANTRA_SLEEP_OPTIONS.map(minutes => {
+            const label = minutes === 0
+                ? (translations.mantraSleepOff || '不定时')
+                : (translations.mantraSleepMinutes || '{minutes} 分钟').replace('{minutes}', minutes);
+            return `<option value="${minutes}">${label}</option>`;
+        }).join('');
 
         const modalHTML = `
             <div class="modal-section mantra-section">
                 <h4 class="mantra-title">${currentFileTitle}</h4>
+                ${mantraBadge ? `<p class="mantra-fallback-note">${mantraBadge}</p>` : ''}
                 <p class="mantra-sanskrit">${sanskritTextLabel}${currentSanskrit}</p>
                 <p class="mantra-meaning">${meaningTextLabel}${currentMeaning}</p>
                 <div class="mantra-controls">
+                    <button id="previous-mantra" class="mantra-btn mantra-icon-btn" aria-label="${translations.previousMantraLabel || '上一首'}">⏮</button>
                     <button id="play-mantra" class="mantra-btn">
                         <span class="icon">🔊</span> <span class="btn-text">${playText}</span>
                     </button>
-                    <button id="random-mantra" class="mantra-btn random-btn">
-                        <span class="icon">🔄</span> <span class="btn-text">${shuffleText}</span>
-                    </button>
+                    <button id="next-mantra" class="mantra-btn mantra-icon-btn" aria-label="${translations.nextMantraLabel || '下一首'}">⏭</button>
+                    <button id="stop-mantra" class="mantra-btn mantra-icon-btn" aria-label="${stopText}">⏹</button>
+                </div>
+                <div class="mantra-settings">
+                    <label class="mantra-setting">
+                        <span>${translations.mantraOrderLabel || '播放顺序'}</span>
+                        <select id="mantra-order">
+                            <option value="sequential"${playerState.orderMode === 'sequential' ? ' selected' : ''}>${translations.mantraOrderSequential || '顺序播放'}</option>
+                            <option value="shuffle"${playerState.orderMode === 'shuffle' ? ' selected' : ''}>${translations.shuffleButton || '随机'}</option>
+                        </select>
+                    </label>
+                    <label class="mantra-setting">
+                        <span>${translations.mantraRepeatLabel || '重复'}</span>
+                        <select id="mantra-repeat">${repeatOptions}</select>
+                    </label>
+                    <label class="mantra-setting">
+                        <span>${translations.mantraSleepLabel || '定时关闭'}</span>
+                        <select id="mantra-sleep">${sleepOptions}</select>
+                        <span class="mantra-sleep-remaining"></span>
+                    </label>
                 </div>
+                ${buildMalaCounterHTML()}
                 <div class="share-link-container">
                     <p class="share-text">${shareText}</p>
                 </div>
             </div>`;
-        showModal(modalTitleText, modalHTML);
+        const mantraModal = showModal(modalTitleText, modalHTML);
+        const modalElement = mantraModal.element;
 
-        let isRandomAudioPlaying = false; 
-        const playBtn = document.getElementById('play-mantra');
-        const randomBtn = document.getElementById('random-mantra');
+        const playBtn = modalElement.querySelector('#play-mantra');
         const playBtnIcon = playBtn.querySelector('.icon');
         const playBtnTextSpan = playBtn.querySelector('.btn-text');
-        const randomBtnIcon = randomBtn.querySelector('.icon');
-        const randomBtnTextSpan = randomBtn.querySelector('.btn-text');
-        
-        let modalAudio = null; 
-
-        function stopModalAudio() {
-            if (modalAudio && !modalAudio.paused) {
-                modalAudio.pause();
-                modalAudio.currentTime = 0;
+        const sleepSelect = modalElement.querySelector('#mantra-sleep');
+        const sleepMinutes = MantraPlayer.getState().sleepEndsAt ? mantraSleepMinutesChosen : 0;
+        sleepSelect.value = String(sleepMinutes);
+
+        /** Shows the mantra being played, or the current sign's mantra when stopped */
+        function syncMantraModal(state) {
+            const track = state.track;
+            modalElement.querySelector('.mala-counter').setAttribute('data-file-name', track ? track.fileName : (currentSign.文件名 || ''));
+            updateMalaCounter();
+            modalElement.querySelector('.mantra-title').textContent = track ? track.title : currentFileTitle;
+            modalElement.querySelector('.mantra-sanskrit').textContent = `${sanskritTextLabel}${track ? track.sanskrit : currentSanskrit}`;
+            modalElement.querySelector('.mantra-meaning').textContent = `${meaningTextLabel}${track ? track.meaning : currentMeaning}`;
+            if (state.isPlaying) {
+                playBtnIcon.textContent = '⏸'; playBtnTextSpan.textContent = pauseText;
+            } else {
+                playBtnIcon.textContent = '🔊'; playBtnTextSpan.textContent = playText;
             }
-            if (globalAudio === modalAudio) globalAudio = null; 
-            modalAudio = null;
-
-            playBtnIcon.textContent = '🔊'; playBtnTextSpan.textContent = playText;
-            randomBtnIcon.textContent = '🔄'; randomBtnTextSpan.textContent = shuffleText;
-            isRandomAudioPlaying = false;
+            if (!state.sleepEndsAt) sleepSelect.value = '0';
+            updateSleepCountdowns();
         }
 
-        function playAudioFileInModal(fileNameToPlay, isRandom = false, title, sanskrit, meaning) {
-            stopModalAudio(); 
-
-            if (!fileNameToPlay || fileNameToPlay === noDataText) {
-                showAlert(translations.audioLoadError || '音频文件丢失');
+        const unsubscribe = MantraPlayer.on('change', (state) => {
+            if (!modalElement.isConnected) { // Closed, or replaced by another modal
+                unsubscribe();
                 return;
             }
-            
-            document.querySelector('.mantra-title').textContent = title;
-            document.querySelector('.mantra-sanskrit').textContent = `${sanskritTextLabel}${sanskrit}`;
-            document.querySelector('.mantra-meaning').textContent = `${meaningTextLabel}${meaning}`;
-
-            modalAudio = new Audio(`music/${fileNameToPlay}`);
-            modalAudio.loop = true;
-            isRandomAudioPlaying = isRandom; 
-
-            modalAudio.play().then(() => {
-                if (isRandom) {
-                    randomBtnIcon.textContent = '⏹'; randomBtnTextSpan.textContent = stopText;
-                    playBtnIcon.textContent = '🔊'; playBtnTextSpan.textContent = playText; 
+            syncMantraModal(state);
+        });
+        syncMantraModal(MantraPlayer.getState());
+
+        playBtn.addEventListener('click', async () => {
+            const state = MantraPlayer.getState();
+            unlockEffectsAudio(); // So the completion chime can sound later without a gesture
+            try {
+                if (state.isPlaying) {
+                    MantraPlayer.pause();
+                } else if (state.track) {
+                    await MantraPlayer.resume();
                 } else {
-                    playBtnIcon.textContent = '⏹'; playBtnTextSpan.textContent = stopText;
-                    randomBtnIcon.textContent = '🔄'; randomBtnTextSpan.textContent = shuffleText; 
+                    if (!currentSign.文件名) {
+                        showAlert(translations.audioLoadError || '音频文件丢失');
+                        return;
+                    }
+                    await refreshMantraPlaylist();
+                    await MantraPlayer.play(currentSign.文件名);
                 }
-                globalAudio = modalAudio; 
-            }).catch(error => {
+            } catch (error) {
                 console.error('Audio playback failed:', error);
                 showAlert(translations.audioLoadError || '音频加载失败');
-                stopModalAudio(); 
-            });
-        }
-
-        playBtn.addEventListener('click', () => {
-            if (modalAudio && !modalAudio.paused && !isRandomAudioPlaying) {
-                stopModalAudio();
-            } else {
-                playAudioFileInModal(currentSign.文件名, false, currentFileTitle, currentSanskrit, currentMeaning);
             }
         });
 
-        randomBtn.addEventListener('click', async () => {
-            if (modalAudio && !modalAudio.paused && isRandomAudioPlaying) {
-                stopModalAudio();
-            } else {
-                try {
-                    let allSignData = await loadSignData(currentLang);
-                    if (!allSignData || allSignData.length === 0) {
-                        allSignData = await loadSignData('zh'); 
-                    }
-                    if (!allSignData || allSignData.length === 0) {
-                        showAlert(translations.fetchRandomDataError || '获取随机数据失败');
-                        return;
-                    }
-                    const randomIndex = Math.floor(Math.random() * allSignData.length);
-                    const randomSignData = allSignData[randomIndex];
+        const skip = (direction) => async () => {
+            try {
+                if (!MantraPlayer.getState().track) await refreshMantraPlaylist();
+                await (direction > 0 ? MantraPlayer.next() : MantraPlayer.previous());
+            } catch (error) {
+                console.error('Audio playback failed:', error);
+                showAlert(translations.audioLoadError || '音频加载失败');
+            }
+        };
+        modalElement.querySelector('#next-mantra').addEventListener('click', skip(1));
+        modalElement.querySelector('#previous-mantra').addEventListener('click', skip(-1));
+        modalElement.querySelector('#stop-mantra').addEventListener('click', () => MantraPlayer.stop());
 
-                    if (!randomSignData || !randomSignData.文件名) {
-                        showAlert(translations.fetchRandomDataError || '获取随机数据失败');
-                        return;
-                    }
-                    
-                    const rFileTitle = randomSignData.文件标题 ? randomSignData.文件标题 : noDataText;
-                    const rSanskrit = randomSignData.梵文 || noDataText;
-                    const rMeaning = randomSignData.咒语含义 || noDataText;
-                    
-                    playAudioFileInModal(randomSignData.文件名, true, rFileTitle, rSanskrit, rMeaning);
+        modalElement.querySelector('#mantra-order').addEventListener('change', (e) => {
+            MantraPlayer.setOrderMode(e.target.value);
+            saveMantraPlayerSettings();
+        });
+        modalElement.querySelector('#mantra-repeat').addEventListener('change', (e) => {
+            MantraPlayer.setRepeatCount(parseInt(e.target.value, 10));
+            saveMantraPlayerSettings();
+        });
+        sleepSelect.addEventListener('change', (e) => {
+            mantraSleepMinutesChosen = parseInt(e.target.value, 10);
+            MantraPlayer.setSleepTimer(mantraSleepMinutesChosen);
+        });
 
-                } catch (error) {
-                    console.error('Failed to get random sign data:', error);
-                    showAlert(translations.fetchRandomDataError || '获取随机数据失败');
-                }
-            }
+        const malaCounter = modalElement.querySelector('.mala-counter');
+        malaCounter.querySelector('.mala').addEventListener('click', () => {
+            const fileName = malaCounter.getAttribute('data-file-name');
+            if (!fileName) return;
+            unlockEffectsAudio();
+            if (navigator.vibrate) navigator.vibrate(10); // A light tick per bead
+            countRecitation(fileName);
+        });
+        malaCounter.querySelector('#recitation-target').addEventListener('change', (e) => {
+            recitationTarget = parseInt(e.target.value, 10);
+            localStorage.setItem('recitationTarget', String(recitationTarget));
+            updateMalaCounter();
+        });
+        malaCounter.querySelector('.mala-reset').addEventListener('click', () => {
+            recitationSession = { fileName: malaCounter.getAttribute('data-file-name'), count: 0 };
+            updateMalaCounter();
         });
     }
 
@@ -1467,54 +2649,36 @@ document.addEventListener('DOMContentLoaded', async () => {
         const modalTitle = translations.interpretationExampleButton || "解读举例";
         const noDataText = translations.noDataLabel || "(暂无数据)";
         const exampleText = currentSign.解读举例 ? currentSign.解读举例.replace(/\n/g, '<br>') : noDataText;
-        showModal(modalTitle, `<div class="modal-section"><p>${exampleText}</p></div>`);
+        const badge = fallbackBadge(currentSign, '解读举例');
+        showModal(modalTitle, `<div class="modal-section">${badge ? `<p class="example-fallback-note">${badge}</p>` : ''}<p>${exampleText}</p></div>`);
     }
 
-    /** Creates and displays a generic modal */
+    /**
+     * Creates and displays a generic modal.
+     * @returns {{element: HTMLElement, close: function}} The modal element and a function that closes it.
+     */
     function showModal(title, content) {
-        if (globalAudio && !globalAudio.paused) {
-            globalAudio.pause();
-            globalAudio.currentTime = 0;
-            globalAudio = null; 
-        }
-
-        const existingModal = document.querySelector('.modal:not(#image-preview-modal):not(#request-input-modal)');
-        if (existingModal) {
-            existingModal.remove(); 
-        }
-
         const modal = document.createElement('div');
         modal.className = 'modal'; 
         modal.innerHTML = `
             <div class="modal-content">
                 <div class="modal-header">
                     <h3 class="modal-title">${title}</h3>
-                    <span class="close-modal">&times;</span>
+                    <button type="button" class="close-modal" aria-label="${translations.closeButtonLabel || '关闭'}">&times;</button>
                 </div>
                 <div class="modal-body">
                     ${content}
                 </div>
             </div>`;
-        document.body.appendChild(modal);
-        styleModal(modal); 
-
-        const closeModalBtn = modal.querySelector('.close-modal');
-        const modalCloseHandler = () => {
-            const playBtnInThisModal = modal.querySelector('#play-mantra'); 
-            if (playBtnInThisModal && globalAudio && !globalAudio.paused) { 
-                 globalAudio.pause();
-                 globalAudio.currentTime = 0;
-                 globalAudio = null;
-            }
-            modal.remove();
-        };
+        styleModal(modal);
 
-        closeModalBtn.addEventListener('click', modalCloseHandler);
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
-                modalCloseHandler();
-            }
+        // Replaces the content modal already open, if any
+        const handle = ModalManager.open(modal, {
+            id: 'content',
+            onClose: () => updateNowPlayingBar() // Mantra playback carries on in the background
         });
+        updateNowPlayingBar();
+        return handle;
     }
 
     /** Applies theme-based styling to the modal */
@@ -1527,94 +2691,32 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         const modalHeader = modal.querySelector('.modal-header');
         const modalTitle = modal.querySelector('.modal-title');
-        const bodyClasses = document.body.classList;
-
-        let borderColor = 'var(--gold)', 
-            shadowColor = 'rgba(255, 215, 0, 0.5)', 
-            titleColor = 'var(--gold)', 
-            headerBorderColor = 'rgba(255, 215, 0, 0.3)';
-
-        if (bodyClasses.contains('theme-very-lucky')) {
-            borderColor = '#FFD700'; shadowColor = 'rgba(255, 215, 0, 0.5)'; titleColor = '#FFD700'; headerBorderColor = 'rgba(255, 215, 0, 0.3)';
-        } else if (bodyClasses.contains('theme-lucky')) {
-            borderColor = '#C0C0C0'; shadowColor = 'rgba(192, 192, 192, 0.5)'; titleColor = '#C0C0C0'; headerBorderColor = 'rgba(192, 192, 192, 0.3)';
-        } else if (bodyClasses.contains('theme-neutral')) {
-            borderColor = '#ADFF2F'; shadowColor = 'rgba(173, 255, 47, 0.5)'; titleColor = '#ADFF2F'; headerBorderColor = 'rgba(173, 255, 47, 0.3)';
-        } else if (bodyClasses.contains('theme-unlucky')) {
-            borderColor = '#DC143C'; shadowColor = 'rgba(220, 20, 60, 0.5)'; titleColor = '#DC143C'; headerBorderColor = 'rgba(220, 20, 60, 0.3)';
-        } else if (bodyClasses.contains('theme-very-unlucky')) {
-            borderColor = '#6A5ACD'; shadowColor = 'rgba(106, 90, 205, 0.5)'; titleColor = '#6A5ACD'; headerBorderColor = 'rgba(106, 90, 205, 0.3)';
-        }
-        
-        if (modalContent) modalContent.style.borderColor = borderColor;
-        if (modalContent) modalContent.style.boxShadow = `0 0 30px ${shadowColor}`;
-        if (modalTitle) modalTitle.style.color = titleColor;
-        if (modalHeader) modalHeader.style.borderBottomColor = headerBorderColor;
-    }
-
-    // --- Theme Effect Functions ---
-
-    /** Adds extra visual elements based on the theme */
-    function addExtraElements(colorTheme, count) {
-        const effectsContainer = document.getElementById('effectsContainer');
-        if (!effectsContainer) return;
-        effectsContainer.innerHTML = ''; 
-
-        const fragment = document.createDocumentFragment(); 
-
-        for (let i = 0; i < count; i++) {
-            const element = document.createElement('div');
-            element.className = `extra-theme-element ${colorTheme}-element`;
-            element.style.left = `${Math.random() * 100}%`;
-            element.style.top = `${Math.random() * 100}%`;
-            const size = 5 + Math.random() * 15;
-            element.style.width = `${size}px`;
-            element.style.height = `${size}px`;
-            element.style.animationDelay = `${Math.random() * 5}s`;
-            fragment.appendChild(element);
-        }
-
-        for (let i = 0; i < Math.floor(count / 2); i++) {
-            const sparkle = document.createElement('div');
-            sparkle.className = `mystic-sparkle ${colorTheme}-sparkle`;
-            sparkle.style.left = `${Math.random() * 100}%`;
-            sparkle.style.top = `${Math.random() * 100}%`;
-            const sparkleSize = `${2 + Math.random() * 6}px`;
-            sparkle.style.width = sparkleSize;
-            sparkle.style.height = sparkleSize;
-            sparkle.style.animationDelay = `${Math.random() * 3}s`;
-            sparkle.style.animationDuration = `${1 + Math.random() * 4}s`;
-            fragment.appendChild(sparkle);
-        }
-
-        if (colorTheme === 'gold' || colorTheme === 'silver') {
-            for (let i = 0; i < 8; i++) { 
-                const ray = document.createElement('div');
-                ray.className = `mystic-ray ${colorTheme}-ray`;
-                ray.style.transform = `rotate(${i * 45}deg)`;
-                ray.style.animationDelay = `${i * 0.2}s`;
-                fragment.appendChild(ray);
-            }
-        }
-        effectsContainer.appendChild(fragment); 
+        const accent = currentTheme ? currentTheme.colors.accent : 'var(--gold)';
+        const glow = currentTheme ? currentTheme.colors.glow : '255, 215, 0';
+
+        if (modalContent) modalContent.style.borderColor = accent;
+        if (modalContent) modalContent.style.boxShadow = `0 0 30px rgba(${glow}, 0.5)`;
+        if (modalTitle) modalTitle.style.color = accent;
+        if (modalHeader) modalHeader.style.borderBottomColor = `rgba(${glow}, 0.3)`;
     }
 
-    /** Applies theme-specific styles to buttons and result box */
+    // --- Theme Styles ---
+
+    /**
+     * Applies theme-specific styles to buttons and result box
+     * @param {object|null} theme - A Themes.resolve() result, or null for the default look.
+     */
     function applyExtraStyles(theme) {
         resultBox.className = 'result-box'; 
         if (theme) {
-            resultBox.classList.add(`box-${theme}`); 
+            resultBox.classList.add(`box-${theme.id}`); 
         }
 
-        const themeStyles = {
-            'very-lucky': { gradient: 'linear-gradient(45deg, #FFD700, #FFA500)', shadow: '0 0 20px rgba(255, 215, 0, 0.7)', color: '#FFD700' },
-            'lucky': { gradient: 'linear-gradient(45deg, #C0C0C0, #A9A9A9)', shadow: '0 0 20px rgba(192, 192, 192, 0.7)', color: '#C0C0C0' },
-            'neutral': { gradient: 'linear-gradient(45deg, #ADFF2F, #7CFC00)', shadow: '0 0 20px rgba(173, 255, 47, 0.7)', color: '#ADFF2F' },
-            'unlucky': { gradient: 'linear-gradient(45deg, #DC143C, #B22222)', shadow: '0 0 20px rgba(220, 20, 60, 0.7)', color: '#DC143C' },
-            'very-unlucky': { gradient: 'linear-gradient(45deg, #6A5ACD, #483D8B)', shadow: '0 0 20px rgba(106, 90, 205, 0.7)', color: '#6A5ACD' }
-        };
-        
-        const styles = theme && themeStyles[theme] ? themeStyles[theme] : { 
+        const styles = theme ? {
+            gradient: `linear-gradient(45deg, ${theme.colors.stops[0]}, ${theme.colors.stops[1]})`,
+            shadow: `0 0 20px rgba(${theme.colors.glow}, 0.7)`,
+            color: theme.colors.accent
+        } : { 
             gradient: 'linear-gradient(45deg, var(--draw-button-bg-start, #d4af37), var(--draw-button-bg-end, #c9a227))', 
             shadow: '0 5px 15px var(--draw-button-shadow, rgba(212, 175, 55, 0.4))',     
             color: 'var(--gold)'                               
@@ -1626,35 +2728,13 @@ document.addEventListener('DOMContentLoaded', async () => {
         const shareBgStart = getComputedStyle(document.documentElement).getPropertyValue('--share-button-bg-start').trim() || '#5c4a9c';
         const shareBgEnd = getComputedStyle(document.documentElement).getPropertyValue('--share-button-bg-end').trim() || '#423574';
         const shareShadow = getComputedStyle(document.documentElement).getPropertyValue('--share-button-shadow').trim() || 'rgba(70, 58, 122, 0.45)';
-        
-        if (theme && themeStyles[theme] && themeStyles[theme].shareGradient) { 
-            shareBtn.style.background = themeStyles[theme].shareGradient;
-            shareBtn.style.boxShadow = themeStyles[theme].shareShadow || styles.shadow; 
-        } else { 
-            shareBtn.style.background = `linear-gradient(45deg, ${shareBgStart}, ${shareBgEnd})`;
-            shareBtn.style.boxShadow = `0 5px 15px ${shareShadow}`;
-        }
-
+        shareBtn.style.background = `linear-gradient(45deg, ${shareBgStart}, ${shareBgEnd})`;
+        shareBtn.style.boxShadow = `0 5px 15px ${shareShadow}`;
 
         actionBtns.forEach(btn => {
             btn.style.borderColor = styles.color;
             btn.style.color = styles.color;
-            
-            let btnShadowColorHex = styles.color;
-            if (theme) { 
-                if (btnShadowColorHex.startsWith('#')) { 
-                    let r = parseInt(btnShadowColorHex.slice(1, 3), 16);
-                    let g = parseInt(btnShadowColorHex.slice(3, 5), 16);
-                    let b = parseInt(btnShadowColorHex.slice(5, 7), 16);
-                    btn.style.boxShadow = `0 0 10px rgba(${r},${g},${b},0.5)`;
-                } else { 
-                    btn.style.boxShadow = `0 0 10px rgba(255,215,0,0.3)`; 
-                }
-            } else { 
-                btn.style.borderColor = 'var(--gold)';
-                btn.style.color = 'var(--gold)';
-                btn.style.boxShadow = '0 0 10px rgba(255, 215, 0, 0.3)'; 
-            }
+            btn.style.boxShadow = theme ? `0 0 10px rgba(${theme.colors.glow}, 0.5)` : '0 0 10px rgba(255, 215, 0, 0.3)';
         });
     }
 
@@ -0,0 +1,523 @@
+// share-card.js
+// Share-card templates for the sign preview, exposed as window.ShareCard.
+// A template is a canvas size, a palette and a list of blocks (title, request, date, luck,
+// section, summary, parallel) followed by the QR code. Each block type has one measure and one draw
+// implementation shared by every template, so heights and drawing can never disagree.
+(function (root) {
+    const BUNDLED_FONT_FAMILY = 'LXGW WenKai Lingqian'; // Kai-style font subsetted to the decks and UI texts (fonts/OFL.txt)
+    const BUNDLED_FONT_URL = 'fonts/lxgw-wenkai-subset.woff2';
+    const FONT_LOAD_TIMEOUT = 8000; // ms; after this the card is drawn with system fonts rather than not at all
+    const MAX_EXPORT_SCALE = 3;
+    const DATE_FONT = 'Georgia, "Times New Roman", Times, serif';
+    const LUCK_FONT = 'Arial, sans-serif';
+    const MIN_FIT_SCALE = 0.55; // Smallest font scale tried when content overflows a fixed-size card
+    const FIT_SCALE_STEP = 0.05;
+
+    /** Sizes and spacing in px at scale 1; templates override what they need */
+    const DEFAULT_METRICS = {
+        sidePadding: 35,
+        topPadding: 40,
+        bottomPadding: 40,
+        titleFontSize: 30,
+        requestFontSize: 24,
+        requestLineHeight: 1.4,
+        dateFontSize: 16,
+        luckFontSize: 22,
+        luckLineHeight: 1.35,
+        sectionTitleFontSize: 23,
+        spaceAfterSectionTitle: 15,
+        bodyFontSize: 19,
+        bodyLineHeight: 1.5,
+        summaryFontSize: 26,
+        summaryLineHeight: 1.4,
+        secondaryFontSize: 16,     // Second-language text of parallel blocks
+        secondaryLineHeight: 1.45,
+        spaceBetweenLanguages: 10,
+        spaceBeforeQR: 25,
+        qrSize: 92 // Includes the 4-module quiet zone of QRCode.toCanvas()
+    };
+
+    const PALETTES = {
+        cream: {
+            background: '#FFFDF7',
+            border: '#D0BBA0',
+            innerBorder: '#F0E6D2',
+            title: '#5D4037',
+            titleShadow: 'rgba(0, 0, 0, 0.1)',
+            request: '#795548',
+            date: '#9E8A7A',
+            luck: '#FFC107',
+            luckShadow: 'rgba(180, 120, 0, 0.4)',
+            sectionTitle: '#4E342E',
+            text: '#5D4037',
+            summary: '#6D4C41',
+            secondaryText: '#8D6E63',
+            divider: '#E0D6C0',
+            qrForeground: '#402E2F',
+            qrBackground: 'rgba(255, 255, 255, 0.9)'
+        }
+    };
+
+    const CLASSIC_BLOCKS = [
+        { type: 'title', spaceAfter: 20 },
+        { type: 'request', maxLines: 3, spaceAfter: 20 },
+        { type: 'date', spaceAfter: 18 },
+        { type: 'luck', spaceAfter: 30 },
+        { type: 'section', field: 'prophecy', spaceAfter: 28 },
+        { type: 'section', field: 'fortune', spaceAfter: 30 },
+        { type: 'summary', spaceAfter: 30 }
+    ];
+
+    /**
+     * width/height in px; a template without height grows with its content (at least minHeight).
+     * verticalAlign 'center' centres the blocks in the space a fixed-height card leaves over.
+     * bilingual templates need content.bilingual (see render()).
+     */
+    const TEMPLATES = [
+        { id: 'classic', labelKey: 'shareTemplateClassic', label: '经典', width: 500, minHeight: 900, palette: 'cream', blocks: CLASSIC_BLOCKS },
+        {
+            id: 'story', labelKey: 'shareTemplateStory', label: '竖屏 9:16', width: 540, height: 960, palette: 'cream', verticalAlign: 'center',
+            metrics: { topPadding: 60, bottomPadding: 50, titleFontSize: 34, summaryFontSize: 28, qrSize: 110 },
+            blocks: CLASSIC_BLOCKS
+        },
+        {
+            id: 'square', labelKey: 'shareTemplateSquare', label: '方形 1:1', width: 600, height: 600, palette: 'cream', verticalAlign: 'center',
+            metrics: { topPadding: 45, bottomPadding: 35, titleFontSize: 34, luckFontSize: 30, summaryFontSize: 34, summaryLineHeight: 1.5, qrSize: 100 },
+            blocks: [
+                { type: 'title', spaceAfter: 24 },
+                { type: 'luck', spaceAfter: 26 },
+                { type: 'summary', spaceAfter: 22 },
+                { type: 'date', spaceAfter: 0 }
+            ]
+        },
+        {
+            id: 'poem', labelKey: 'shareTemplatePoem', label: '签诗', width: 500, palette: 'cream',
+            metrics: { bodyFontSize: 24, bodyLineHeight: 1.7, qrSize: 74, spaceBeforeQR: 20 },
+            blocks: [
+                { type: 'title', spaceAfter: 16 },
+                { type: 'luck', spaceAfter: 24 },
+                { type: 'section', field: 'prophecy', showTitle: false, align: 'center', spaceAfter: 20 },
+                { type: 'date', spaceAfter: 0 }
+            ]
+        },
+        { id: 'luck', labelKey: 'shareTemplateLuck', label: '运势', width: 500, minHeight: 900, palette: 'luck', blocks: CLASSIC_BLOCKS },
+        {
+            id: 'bilingual', labelKey: 'shareTemplateBilingual', label: '中英对照', width: 540, minHeight: 900, palette: 'cream', bilingual: true,
+            blocks: [
+                { type: 'title', spaceAfter: 20 },
+                { type: 'request', maxLines: 3, spaceAfter: 20 },
+                { type: 'date', spaceAfter: 18 },
+                { type: 'luck', spaceAfter: 30 },
+                { type: 'parallel', field: 'prophecy', spaceAfter: 28 },
+                { type: 'parallel', field: 'fortune', spaceAfter: 30 },
+                { type: 'parallel', field: 'summary', style: 'summary', spaceAfter: 30 }
+            ]
+        }
+    ];
+
+    /** @returns {string} rgba() for a #RRGGBB colour */
+    function hexToRgba(hex, alpha) {
+        const value = parseInt(hex.slice(1), 16);
+        return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+    }
+
+    /**
+     * Dark palette tinted with the colours of the sign's luck level.
+     * @param {{stops: Array<string>, color: string}} luckColors - Gradient stops and accent (#RRGGBB).
+     */
+    function buildLuckPalette(luckColors) {
+        const accent = luckColors.color;
+        return {
+            background: '#07060f',
+            backgroundGradient: ['#1d1a33', '#07060f'],
+            border: luckColors.stops[0],
+            innerBorder: hexToRgba(accent, 0.35),
+            title: accent,
+            titleShadow: hexToRgba(accent, 0.5),
+            request: '#E8E0F0',
+            date: 'rgba(232, 224, 240, 0.6)',
+            luck: accent,
+            luckShadow: hexToRgba(accent, 0.6),
+            sectionTitle: accent,
+            text: '#E8E0F0',
+            summary: luckColors.stops[1] || accent,
+            secondaryText: 'rgba(232, 224, 240, 0.75)',
+            divider: hexToRgba(accent, 0.3),
+            qrForeground: '#1d1a33',
+            qrBackground: '#FFFFFF'
+        };
+    }
+
+    /** Breaks text to the content width with the context's current font (see text-layout.js) */
+    function layoutLines(ctx, text, env, maxLines) {
+        return TextLayout.layout(ctx, text, { maxWidth: env.contentWidth, maxLines, locale: env.locale }).lines;
+    }
+
+    function drawDivider(ctx, env, y) {
+        ctx.strokeStyle = env.palette.divider;
+        ctx.lineWidth = 0.75;
+        ctx.beginPath();
+        ctx.moveTo(env.metrics.sidePadding, y);
+        ctx.lineTo(env.width - env.metrics.sidePadding, y);
+        ctx.stroke();
+    }
+
+    /** Draws lines from layoutLines() in the content box; align is 'left', 'center' or 'justify' */
+    function drawLines(ctx, lines, y, fontSize, lineHeight, align, env) {
+        lines.forEach((line, index) => {
+            TextLayout.drawLine(ctx, line, env.metrics.sidePadding, y + index * lineHeight + fontSize * 0.75, env.contentWidth, align);
+        });
+    }
+
+    /**
+     * measure(ctx, block, content, env) returns the block's layout ({height, ...}); height 0 omits the block.
+     * draw(ctx, layout, y, env) draws it with its top at y, reusing the measured lines.
+     * Text blocks accept maxLines (cut with an ellipsis); section blocks also accept align
+     * ('justify' by default, 'left' or 'center').
+     */
+    const BLOCKS = {
+        title: {
+            measure(ctx, block, content, env) {
+                return { height: env.metrics.titleFontSize, text: content.appTitle };
+            },
+            draw(ctx, layout, y, env) {
+                const m = env.metrics;
+                ctx.textAlign = 'center';
+                ctx.fillStyle = env.palette.title;
+                ctx.font = `bold ${m.titleFontSize}px ${env.fonts.heading}`;
+                ctx.shadowColor = env.palette.titleShadow;
+                ctx.shadowBlur = 2;
+                ctx.shadowOffsetX = 1;
+                ctx.shadowOffsetY = 1;
+                ctx.fillText(layout.text, env.width / 2, y + m.titleFontSize * 0.75);
+                ctx.shadowColor = 'transparent';
+            }
+        },
+        request: {
+            measure(ctx, block, content, env) {
+                const m = env.metrics;
+                ctx.font = `bold ${m.requestFontSize}px ${env.fonts.heading}`;
+                const lines = layoutLines(ctx, content.request, env, block.maxLines);
+                const lineHeight = m.requestFontSize * m.requestLineHeight;
+                return { height: lines.length * lineHeight, lines, lineHeight };
+            },
+            draw(ctx, layout, y, env) {
+                const m = env.metrics;
+                ctx.fillStyle = env.palette.request;
+                ctx.font = `bold ${m.requestFontSize}px ${env.fonts.heading}`;
+                drawLines(ctx, layout.lines, y, m.requestFontSize, layout.lineHeight, 'center', env);
+            }
+        },
+        date: {
+            measure(ctx, block, content, env) {
+                return { height: content.dateText ? env.metrics.dateFontSize : 0, text: content.dateText };
+            },
+            draw(ctx, layout, y, env) {
+                const m = env.metrics;
+                ctx.textAlign = 'center';
+                ctx.fillStyle = env.palette.date;
+                ctx.font = `italic ${m.dateFontSize}px ${DATE_FONT}`;
+                ctx.fillText(layout.text, env.width / 2, y + m.dateFontSize * 0.75);
+            }
+        },
+        luck: {
+            measure(ctx, block, content, env) {
+                const m = env.metrics;
+                return { height: content.luckIndex ? m.luckFontSize * m.luckLineHeight : 0, text: content.luckIndex };
+            },
+            draw(ctx, layout, y, env) {
+                const m = env.metrics;
+                ctx.textAlign = 'center';
+                ctx.font = `bold ${m.luckFontSize}px ${LUCK_FONT}`;
+                ctx.fillStyle = env.palette.luck;
+                ctx.shadowColor = env.palette.luckShadow;
+                ctx.shadowBlur = 4;
+                ctx.shadowOffsetX = 1;
+                ctx.shadowOffsetY = 1;
+                ctx.fillText(layout.text, env.width / 2, y + m.luckFontSize * 0.75);
+                ctx.shadowColor = 'transparent';
+            }
+        },
+        section: {
+            measure(ctx, block, content, env) {
+                const m = env.metrics;
+                const section = content.sections[block.field];
+                const showTitle = block.showTitle !== false;
+                ctx.font = `${m.bodyFontSize}px ${env.fonts.body}`;
+                const lines = layoutLines(ctx, section.text, env, block.maxLines);
+                const lineHeight = m.bodyFontSize * m.bodyLineHeight;
+                const titleHeight = showTitle ? m.sectionTitleFontSize + m.spaceAfterSectionTitle : 0;
+                return { height: titleHeight + lines.length * lineHeight, title: showTitle ? section.title : null, titleHeight, lines, lineHeight, align: block.align || 'justify' };
+            },
+            draw(ctx, layout, y, env) {
+                const m = env.metrics;
+                if (layout.title) {
+                    drawDivider(ctx, env, y - m.spaceAfterSectionTitle / 2 + 3);
+                    ctx.textAlign = 'left';
+                    ctx.font = `bold ${m.sectionTitleFontSize}px ${env.fonts.heading}`;
+                    ctx.fillStyle = env.palette.sectionTitle;
+                    ctx.fillText(layout.title, m.sidePadding, y + m.sectionTitleFontSize * 0.75);
+                }
+                ctx.font = `${m.bodyFontSize}px ${env.fonts.body}`;
+                ctx.fillStyle = env.palette.text;
+                drawLines(ctx, layout.lines, y + layout.titleHeight, m.bodyFontSize, layout.lineHeight, layout.align, env);
+            }
+        },
+        /** One field in two languages: content.bilingual.sections[field], primary above secondary */
+        parallel: {
+            measure(ctx, block, content, env) {
+                const m = env.metrics;
+                const section = content.bilingual && content.bilingual.sections[block.field];
+                if (!section) return { height: 0 };
+                const fonts = content.bilingual.fonts;
+                const isSummary = block.style === 'summary';
+                const primary = isSummary
+                    ? { font: `bold ${m.summaryFontSize}px ${fonts.primary.heading}`, fontSize: m.summaryFontSize, lineHeight: m.summaryFontSize * m.summaryLineHeight, color: env.palette.summary }
+                    : { font: `${m.bodyFontSize}px ${fonts.primary.body}`, fontSize: m.bodyFontSize, lineHeight: m.bodyFontSize * m.bodyLineHeight, color: env.palette.text };
+                const secondary = {
+                    font: `${isSummary ? 'italic ' : ''}${m.secondaryFontSize}px ${fonts.secondary.body}`,
+                    fontSize: m.secondaryFontSize,
+                    lineHeight: m.secondaryFontSize * m.secondaryLineHeight,
+                    color: env.palette.secondaryText
+                };
+                ctx.font = primary.font;
+                primary.lines = layoutLines(ctx, section.primary, env, block.maxLines);
+                ctx.font = secondary.font;
+                secondary.lines = layoutLines(ctx, section.secondary, env, block.maxLines);
+
+                const title = isSummary ? null : section.title;
+                const titleHeight = title ? m.sectionTitleFontSize + m.spaceAfterSectionTitle : 0;
+                const gap = primary.lines.length > 0 && secondary.lines.length > 0 ? m.spaceBetweenLanguages : 0;
+                const height = titleHeight + primary.lines.length * primary.lineHeight + gap + secondary.lines.length * secondary.lineHeight;
+                return { height, title, titleHeight, primary, secondary, gap, align: isSummary ? 'center' : 'justify' };
+            },
+            draw(ctx, layout, y, env) {
+                const m = env.metrics;
+                drawDivider(ctx, env, y - m.spaceAfterSectionTitle / 2 + 3);
+                if (layout.title) {
+                    ctx.textAlign = 'left';
+                    ctx.font = `bold ${m.sectionTitleFontSize}px ${env.fonts.heading}`;
+                    ctx.fillStyle = env.palette.sectionTitle;
+                    ctx.fillText(layout.title, m.sidePadding, y + m.sectionTitleFontSize * 0.75);
+                }
+                let textTop = y + layout.titleHeight;
+                [layout.primary, layout.secondary].forEach((part, index) => {
+                    if (index === 1) textTop += layout.gap;
+                    ctx.font = part.font;
+                    ctx.fillStyle = part.color;
+                    drawLines(ctx, part.lines, textTop, part.fontSize, part.lineHeight, layout.align, env);
+                    textTop += part.lines.length * part.lineHeight;
+                });
+            }
+        },
+        summary: {
+            measure(ctx, block, content, env) {
+                const m = env.metrics;
+                ctx.font = `bold ${m.summaryFontSize}px ${env.fonts.heading}`;
+                const lines = layoutLines(ctx, content.summary, env, block.maxLines);
+                const lineHeight = m.summaryFontSize * m.summaryLineHeight;
+                return { height: lines.length * lineHeight, lines, lineHeight };
+            },
+            draw(ctx, layout, y, env) {
+                const m = env.metrics;
+                drawDivider(ctx, env, y - m.spaceAfterSectionTitle / 2 + 3);
+                ctx.font = `bold ${m.summaryFontSize}px ${env.fonts.heading}`;
+                ctx.fillStyle = env.palette.summary;
+                drawLines(ctx, layout.lines, y, m.summaryFontSize, layout.lineHeight, 'center', env);
+            }
+        }
+    };
+
+    /** Scales every size in the template's metrics (font sizes, spacing, QR size) */
+    function scaleMetrics(template, scale) {
+        const metrics = Object.assign({}, DEFAULT_METRICS, template.metrics);
+        Object.keys(metrics).forEach(key => {
+            if (!/LineHeight$/.test(key)) metrics[key] *= scale;
+        });
+        return metrics;
+    }
+
+    /** @returns {number} Lines of the block's longest wrapped text; 0 for blocks without any */
+    function countLines(layout) {
+        if (layout.lines) return layout.lines.length;
+        if (layout.primary) return Math.max(layout.primary.lines.length, layout.secondary.lines.length);
+        return 0;
+    }
+
+    /**
+     * Measures every block at the given scale and returns the layout with its total height.
+     * lineLimits[i] caps block i at that many lines (tighter than its own maxLines); 0 leaves it out.
+     */
+    function measureLayout(ctx, template, content, palette, scale, lineLimits = []) {
+        const metrics = scaleMetrics(template, scale);
+        const env = { metrics, palette, fonts: content.fonts, locale: content.locale, width: template.width, contentWidth: template.width - metrics.sidePadding * 2 };
+        const items = template.blocks
+            .map((block, index) => {
+                const limit = lineLimits[index];
+                if (limit === 0) return null;
+                const measured = limit ? Object.assign({}, block, { maxLines: Math.min(limit, block.maxLines || Infinity) }) : block;
+                return { block, index, layout: BLOCKS[block.type].measure(ctx, measured, content, env), spaceAfter: (block.spaceAfter || 0) * scale };
+            })
+            .filter(item => item && item.layout.height > 0);
+        const blocksHeight = items.reduce((sum, item) => sum + item.layout.height + item.spaceAfter, 0);
+        const height = metrics.topPadding + blocksHeight + metrics.spaceBeforeQR + metrics.qrSize + metrics.bottomPadding;
+        return { env, items, blocksHeight, height };
+    }
+
+    /**
+     * Lays the template out. Fixed-size cards shrink their text down to MIN_FIT_SCALE; if the content
+     * still doesn't fit, the longest text is cut a line at a time with an ellipsis, and as a last resort
+     * the bottom blocks are left out. The result is never taller than template.height.
+     */
+    function fitLayout(ctx, template, content, palette) {
+        let scale = 1;
+        let layout = measureLayout(ctx, template, content, palette, scale);
+        const overflows = () => template.height && layout.height > template.height;
+        while (overflows() && scale - FIT_SCALE_STEP >= MIN_FIT_SCALE) {
+            scale -= FIT_SCALE_STEP;
+            layout = measureLayout(ctx, template, content, palette, scale);
+        }
+
+        const lineLimits = [];
+        while (overflows()) {
+            const longest = layout.items.reduce((best, item) => (countLines(item.layout) > (best ? countLines(best.layout) : 1) ? item : best), null);
+            if (!longest) break;
+            lineLimits[longest.index] = countLines(longest.layout) - 1;
+            layout = measureLayout(ctx, template, content, palette, scale, lineLimits);
+        }
+        while (overflows() && layout.items.length > 0) {
+            lineLimits[layout.items[layout.items.length - 1].index] = 0;
+            layout = measureLayout(ctx, template, content, palette, scale, lineLimits);
+        }
+        return layout;
+    }
+
+    function drawBackground(ctx, env, height) {
+        const palette = env.palette;
+        if (palette.backgroundGradient) {
+            const gradient = ctx.createLinearGradient(0, 0, 0, height);
+            gradient.addColorStop(0, palette.backgroundGradient[0]);
+            gradient.addColorStop(1, palette.backgroundGradient[1]);
+            ctx.fillStyle = gradient;
+        } else {
+            ctx.fillStyle = palette.background;
+        }
+        ctx.fillRect(0, 0, env.width, height);
+
+        // Double border: a heavy outer line and a light inner highlight
+        ctx.strokeStyle = palette.border;
+        ctx.lineWidth = 7;
+        ctx.strokeRect(ctx.lineWidth / 2, ctx.lineWidth / 2, env.width - ctx.lineWidth, height - ctx.lineWidth);
+        ctx.strokeStyle = palette.innerBorder;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(10, 10, env.width - 20, height - 20);
+    }
+
+    let fontLoadPromise = null;
+    let fontFaceLoad = null; // The bundled font's FontFace.load(), kept while it is in flight or done
+
+    /**
+     * Loads the bundled Kai font through the FontFace API so every device draws the same glyphs.
+     * A timed-out or failed attempt is not remembered: the next call waits again for the same download
+     * (or starts a new one after a failure), so later cards get the font once it arrives.
+     * @returns {Promise<boolean>} Resolves true once the font is usable, false if it could not be loaded in time.
+     */
+    function loadFonts() {
+        if (fontLoadPromise) return fontLoadPromise;
+        if (typeof root.FontFace !== 'function' || !root.document.fonts) {
+            fontLoadPromise = Promise.resolve(false);
+            return fontLoadPromise;
+        }
+        if (!fontFaceLoad) {
+            const fontFace = new FontFace(BUNDLED_FONT_FAMILY, `url(${BUNDLED_FONT_URL}) format('woff2')`, { weight: '400', style: 'normal' });
+            fontFaceLoad = fontFace.load().then(face => {
+                root.document.fonts.add(face);
+                return true;
+            });
+            fontFaceLoad.catch(() => { fontFaceLoad = null; }); // Download again on the next share
+        }
+        const timeout = new Promise(resolve => setTimeout(() => resolve(false), FONT_LOAD_TIMEOUT));
+        const attempt = Promise.race([fontFaceLoad, timeout])
+            .then(ready => Promise.resolve(root.document.fonts.ready).then(() => ready))
+            .catch(error => {
+                console.warn('Bundled share-card font failed to load, using system fonts:', error);
+                return false;
+            })
+            .then(ready => {
+                if (!ready && fontLoadPromise === attempt) fontLoadPromise = null; // Try again on the next share
+                return ready;
+            });
+        fontLoadPromise = attempt;
+        return attempt;
+    }
+
+    /** @returns {number} Pixel ratio to export at: the screen's, but at least 2 so cards stay sharp on other phones */
+    function getExportScale() {
+        return Math.min(MAX_EXPORT_SCALE, Math.max(2, root.devicePixelRatio || 1));
+    }
+
+    /** @returns {object} The template with the given id, or the classic template */
+    function getTemplate(templateId) {
+        return TEMPLATES.find(template => template.id === templateId) || TEMPLATES[0];
+    }
+
+    /**
+     * Renders a share card.
+     * @param {string} templateId - One of the TEMPLATES ids.
+     * @param {object} content
+     * @param {string} content.appTitle
+     * @param {string} content.request - The user's question ('' to omit).
+     * @param {string} [content.locale] - Locale of the texts, for word segmentation.
+     * @param {string} content.dateText
+     * @param {string} content.luckIndex - e.g. '★★★☆☆'.
+     * @param {{stops: Array<string>, color: string}} content.luckColors - Luck-level colours for the 'luck' palette.
+     * @param {{prophecy: {title: string, text: string}, fortune: {title: string, text: string}}} content.sections
+     * @param {string} content.summary
+     * @param {{body: string, heading: string}} content.fonts - CSS font families.
+     * @param {object} [content.bilingual] - For bilingual templates: sections.{prophecy, fortune, summary}
+     *        as {title, primary, secondary} texts, and fonts.{primary, secondary} as {body, heading}.
+     * @param {function(number, {foreground: string, background: string}): CanvasImageSource} content.createQrImage
+     *        Called with the size in device pixels.
+     * @param {object} [options]
+     * @param {number} [options.scale] - Pixel ratio of the output; defaults to getExportScale().
+     * @returns {HTMLCanvasElement} Canvas of (template size × scale) device pixels.
+     */
+    function render(templateId, content, options = {}) {
+        const scale = options.scale || getExportScale();
+        const template = getTemplate(templateId);
+        const palette = template.palette === 'luck' ? buildLuckPalette(content.luckColors) : PALETTES[template.palette];
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+
+        const { env, items, blocksHeight, height: contentHeight } = fitLayout(ctx, template, content, palette);
+        const height = template.height || Math.max(contentHeight, template.minHeight || 0);
+        const m = env.metrics;
+        // Size in device pixels, draw in template (CSS) pixels
+        canvas.width = Math.round(template.width * scale);
+        canvas.height = Math.round(height * scale);
+        ctx.scale(scale, scale);
+
+        drawBackground(ctx, env, height);
+
+        const qrTop = height - m.bottomPadding - m.qrSize;
+        let y = m.topPadding;
+        if (template.verticalAlign === 'center') {
+            y += Math.max(0, (qrTop - m.spaceBeforeQR - m.topPadding - blocksHeight) / 2);
+        }
+        items.forEach(item => {
+            BLOCKS[item.block.type].draw(ctx, item.layout, y, env);
+            y += item.layout.height + item.spaceAfter;
+        });
+
+        const qrImage = content.createQrImage(Math.round(m.qrSize * scale), { foreground: palette.qrForeground, background: palette.qrBackground });
+        ctx.drawImage(qrImage, (template.width - m.qrSize) / 2, qrTop, m.qrSize, m.qrSize);
+        return canvas;
+    }
+
+    /** @returns {Array<{id: string, labelKey: string, label: string, bilingual: boolean}>} Templates for a picker */
+    function listTemplates() {
+        return TEMPLATES.map(({ id, labelKey, label, bilingual }) => ({ id, labelKey, label, bilingual: Boolean(bilingual) }));
+    }
+
+    root.ShareCard = { render, listTemplates, loadFonts, getExportScale };
+})(window);
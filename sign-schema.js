@@ -0,0 +1,231 @@
+// sign-schema.js
+// Schema checks for the sign decks (data.json, data-*.json).
+// Loaded by index.html (window.SignSchema, dev-mode warnings) and runnable from Node:
+//     node sign-schema.js            -> validates every deck next to this file
+//     node sign-schema.js a.json ... -> validates the given decks against data.json
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.SignSchema = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /** The 8 分类运程 keys, in the order showFortuneModal() displays them */
+    const CATEGORY_KEYS = ["健康", "财运", "感情", "考学", "事业", "人际", "纠纷", "远行"];
+
+    /** Text fields every entry must have (non-empty strings) */
+    const REQUIRED_TEXT_FIELDS = ["远古预言", "整体运程", "穿搭建议", "开运锦囊", "总结", "文件标题", "文件名", "梵文", "咒语含义"];
+
+    /** Text fields that may be missing; the UI hides or falls back for them */
+    const OPTIONAL_TEXT_FIELDS = ["解读举例"];
+
+    const LUCK_INDEX_PATTERN = /^★{1,5}☆{0,4}$/;
+    const LUCK_INDEX_LENGTH = 5;
+
+    function isNonEmptyString(value) {
+        return typeof value === 'string' && value.trim() !== '';
+    }
+
+    /**
+     * Validates one deck.
+     * @param {Array<object>} deck - Parsed contents of a data file.
+     * @param {object} [options]
+     * @param {string} [options.label] - Name used in messages (e.g. the file name).
+     * @param {function(string): boolean} [options.audioFileExists] - Checks a 文件名 under music/; skipped if omitted.
+     * @returns {{errors: Array<string>, warnings: Array<string>}}
+     */
+    function validateDeck(deck, options = {}) {
+        const label = options.label || 'deck';
+        const errors = [];
+        const warnings = [];
+
+        if (!Array.isArray(deck)) {
+            errors.push(`${label}: expected an array of signs, got ${typeof deck}`);
+            return { errors, warnings };
+        }
+        if (deck.length === 0) {
+            errors.push(`${label}: deck is empty`);
+            return { errors, warnings };
+        }
+
+        const seenNumbers = new Map(); // 签号 -> index of first occurrence
+
+        deck.forEach((entry, index) => {
+            const where = entry && entry.签号 !== undefined ? `${label} 签号 ${entry.签号}` : `${label} [${index}]`;
+
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                errors.push(`${label} [${index}]: entry is not an object`);
+                return;
+            }
+
+            if (!Number.isInteger(entry.签号) || entry.签号 <= 0) {
+                errors.push(`${where}: 签号 must be a positive integer`);
+            } else if (seenNumbers.has(entry.签号)) {
+                errors.push(`${where}: duplicate 签号 (also at index ${seenNumbers.get(entry.签号)})`);
+            } else {
+                seenNumbers.set(entry.签号, index);
+            }
+
+            if (typeof entry.幸运指数 !== 'string') {
+                errors.push(`${where}: 幸运指数 is missing`);
+            } else if (entry.幸运指数.length !== LUCK_INDEX_LENGTH || !LUCK_INDEX_PATTERN.test(entry.幸运指数)) {
+                errors.push(`${where}: 幸运指数 "${entry.幸运指数}" must be ${LUCK_INDEX_LENGTH} characters: 1-5 ★ followed by ☆`);
+            }
+
+            REQUIRED_TEXT_FIELDS.forEach(field => {
+                if (!isNonEmptyString(entry[field])) {
+                    errors.push(`${where}: ${field} is missing or empty`);
+                }
+            });
+            OPTIONAL_TEXT_FIELDS.forEach(field => {
+                if (entry[field] !== undefined && !isNonEmptyString(entry[field])) {
+                    warnings.push(`${where}: ${field} is present but empty`);
+                }
+            });
+
+            const categories = entry.分类运程;
+            if (!categories || typeof categories !== 'object' || Array.isArray(categories)) {
+                errors.push(`${where}: 分类运程 must be an object with keys ${CATEGORY_KEYS.join('/')}`);
+            } else {
+                CATEGORY_KEYS.forEach(key => {
+                    if (!isNonEmptyString(categories[key])) {
+                        errors.push(`${where}: 分类运程.${key} is missing or empty`);
+                    }
+                });
+                Object.keys(categories).filter(key => !CATEGORY_KEYS.includes(key)).forEach(key => {
+                    warnings.push(`${where}: 分类运程 has unknown key "${key}" (not displayed)`);
+                });
+            }
+
+            if (isNonEmptyString(entry.文件名)) {
+                if (!/\.mp3$/i.test(entry.文件名)) {
+                    warnings.push(`${where}: 文件名 "${entry.文件名}" is not an .mp3 file`);
+                }
+                if (options.audioFileExists && !options.audioFileExists(entry.文件名)) {
+                    errors.push(`${where}: 文件名 "${entry.文件名}" does not exist under music/`);
+                }
+            }
+        });
+
+        // 签号 must run 1..N with no gaps
+        const numbers = Array.from(seenNumbers.keys()).sort((a, b) => a - b);
+        const missing = [];
+        for (let expected = 1; expected <= numbers[numbers.length - 1]; expected++) {
+            if (!seenNumbers.has(expected)) missing.push(expected);
+        }
+        if (missing.length > 0) {
+            errors.push(`${label}: 签号 is not contiguous, missing ${missing.join(', ')}`);
+        }
+
+        return { errors, warnings };
+    }
+
+    /**
+     * Checks that a translated deck lines up with the reference (Chinese) deck by 签号.
+     * @param {Array<object>} referenceDeck - Usually data.json.
+     * @param {Array<object>} otherDeck - A translated deck.
+     * @param {object} [options]
+     * @param {string} [options.referenceLabel]
+     * @param {string} [options.label]
+     * @returns {{errors: Array<string>, warnings: Array<string>}}
+     */
+    function compareDecks(referenceDeck, otherDeck, options = {}) {
+        const referenceLabel = options.referenceLabel || 'reference';
+        const label = options.label || 'deck';
+        const errors = [];
+        const warnings = [];
+        if (!Array.isArray(referenceDeck) || !Array.isArray(otherDeck)) return { errors, warnings };
+
+        const byNumber = deck => new Map(deck.filter(entry => entry && Number.isInteger(entry.签号)).map(entry => [entry.签号, entry]));
+        const reference = byNumber(referenceDeck);
+        const other = byNumber(otherDeck);
+
+        reference.forEach((referenceEntry, number) => {
+            const entry = other.get(number);
+            if (!entry) {
+                errors.push(`${label}: 签号 ${number} exists in ${referenceLabel} but is missing`);
+                return;
+            }
+            if (entry.幸运指数 !== referenceEntry.幸运指数) {
+                errors.push(`${label} 签号 ${number}: 幸运指数 "${entry.幸运指数}" differs from ${referenceLabel} "${referenceEntry.幸运指数}"`);
+            }
+            if (entry.文件名 !== referenceEntry.文件名) {
+                warnings.push(`${label} 签号 ${number}: 文件名 "${entry.文件名}" differs from ${referenceLabel} "${referenceEntry.文件名}"`);
+            }
+        });
+        other.forEach((entry, number) => {
+            if (!reference.has(number)) {
+                errors.push(`${label}: 签号 ${number} does not exist in ${referenceLabel}`);
+            }
+        });
+
+        return { errors, warnings };
+    }
+
+    /**
+     * Command-line entry point: validates decks from disk and prints a report.
+     * @param {Array<string>} args - File paths; defaults to data.json and data-*.json beside this script.
+     * @returns {number} Process exit code.
+     */
+    function runCli(args) {
+        const fs = require('fs');
+        const path = require('path');
+        const baseDir = __dirname;
+        const musicDir = path.join(baseDir, 'music');
+        const referencePath = path.join(baseDir, 'data.json');
+
+        const files = args.length > 0
+            ? args.map(file => path.resolve(file))
+            : fs.readdirSync(baseDir)
+                .filter(name => name === 'data.json' || /^data-[\w-]+\.json$/.test(name))
+                .map(name => path.join(baseDir, name));
+
+        const readDeck = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+        const audioFileExists = fileName => fs.existsSync(path.join(musicDir, fileName));
+
+        let referenceDeck = null;
+        try {
+            referenceDeck = readDeck(referencePath);
+        } catch (error) {
+            console.error(`Cannot read reference deck ${referencePath}: ${error.message}`);
+        }
+
+        let totalErrors = 0;
+        let totalWarnings = 0;
+        files.forEach(file => {
+            const label = path.relative(process.cwd(), file) || file;
+            let deck;
+            try {
+                deck = readDeck(file);
+            } catch (error) {
+                console.log(`\n${label}\n  ERROR  cannot parse: ${error.message}`);
+                totalErrors++;
+                return;
+            }
+
+            const result = validateDeck(deck, { label, audioFileExists });
+            if (referenceDeck && path.resolve(file) !== referencePath) {
+                const alignment = compareDecks(referenceDeck, deck, { referenceLabel: 'data.json', label });
+                result.errors.push(...alignment.errors);
+                result.warnings.push(...alignment.warnings);
+            }
+
+            const count = Array.isArray(deck) ? deck.length : 0;
+            console.log(`\n${label} (${count} signs): ${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+            result.errors.forEach(message => console.log(`  ERROR  ${message}`));
+            result.warnings.forEach(message => console.log(`  WARN   ${message}`));
+            totalErrors += result.errors.length;
+            totalWarnings += result.warnings.length;
+        });
+
+        console.log(`\n${files.length} deck(s) checked: ${totalErrors} error(s), ${totalWarnings} warning(s)`);
+        return totalErrors > 0 ? 1 : 0;
+    }
+
+    if (typeof require === 'function' && typeof module === 'object' && require.main === module) {
+        process.exitCode = runCli(process.argv.slice(2));
+    }
+
+    return { CATEGORY_KEYS, REQUIRED_TEXT_FIELDS, OPTIONAL_TEXT_FIELDS, validateDeck, compareDecks, runCli };
+});
@@ -0,0 +1,177 @@
+// sw.js
+// Service worker: precaches the app shell, sign data and translations, and caches mantra audio on demand.
+// Bump CACHE_VERSION whenever any precached file changes; the page then offers a reload to the new version.
+const CACHE_VERSION = 'v35';
+const SHELL_CACHE = `lingqian-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `lingqian-runtime-${CACHE_VERSION}`;
+const AUDIO_CACHE = 'lingqian-audio-v1'; // Kept across shell versions; audio files never change in place
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'sign-schema.js',
+    'zh-hant.js',
+    'rate-limit.js',
+    'draw-history.js',
+    'favorites.js',
+    'mantra-player.js',
+    'recitation-log.js',
+    'modal-manager.js',
+    'screen-flow.js',
+    'draw-attempt.js',
+    'themes.js',
+    'particle-engine.js',
+    'qr-code.js',
+    'text-layout.js',
+    'share-card.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'cc_min.jpg',
+    'data.json',
+    'data-en.json',
+    'lang/index.json',
+    'lang/zh.json',
+    'lang/en.json'
+];
+// fonts/ (the share-card font, ~750 KB) is not precached; the runtime cache keeps it after the first share.
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', event => {
+    const currentCaches = [SHELL_CACHE, RUNTIME_CACHE, AUDIO_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key.startsWith('lingqian-') && !currentCaches.includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page posts this when the user accepts the "new version available" prompt
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin && url.pathname.includes('/music/')) {
+        event.respondWith(handleAudioRequest(request));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(handleNavigationRequest(request));
+    } else {
+        event.respondWith(handleAssetRequest(request, event));
+    }
+});
+
+/**
+ * Serves the cached app shell for page loads (including deep links), falling back to the network.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handleNavigationRequest(request) {
+    const cached = await caches.match(request, { ignoreSearch: true }) || await caches.match('index.html');
+    if (cached) return cached;
+    return fetch(request);
+}
+
+/**
+ * Cache-first for precached files; other assets (e.g. the share-card font) are served
+ * stale-while-revalidate from the runtime cache.
+ * @param {Request} request
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function handleAssetRequest(request, event) {
+    const shellCache = await caches.open(SHELL_CACHE);
+    const precached = await shellCache.match(request, { ignoreSearch: true });
+    if (precached) return precached;
+
+    const runtimeCache = await caches.open(RUNTIME_CACHE);
+    const cached = await runtimeCache.match(request);
+    const networkFetch = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                return runtimeCache.put(request, response.clone()).then(() => response);
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(networkFetch.catch(() => {})); // Refresh in the background
+        return cached;
+    }
+    return networkFetch;
+}
+
+/**
+ * Caches mantra audio the first time it is played. Media elements request byte
+ * ranges, so the full file is cached and ranges are sliced from it.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handleAudioRequest(request) {
+    const cache = await caches.open(AUDIO_CACHE);
+    let response = await cache.match(request.url);
+    if (!response) {
+        response = await fetch(request.url); // Without the Range header, to get the whole file
+        if (!response.ok) return response;
+        await cache.put(request.url, response.clone());
+    }
+
+    const rangeHeader = request.headers.get('range');
+    if (!rangeHeader) return response;
+    return buildRangeResponse(response, rangeHeader);
+}
+
+/**
+ * Builds a 206 Partial Content response for a "bytes=start-end" range.
+ * @param {Response} response - The full cached response.
+ * @param {string} rangeHeader - The request's Range header.
+ * @returns {Promise<Response>}
+ */
+async function buildRangeResponse(response, rangeHeader) {
+    const buffer = await response.arrayBuffer();
+    const total = buffer.byteLength;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+    if (!match) {
+        return new Response(buffer, { status: 200, headers: response.headers });
+    }
+
+    let start = match[1] === '' ? NaN : parseInt(match[1], 10);
+    let end = match[2] === '' ? NaN : parseInt(match[2], 10);
+    if (Number.isNaN(start)) { // Suffix range: the last N bytes
+        start = Math.max(0, total - end);
+        end = total - 1;
+    } else if (Number.isNaN(end) || end >= total) {
+        end = total - 1;
+    }
+
+    if (start >= total || start > end) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${total}` } });
+    }
+
+    return new Response(buffer.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || 'audio/mpeg',
+            'Content-Range': `bytes ${start}-${end}/${total}`,
+            'Content-Length': String(end - start + 1),
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
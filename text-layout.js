@@ -0,0 +1,206 @@
+// text-layout.js
+// Line breaking for canvas text, exposed as window.TextLayout.
+// Chinese breaks between characters under kinsoku rules (禁则: no closing punctuation at the start
+// of a line, no opening punctuation at the end); other scripts break at Intl.Segmenter word
+// boundaries. Lines can be justified and capped at a number of lines with an ellipsis.
+(function (root) {
+    /** Characters that must not start a line */
+    const NO_LINE_START = '，。、；：？！）】》」』〕〉〗〙〛”’…‥·・～〜％,.;:?!)]}%';
+    /** Characters that must not end a line */
+    const NO_LINE_END = '（【《「『〔〈〖〘〚“‘([{';
+    /** Trailing characters dropped before an ellipsis so a cut line doesn't end in '，…' */
+    const ELLIPSIS_TRIM_PATTERN = /[\s，。、；：,.;:（【《「『“‘([{—-]+$/;
+    const DEFAULT_ELLIPSIS = '…';
+
+    /** Ideographs and full-width forms, which may break on either side of each character */
+    const CJK_PATTERN = /[\u2E80-\u9FFF\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFFEF]/;
+    const CJK_RUN_PATTERN = /[\u2E80-\u9FFF\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFFEF]|[^\u2E80-\u9FFF\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFFEF]+/g;
+
+    const segmenters = {};
+
+    /** @returns {Intl.Segmenter|null} A cached segmenter, or null where Intl.Segmenter is unsupported */
+    function getSegmenter(locale, granularity) {
+        if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') return null;
+        const key = `${locale || ''}|${granularity}`;
+        if (!segmenters[key]) segmenters[key] = new Intl.Segmenter(locale || undefined, { granularity });
+        return segmenters[key];
+    }
+
+    /** @returns {Array<string>} User-perceived characters of text */
+    function splitGraphemes(text, locale) {
+        const segmenter = getSegmenter(locale, 'grapheme');
+        return segmenter ? Array.from(segmenter.segment(text), part => part.segment) : Array.from(text);
+    }
+
+    /**
+     * Splits a non-CJK run into unbreakable units at word boundaries: a break is allowed after
+     * whitespace and after a hyphen or dash between words. Each unit keeps its trailing spaces.
+     */
+    function splitWords(run, locale) {
+        const segmenter = getSegmenter(locale, 'word');
+        const segments = segmenter ? Array.from(segmenter.segment(run), part => part.segment) : (run.match(/\s+|[^\s]+/g) || []);
+        const units = [];
+        let current = '';
+        segments.forEach((segment, index) => {
+            const isSpace = /^\s+$/.test(segment);
+            if (current && !isSpace && /\s$/.test(current)) {
+                units.push(current);
+                current = '';
+            }
+            current += segment;
+            const next = segments[index + 1];
+            if (/[-–—]$/.test(segment) && !isSpace && next && !/^\s/.test(next) && current.length > segment.length) {
+                units.push(current);
+                current = '';
+            }
+        });
+        if (current) units.push(current);
+        return units;
+    }
+
+    /**
+     * Splits a paragraph into break units: text between two consecutive break opportunities.
+     * Kinsoku rules are applied by gluing forbidden punctuation to its neighbour.
+     */
+    function splitUnits(paragraph, locale) {
+        const units = [];
+        (paragraph.match(CJK_RUN_PATTERN) || []).forEach(run => {
+            if (CJK_PATTERN.test(run)) {
+                units.push(run);
+            } else {
+                units.push(...splitWords(run, locale));
+            }
+        });
+
+        const merged = [];
+        let glueNext = false;
+        units.forEach(unit => {
+            const first = unit.trimStart().charAt(0);
+            if (merged.length > 0 && (glueNext || (first && NO_LINE_START.includes(first)))) {
+                merged[merged.length - 1] += unit;
+            } else {
+                merged.push(unit);
+            }
+            const last = unit.trimEnd().slice(-1);
+            glueNext = last !== '' && NO_LINE_END.includes(last) && unit === unit.trimEnd();
+        });
+        return merged;
+    }
+
+    function measure(ctx, text) {
+        return ctx.measureText(text).width;
+    }
+
+    /**
+     * Greedily fills lines with units. A unit wider than a whole line is broken between its characters.
+     * @returns {Array<{text: string, units: Array<string>}>}
+     */
+    function fillLines(ctx, units, maxWidth, locale) {
+        const lines = [];
+        let current = [];
+        const currentText = () => current.join('');
+        const pushLine = () => {
+            if (currentText().trim()) lines.push({ text: currentText().trimEnd(), units: current });
+            current = [];
+        };
+
+        units.forEach(unit => {
+            if (measure(ctx, (currentText() + unit).trimEnd()) <= maxWidth) {
+                current.push(unit);
+                return;
+            }
+            pushLine();
+            if (measure(ctx, unit.trimEnd()) <= maxWidth) {
+                if (unit.trim()) current.push(unit);
+                return;
+            }
+            splitGraphemes(unit, locale).forEach(char => {
+                if (current.length > 0 && measure(ctx, (currentText() + char).trimEnd()) > maxWidth) pushLine();
+                if (current.length > 0 || char.trim()) current.push(char);
+            });
+        });
+        pushLine();
+        return lines;
+    }
+
+    /** Shortens a line until it fits with the ellipsis appended */
+    function addEllipsis(ctx, line, maxWidth, ellipsis, locale) {
+        const chars = splitGraphemes(line.text, locale);
+        let text = line.text.replace(ELLIPSIS_TRIM_PATTERN, '');
+        while (chars.length > 0 && measure(ctx, text + ellipsis) > maxWidth) {
+            chars.pop();
+            text = chars.join('').replace(ELLIPSIS_TRIM_PATTERN, '');
+        }
+        const truncatedText = text + ellipsis;
+        return { text: truncatedText, units: [truncatedText], width: measure(ctx, truncatedText), isParagraphEnd: true };
+    }
+
+    /**
+     * Breaks text into lines no wider than maxWidth with the context's current font.
+     * Explicit newlines start new paragraphs; empty paragraphs produce no line.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {string} text
+     * @param {object} options
+     * @param {number} options.maxWidth - Line width in the context's units.
+     * @param {number} [options.maxLines] - Cut after this many lines, ending the last with the ellipsis.
+     * @param {string} [options.ellipsis='…']
+     * @param {string} [options.locale] - Locale for word segmentation.
+     * @returns {{lines: Array<{text: string, units: Array<string>, width: number, isParagraphEnd: boolean}>, truncated: boolean}}
+     */
+    function layout(ctx, text, options) {
+        const { maxWidth, maxLines, locale } = options;
+        const ellipsis = options.ellipsis === undefined ? DEFAULT_ELLIPSIS : options.ellipsis;
+        let lines = [];
+        String(text || '').split('\n').forEach(paragraph => {
+            const paragraphLines = fillLines(ctx, splitUnits(paragraph, locale), maxWidth, locale);
+            paragraphLines.forEach((line, index) => {
+                lines.push({ text: line.text, units: line.units, width: measure(ctx, line.text), isParagraphEnd: index === paragraphLines.length - 1 });
+            });
+        });
+
+        let truncated = false;
+        if (maxLines > 0 && lines.length > maxLines) {
+            lines = lines.slice(0, maxLines);
+            lines[maxLines - 1] = addEllipsis(ctx, lines[maxLines - 1], maxWidth, ellipsis, locale);
+            truncated = true;
+        }
+        return { lines, truncated };
+    }
+
+    /**
+     * Draws one line from layout() with the context's current font and fill.
+     * Justified lines spread the spare width over their break opportunities; the last line of a
+     * paragraph is left-aligned.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {{text: string, units: Array<string>, width: number, isParagraphEnd: boolean}} line
+     * @param {number} left - Left edge of the text box.
+     * @param {number} baseline - Alphabetic baseline y.
+     * @param {number} boxWidth
+     * @param {string} [align='left'] - 'left', 'center', 'right' or 'justify'.
+     */
+    function drawLine(ctx, line, left, baseline, boxWidth, align = 'left') {
+        ctx.textBaseline = 'alphabetic';
+        if (align === 'center' || align === 'right') {
+            ctx.textAlign = align;
+            ctx.fillText(line.text, align === 'center' ? left + boxWidth / 2 : left + boxWidth, baseline);
+            return;
+        }
+        ctx.textAlign = 'left';
+        const units = line.units.filter(unit => unit !== '');
+        if (align !== 'justify' || line.isParagraphEnd || units.length < 2) {
+            ctx.fillText(line.text, left, baseline);
+            return;
+        }
+        const lastIndex = units.length - 1;
+        const pieces = units.map((unit, index) => (index === lastIndex ? unit.trimEnd() : unit));
+        const naturalWidth = pieces.reduce((sum, piece) => sum + measure(ctx, piece), 0);
+        const gap = (boxWidth - naturalWidth) / lastIndex;
+        let x = left;
+        pieces.forEach(piece => {
+            ctx.fillText(piece, x, baseline);
+            x += measure(ctx, piece) + gap;
+        });
+    }
+
+    root.TextLayout = { layout, drawLine };
+})(window);
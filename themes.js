@@ -0,0 +1,239 @@
+// themes.js
+// Declarative page themes, exposed as window.Themes.
+// Each luck level (★ count of the drawn sign) has a theme listing its colours, particle layers and
+// background animation; the stylesheet half lives under its body class in style.css. On lunar
+// festivals a festival layer overrides parts of the luck theme or decorates it with extra particles.
+(function (root) {
+    /**
+     * @typedef {object} ParticleLayer
+     * @property {string} type - 'orb', 'sparkle', 'ray', 'lantern', 'petal' or 'moon'.
+     * @property {string} sprite - Colour variant, e.g. 'gold' or 'red'.
+     * @property {number} count
+     */
+
+    /**
+     * @typedef {object} BackgroundLayer - Large faint shapes behind the particles.
+     * @property {string} sprite - Colour variant.
+     * @property {string} motion - 'float', 'pulse', 'drift', 'flicker' or 'fade' (see particle-engine.js).
+     * @property {number} count
+     */
+
+    /**
+     * @typedef {object} ThemeColors
+     * @property {string} accent - Text and border colour.
+     * @property {Array<string>} stops - Gradient stops of the draw button and the share card.
+     * @property {string} glow - "r, g, b" of the accent, for translucent shadows.
+     */
+
+    /**
+     * @typedef {object} LuckTheme
+     * @property {string} id - Also the suffix of the result box's box-* class.
+     * @property {number} minStars - Lowest ★ count the theme applies to.
+     * @property {string} className - Body class.
+     * @property {ThemeColors} colors
+     * @property {Array<ParticleLayer>} particles
+     * @property {BackgroundLayer} background
+     */
+
+    /** @type {Array<LuckTheme>} Highest minStars first */
+    const LUCK_THEMES = [
+        {
+            id: 'very-lucky',
+            minStars: 5,
+            className: 'theme-very-lucky',
+            colors: { accent: '#FFD700', stops: ['#FFD700', '#FFA500'], glow: '255, 215, 0' },
+            particles: [
+                { type: 'orb', sprite: 'gold', count: 30 },
+                { type: 'sparkle', sprite: 'gold', count: 15 },
+                { type: 'ray', sprite: 'gold', count: 8 }
+            ],
+            background: { sprite: 'gold', motion: 'float', count: 25 }
+        },
+        {
+            id: 'lucky',
+            minStars: 4,
+            className: 'theme-lucky',
+            colors: { accent: '#C0C0C0', stops: ['#C0C0C0', '#A9A9A9'], glow: '192, 192, 192' },
+            particles: [
+                { type: 'orb', sprite: 'silver', count: 20 },
+                { type: 'sparkle', sprite: 'silver', count: 10 },
+                { type: 'ray', sprite: 'silver', count: 8 }
+            ],
+            background: { sprite: 'silver', motion: 'float', count: 20 }
+        },
+        {
+            id: 'neutral',
+            minStars: 3,
+            className: 'theme-neutral',
+            colors: { accent: '#ADFF2F', stops: ['#ADFF2F', '#7CFC00'], glow: '173, 255, 47' },
+            particles: [
+                { type: 'orb', sprite: 'green', count: 15 },
+                { type: 'sparkle', sprite: 'green', count: 7 }
+            ],
+            background: { sprite: 'green', motion: 'float', count: 15 }
+        },
+        {
+            id: 'unlucky',
+            minStars: 2,
+            className: 'theme-unlucky',
+            colors: { accent: '#DC143C', stops: ['#DC143C', '#B22222'], glow: '220, 20, 60' },
+            particles: [
+                { type: 'orb', sprite: 'red', count: 10 },
+                { type: 'sparkle', sprite: 'red', count: 5 }
+            ],
+            background: { sprite: 'red', motion: 'flicker', count: 10 }
+        },
+        {
+            id: 'very-unlucky',
+            minStars: 0,
+            className: 'theme-very-unlucky',
+            colors: { accent: '#6A5ACD', stops: ['#6A5ACD', '#483D8B'], glow: '106, 90, 205' },
+            particles: [
+                { type: 'orb', sprite: 'purple', count: 5 },
+                { type: 'sparkle', sprite: 'purple', count: 2 }
+            ],
+            background: { sprite: 'purple', motion: 'fade', count: 5 }
+        }
+    ];
+
+    /**
+     * @typedef {object} Festival
+     * @property {string} id
+     * @property {number} lunarMonth - 1-12; leap months never match.
+     * @property {number} lunarDay - First day of the festival.
+     * @property {number} days - How many days the festival theme lasts.
+     * @property {string} className - Body class added next to the luck theme's.
+     * @property {{colors: ?object, particles: ?Array<ParticleLayer>, background: ?object}} [override] - Replaces
+     *           these parts of the luck theme (colours are merged key by key).
+     * @property {Array<ParticleLayer>} [decorate] - Particle layers added on top of the (overridden) theme.
+     */
+
+    /** @type {Array<Festival>} */
+    const FESTIVALS = [
+        { // 春节: red lanterns and gold sparks instead of the luck particles, for the first week of the year
+            id: 'spring-festival',
+            lunarMonth: 1,
+            lunarDay: 1,
+            days: 7,
+            className: 'festival-spring-festival',
+            override: {
+                particles: [
+                    { type: 'lantern', sprite: 'red', count: 6 },
+                    { type: 'sparkle', sprite: 'gold', count: 20 }
+                ]
+            }
+        },
+        { // 元宵节
+            id: 'lantern-festival',
+            lunarMonth: 1,
+            lunarDay: 15,
+            days: 1,
+            className: 'festival-lantern-festival',
+            decorate: [{ type: 'lantern', sprite: 'red', count: 10 }]
+        },
+        { // 浴佛节 (佛诞)
+            id: 'bathing-buddha',
+            lunarMonth: 4,
+            lunarDay: 8,
+            days: 1,
+            className: 'festival-bathing-buddha',
+            decorate: [{ type: 'petal', sprite: 'lotus', count: 12 }]
+        },
+        { // 中秋节
+            id: 'mid-autumn',
+            lunarMonth: 8,
+            lunarDay: 15,
+            days: 1,
+            className: 'festival-mid-autumn',
+            decorate: [
+                { type: 'moon', sprite: 'gold', count: 1 },
+                { type: 'sparkle', sprite: 'silver', count: 10 }
+            ]
+        }
+    ];
+
+    let lunarFormatter; // Created on first use; null where the browser lacks the Chinese calendar
+
+    function getLunarFormatter() {
+        if (lunarFormatter !== undefined) return lunarFormatter;
+        lunarFormatter = null;
+        try {
+            const formatter = new Intl.DateTimeFormat('en-u-ca-chinese', { timeZone: 'UTC', month: 'numeric', day: 'numeric' });
+            if (formatter.resolvedOptions().calendar === 'chinese') lunarFormatter = formatter;
+        } catch (error) {
+            console.warn('Chinese calendar unavailable, festival themes are off:', error);
+        }
+        return lunarFormatter;
+    }
+
+    /**
+     * Converts a local calendar day to the Chinese lunisolar calendar.
+     * @param {Date} date - Only its local year, month and day are used.
+     * @returns {{month: number, day: number, isLeapMonth: boolean}|null} Null if the browser can't tell.
+     */
+    function toLunarDate(date) {
+        const formatter = getLunarFormatter();
+        if (!formatter) return null;
+        // Noon UTC of the local day, so the user's time zone doesn't shift the date
+        const civilDay = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 12));
+        const parts = {};
+        formatter.formatToParts(civilDay).forEach(part => { parts[part.type] = part.value; });
+        const month = parseInt(parts.month, 10);
+        const day = parseInt(parts.day, 10);
+        if (!month || !day) return null;
+        return { month, day, isLeapMonth: /bis$/.test(parts.month) };
+    }
+
+    /**
+     * @param {Date} [date=new Date()]
+     * @returns {Festival|null} The festival whose theme applies on that day.
+     */
+    function getFestival(date = new Date()) {
+        const lunar = toLunarDate(date);
+        if (!lunar || lunar.isLeapMonth) return null;
+        return FESTIVALS.find(festival => festival.lunarMonth === lunar.month
+            && lunar.day >= festival.lunarDay && lunar.day < festival.lunarDay + festival.days) || null;
+    }
+
+    /** @returns {LuckTheme} The theme for a ★ count */
+    function getLuckTheme(stars) {
+        return LUCK_THEMES.find(theme => stars >= theme.minStars) || LUCK_THEMES[LUCK_THEMES.length - 1];
+    }
+
+    /**
+     * Combines the luck theme for a ★ count with the festival layer of the day.
+     * @param {number} stars
+     * @param {object} [options]
+     * @param {Date} [options.date=new Date()]
+     * @param {string} [options.festivalId] - Force a festival by id (e.g. for previewing); 'none' for none.
+     * @returns {{id: string, classNames: Array<string>, colors: ThemeColors, particles: Array<ParticleLayer>,
+     *            background: BackgroundLayer, festival: ?string}}
+     */
+    function resolve(stars, options = {}) {
+        const luckTheme = getLuckTheme(stars);
+        const festival = options.festivalId
+            ? FESTIVALS.find(f => f.id === options.festivalId) || null
+            : getFestival(options.date);
+
+        const theme = {
+            id: luckTheme.id,
+            classNames: [luckTheme.className],
+            colors: Object.assign({}, luckTheme.colors),
+            particles: luckTheme.particles.slice(),
+            background: Object.assign({}, luckTheme.background),
+            festival: null
+        };
+        if (!festival) return theme;
+
+        const override = festival.override || {};
+        if (override.colors) Object.assign(theme.colors, override.colors);
+        if (override.particles) theme.particles = override.particles.slice();
+        if (override.background) theme.background = Object.assign({}, override.background);
+        theme.particles.push(...(festival.decorate || []));
+        theme.classNames.push(festival.className);
+        theme.festival = festival.id;
+        return theme;
+    }
+
+    root.Themes = { resolve, getLuckTheme, getFestival, toLunarDate };
+})(window);
@@ -0,0 +1,227 @@
+// zh-hant.js
+// Offline Simplified -> Traditional Chinese conversion, exposed as window.ChineseConverter.
+// Mapping data comes from OpenCC (https://github.com/BYVoid/OpenCC, Apache-2.0):
+//   CHARACTER_PAIRS - STCharacters.txt, preferred candidate of every character that changes
+//   PHRASE_PAIRS    - every STPhrases.txt entry that appears in data.json / lang/zh.json, including
+//                     ones that convert like their characters: they decide where words split
+//                     (突发|突發 keeps 发状|髮狀 from matching in 突发状况), as in OpenCC's own max-match
+// When adding sign text, add the STPhrases.txt entries it contains to PHRASE_PAIRS and check the
+// converted text against OpenCC s2t (e.g. opencc-js); the two should agree on all sign text.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.ChineseConverter = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Pairs of characters: simplified followed by traditional
+    const CHARACTER_PAIRS =
+        '㐷傌㐹㑶㐽偑㑇㑳㑈倲㑔㑯㑩儸㓆𠗣㓥劏㓰劃㔉劚㖊噚㖞喎㘎㘚㚯㜄㛀媰㛟𡞵㛠𡢃㛣㜏㛤孋㛿𡠹㟆㠏㟜𡾱㟥嵾㡎幓㤘㥮㤽懤㥪慺㧏掆㧐㩳㧑撝㧟擓㧰擽㨫㩜㭎棡㭏椲㭣𣙎㭤樢㭴樫㱩殰㱮殨㲿瀇㳔濧㳕灡㳠澾㳡濄㳢𣾷㳽瀰㴋潚㶉鸂㶶燶㶽煱㺍獱㻅璯㻏𤫩㻘𤪺䀥䁻䁖瞜䂵碽䃅磾' +
+        '䅉稏䅟穇䅪𥢢䇲筴䉤籔䌶䊷䌷紬䌸縳䌹絅䌺䋙䌻䋚䌼綐䌽綵䌾䋻䌿䋹䍀繿䍁繸䍠䍦䎬䎱䏝膞䑽𦪙䓓薵䓕薳䓖藭䓨罃䗖螮䘛𧝞䘞𧜗䙊𧜵䙌䙡䙓襬䜣訢䜤鿁䜥𧩙䜧䜀䜩讌䝙貙䞌𧵳䞍䝼䞎𧶧䞐賰䟢躎䢀𨊰䢁𨊸䢂𨋢䥺釾䥽鏺䥾䥱䥿𨯅䦀𨦫䦁𨧜䦂䥇䦃鐯䦅鐥䦆钁䦶䦛䦷䦟䩄靦䭪𩞯䯃𩣑' +
+        '䯄騧䯅䯀䲝䱽䲞𩶘䲟鮣䲠鰆䲡鰌䲢鰧䲣䱷䴓鳾䴔鵁䴕鴷䴖鶄䴗鶪䴘鷉䴙鸊䶮龑万萬与與丑醜专專业業丛叢东東丝絲丢丟两兩严嚴丧喪个個丰豐临臨为爲丽麗举舉么麼义義乌烏乐樂乔喬习習乡鄉书書买買乱亂争爭于於亏虧云雲亘亙亚亞产產亩畝亲親亵褻亸嚲亿億仅僅仆僕从從' +
+        '仑侖仓倉仪儀们們价價众衆优優伙夥会會伛傴伞傘伟偉传傳伡俥伣俔伤傷伥倀伦倫伧傖伪僞伫佇体體余餘佣傭佥僉侠俠侣侶侥僥侦偵侧側侨僑侩儈侪儕侬儂侭儘俣俁俦儔俨儼俩倆俪儷俫倈俭儉债債倾傾偬傯偻僂偾僨偿償傤儎傥儻傧儐储儲傩儺儿兒兑兌兖兗党黨兰蘭关關兴興' +
+        '兹茲养養兽獸冁囅内內冈岡册冊写寫军軍农農冯馮冲衝决決况況冻凍净淨凄悽准準凉涼减減凑湊凛凜几幾凤鳳凫鳧凭憑凯凱凶兇击擊凿鑿刍芻划劃刘劉则則刚剛创創删刪别別刬剗刭剄刹剎刽劊刾㓨刿劌剀剴剂劑剐剮剑劍剥剝剧劇劝勸办辦务務劢勱动動励勵劲勁劳勞势勢勋勳' +
+        '勚勩匀勻匦匭匮匱区區医醫华華协協单單卖賣占佔卢盧卤滷卧臥卫衛却卻卺巹厂廠厅廳历歷厉厲压壓厌厭厍厙厐龎厕廁厘釐厢廂厣厴厦廈厨廚厩廄厮廝县縣叁叄参參叆靉叇靆双雙发發变變叙敘叠疊台臺叶葉号號叹嘆叽嘰吁籲吃喫后後吓嚇吕呂吗嗎吨噸听聽启啓吴吳呐吶呒嘸' +
+        '呓囈呕嘔呖嚦呗唄员員呙咼呛嗆呜嗚咏詠咙嚨咛嚀咝噝咤吒咨諮咸鹹响響哑啞哒噠哓嘵哔嗶哕噦哗譁哙噲哜嚌哝噥哟喲唇脣唛嘜唝嗊唠嘮唡啢唢嗩唤喚啧嘖啬嗇啭囀啮齧啯嘓啰囉啴嘽啸嘯喷噴喽嘍喾嚳嗫囁嗳噯嘘噓嘤嚶嘱囑噜嚕嚣囂团團园園囱囪围圍囵圇国國图圖圆圓圣聖' +
+        '圹壙场場坏壞块塊坚堅坛壇坜壢坝壩坞塢坟墳坠墜垄壟垅壠垆壚垒壘垦墾垩堊垫墊垭埡垯墶垱壋垲塏垴堖埘塒埙壎埚堝堑塹堕墮塆壪墙牆壮壯声聲壳殼壶壺壸壼处處备備复復够夠头頭夸誇夹夾夺奪奁奩奂奐奋奮奖獎奥奧妆妝妇婦妈媽妩嫵妪嫗妫嬀姗姍姹奼娄婁娅婭娆嬈娇嬌' +
+        '娈孌娱娛娲媧娴嫺婳嫿婴嬰婵嬋婶嬸媪媼媭嬃嫒嬡嫔嬪嫱嬙嬷嬤孙孫学學孪孿宁寧宝寶实實宠寵审審宪憲宫宮宽寬宾賓寝寢对對寻尋导導寿壽将將尔爾尘塵尝嘗尧堯尴尷尸屍尽盡层層屃屓屉屜届屆属屬屡屢屦屨屿嶼岁歲岂豈岖嶇岗崗岘峴岚嵐岛島岩巖岭嶺岳嶽岽崬岿巋峃嶨' +
+        '峄嶧峡峽峣嶢峤嶠峥崢峦巒峰峯崂嶗崃崍崄嶮崭嶄嵘嶸嵚嶔嵝嶁巅巔巩鞏巯巰币幣帅帥师師帏幃帐帳帘簾帜幟带帶帧幀帮幫帱幬帻幘帼幗幂冪干幹并並广廣庄莊庆慶床牀庐廬庑廡库庫应應庙廟庞龐废廢庼廎廪廩开開异異弃棄弑弒张張弥彌弪弳弯彎弹彈强強归歸当當录錄彟彠' +
+        '彦彥彨彲彻徹征徵径徑徕徠忆憶忏懺忧憂忾愾怀懷态態怂慫怃憮怄慪怅悵怆愴怜憐总總怼懟怿懌恋戀恒恆恳懇恶惡恸慟恹懨恺愷恻惻恼惱恽惲悦悅悫愨悬懸悭慳悮悞悯憫惊驚惧懼惨慘惩懲惫憊惬愜惭慚惮憚惯慣愠慍愤憤愦憒愿願慑懾慭憖懑懣懒懶懔懍戆戇戋戔戏戲戗戧战戰' +
+        '戬戩戯戱户戶扑撲执執扩擴扪捫扫掃扬揚扰擾抚撫抛拋抟摶抠摳抡掄抢搶护護报報担擔拟擬拢攏拣揀拥擁拦攔拧擰拨撥择擇挂掛挚摯挛攣挜掗挝撾挞撻挟挾挠撓挡擋挢撟挣掙挤擠挥揮挦撏捝挩捞撈损損捡撿换換捣搗据據掳擄掴摑掷擲掸撣掺摻掼摜揽攬揾搵揿撳搀攙搁擱搂摟' +
+        '搄揯搅攪携攜摄攝摅攄摆擺摇搖摈擯摊攤撄攖撑撐撵攆撷擷撸擼撺攛擜㩵擞擻攒攢敌敵敚敓敛斂敩斆数數斋齋斓斕斗鬥斩斬断斷无無旧舊时時旷曠旸暘昙曇昵暱昼晝昽曨显顯晋晉晒曬晓曉晔曄晕暈晖暉暂暫暅𣈶暧曖术術朴樸机機杀殺杂雜权權杠槓条條来來杨楊杩榪杰傑极極' +
+        '构構枞樅枢樞枣棗枥櫪枧梘枨棖枪槍枫楓枭梟柜櫃柠檸柽檉栀梔栅柵标標栈棧栉櫛栊櫳栋棟栌櫨栎櫟栏欄树樹栖棲样樣栾欒桠椏桡橈桢楨档檔桤榿桥橋桦樺桧檜桨槳桩樁桪樳梦夢梼檮梾棶梿槤检檢棁梲棂欞椁槨椝槼椟櫝椠槧椢槶椤欏椫樿椭橢椮槮楼樓榄欖榅榲榇櫬榈櫚榉櫸' +
+        '榝樧槚檟槛檻槟檳槠櫧横橫樯檣樱櫻橥櫫橱櫥橹櫓橼櫞檩檁欢歡欤歟欧歐歼殲殁歿殇殤残殘殒殞殓殮殚殫殡殯殴毆毁毀毂轂毕畢毙斃毡氈毵毿毶𣯶氇氌气氣氢氫氩氬氲氳汇匯汉漢汤湯汹洶沄澐沟溝没沒沣灃沤漚沥瀝沦淪沧滄沨渢沩潙沪滬泞濘泪淚泶澩泷瀧泸瀘泺濼泻瀉泼潑' +
+        '泽澤泾涇洁潔洒灑洼窪浃浹浅淺浆漿浇澆浈湞浉溮浊濁测測浍澮济濟浏瀏浐滻浑渾浒滸浓濃浔潯浕濜涂塗涌湧涚涗涛濤涝澇涞淶涟漣涠潿涡渦涢溳涣渙涤滌润潤涧澗涨漲涩澀淀澱渊淵渌淥渍漬渎瀆渐漸渑澠渔漁渖瀋渗滲温溫游遊湾灣湿溼溁濚溃潰溅濺溆漵溇漊滗潷滚滾滞滯' +
+        '滟灩滠灄满滿滢瀅滤濾滥濫滦灤滨濱滩灘滪澦潆瀠潇瀟潋瀲潍濰潜潛潴瀦澛瀂澜瀾濑瀨濒瀕灏灝灭滅灯燈灵靈灶竈灾災灿燦炀煬炉爐炖燉炜煒炝熗点點炼煉炽熾烁爍烂爛烃烴烛燭烟煙烦煩烧燒烨燁烩燴烫燙烬燼热熱焕煥焖燜焘燾煴熅熏燻爱愛爷爺牍牘牦犛牵牽牺犧犊犢状狀' +
+        '犷獷犸獁犹猶狈狽狝獮狞獰独獨狭狹狮獅狯獪狰猙狱獄狲猻猃獫猎獵猕獼猡玀猪豬猫貓猬蝟献獻獭獺玑璣玙璵玚瑒玛瑪玮瑋环環现現玱瑲玺璽珐琺珑瓏珰璫珲琿琎璡琏璉琐瑣琼瓊瑶瑤瑷璦瑸璸璎瓔瓒瓚瓮甕瓯甌电電画畫畅暢畴疇疖癤疗療疟瘧疠癘疡瘍疬癧疭瘲疮瘡疯瘋疱皰' +
+        '疴痾痈癰痉痙痒癢痖瘂痨癆痪瘓痫癇痴癡瘅癉瘆瘮瘗瘞瘘瘻瘪癟瘫癱瘾癮瘿癭癞癩癣癬癫癲皂皁皑皚皱皺皲皸盏盞盐鹽监監盖蓋盗盜盘盤眍瞘眦眥眬矓睁睜睐睞睑瞼瞆瞶瞒瞞瞩矚矫矯矶磯矾礬矿礦砀碭码碼砖磚砗硨砚硯砜碸砺礪砻礱砾礫础礎硁硜硕碩硖硤硗磽硙磑硚礄确確' +
+        '硵磠碍礙碛磧碜磣碱鹼礼禮祃禡祎禕祢禰祯禎祷禱祸禍禀稟禄祿禅禪离離秃禿秆稈种種秘祕积積称稱秽穢秾穠稆穭税稅稣穌稳穩穑穡穞穭穷窮窃竊窍竅窎窵窑窯窜竄窝窩窥窺窦竇窭窶竖豎竞競笃篤笋筍笔筆笕筧笺箋笼籠笾籩筑築筚篳筛篩筜簹筝箏筹籌筼篔签籤筿篠简簡箓籙' +
+        '箦簀箧篋箨籜箩籮箪簞箫簫篑簣篓簍篮籃篯籛篱籬簖籪籁籟籴糴类類籼秈粜糶粝糲粤粵粪糞粮糧粽糉糁糝糇餱糍餈紧緊絷縶緼縕縆緪纟糹纠糾纡紆红紅纣紂纤纖纥紇约約级級纨紈纩纊纪紀纫紉纬緯纭紜纮紘纯純纰紕纱紗纲綱纳納纴紝纵縱纶綸纷紛纸紙纹紋纺紡纻紵纼紖纽紐' +
+        '纾紓线線绀紺绁紲绂紱练練组組绅紳细細织織终終绉縐绊絆绋紼绌絀绍紹绎繹经經绐紿绑綁绒絨结結绔絝绕繞绖絰绗絎绘繪给給绚絢绛絳络絡绝絕绞絞统統绠綆绡綃绢絹绣繡绤綌绥綏绦絛继繼绨綈绩績绪緒绫綾绬緓续續绮綺绯緋绰綽绱鞝绲緄绳繩维維绵綿绶綬绷繃绸綢绹綯' +
+        '绺綹绻綣综綜绽綻绾綰绿綠缀綴缁緇缂緙缃緗缄緘缅緬缆纜缇緹缈緲缉緝缊縕缋繢缌緦缍綞缎緞缏緶缐線缑緱缒縋缓緩缔締缕縷编編缗緡缘緣缙縉缚縛缛縟缜縝缝縫缞縗缟縞缠纏缡縭缢縊缣縑缤繽缥縹缦縵缧縲缨纓缩縮缪繆缫繅缬纈缭繚缮繕缯繒缰繮缱繾缲繰缳繯缴繳缵纘' +
+        '罂罌网網罗羅罚罰罢罷罴羆羁羈羟羥羡羨群羣翘翹翙翽翚翬耢耮耧耬耸聳耻恥聂聶聋聾职職聍聹联聯聩聵聪聰肃肅肠腸肤膚肮骯肴餚肾腎肿腫胀脹胁脅胆膽胜勝胧朧胨腖胪臚胫脛胶膠脉脈脍膾脏髒脐臍脑腦脓膿脔臠脚腳脱脫脶腡脸臉腊臘腌醃腘膕腭齶腻膩腼靦腽膃腾騰膑臏' +
+        '膻羶臜臢舆輿舣艤舰艦舱艙舻艫艰艱艳豔艺藝节節芈羋芗薌芜蕪芦蘆苁蓯苇葦苈藶苋莧苌萇苍蒼苎苧苏蘇苧薴苹蘋范範茎莖茏蘢茑蔦茔塋茕煢茧繭荆荊荐薦荙薘荚莢荛蕘荜蓽荝萴荞蕎荟薈荠薺荡蕩荣榮荤葷荥滎荦犖荧熒荨蕁荩藎荪蓀荫蔭荬蕒荭葒荮葤药藥莅蒞莱萊莲蓮莳蒔' +
+        '莴萵莶薟获獲莸蕕莹瑩莺鶯莼蓴萚蘀萝蘿萤螢营營萦縈萧蕭萨薩葱蔥蒀蒕蒇蕆蒉蕢蒋蔣蒌蔞蒏醟蓝藍蓟薊蓠蘺蓣蕷蓥鎣蓦驀蔂虆蔷薔蔹蘞蔺藺蔼藹蕰薀蕲蘄蕴蘊薮藪藓蘚藴蘊蘖櫱虏虜虑慮虚虛虫蟲虬虯虮蟣虱蝨虽雖虾蝦虿蠆蚀蝕蚁蟻蚂螞蚃蠁蚕蠶蚝蠔蚬蜆蛊蠱蛎蠣蛏蟶蛮蠻' +
+        '蛰蟄蛱蛺蛲蟯蛳螄蛴蠐蜕蛻蜗蝸蜡蠟蝇蠅蝈蟈蝉蟬蝎蠍蝼螻蝾蠑螀螿螨蟎蟏蠨衅釁衔銜补補衬襯衮袞袄襖袅嫋袆褘袜襪袭襲袯襏装裝裆襠裈褌裢褳裣襝裤褲裥襉褛褸褴襤襕襴见見观觀觃覎规規觅覓视視觇覘览覽觉覺觊覬觋覡觌覿觍覥觎覦觏覯觐覲觑覷觞觴触觸觯觶訚誾詟讋' +
+        '誉譽誊謄讠訁计計订訂讣訃认認讥譏讦訐讧訌讨討让讓讪訕讫訖讬託训訓议議讯訊记記讱訒讲講讳諱讴謳讵詎讶訝讷訥许許讹訛论論讻訩讼訟讽諷设設访訪诀訣证證诂詁诃訶评評诅詛识識诇詗诈詐诉訴诊診诋詆诌謅词詞诎詘诏詔诐詖译譯诒詒诓誆诔誄试試诖詿诗詩诘詰诙詼' +
+        '诚誠诛誅诜詵话話诞誕诟詬诠詮诡詭询詢诣詣诤諍该該详詳诧詫诨諢诩詡诪譸诫誡诬誣语語诮誚误誤诰誥诱誘诲誨诳誑说說诵誦诶誒请請诸諸诹諏诺諾读讀诼諑诽誹课課诿諉谀諛谁誰谂諗调調谄諂谅諒谆諄谇誶谈談谉讅谊誼谋謀谌諶谍諜谎謊谏諫谐諧谑謔谒謁谓謂谔諤谕諭' +
+        '谖諼谗讒谘諮谙諳谚諺谛諦谜謎谝諞谞諝谟謨谠讜谡謖谢謝谣謠谤謗谥諡谦謙谧謐谨謹谩謾谪謫谫譾谬謬谭譚谮譖谯譙谰讕谱譜谲譎谳讞谴譴谵譫谶讖豮豶贝貝贞貞负負贠貟贡貢财財责責贤賢败敗账賬货貨质質贩販贪貪贫貧贬貶购購贮貯贯貫贰貳贱賤贲賁贳貰贴貼贵貴贶貺' +
+        '贷貸贸貿费費贺賀贻貽贼賊贽贄贾賈贿賄赀貲赁賃赂賂赃贓资資赅賅赆贐赇賕赈賑赉賚赊賒赋賦赌賭赍齎赎贖赏賞赐賜赑贔赒賙赓賡赔賠赕賧赖賴赗賵赘贅赙賻赚賺赛賽赜賾赝贗赞贊赟贇赠贈赡贍赢贏赣贛赪赬赵趙赶趕趋趨趱趲趸躉跃躍跄蹌跖蹠跞躒践踐跶躂跷蹺跸蹕跹躚' +
+        '跻躋踌躊踪蹤踬躓踯躑蹑躡蹒蹣蹰躕蹿躥躏躪躜躦躯軀輼轀车車轧軋轨軌轩軒轪軑轫軔转轉轭軛轮輪软軟轰轟轱軲轲軻轳轤轴軸轵軹轶軼轷軤轸軫轹轢轺軺轻輕轼軾载載轾輊轿轎辀輈辁輇辂輅较較辄輒辅輔辆輛辇輦辈輩辉輝辊輥辋輞辌輬辍輟辎輜辏輳辐輻辑輯辒轀输輸辔轡' +
+        '辕轅辖轄辗輾辘轆辙轍辚轔辞辭辟闢辩辯辫辮边邊辽遼达達迁遷过過迈邁运運还還这這进進远遠违違连連迟遲迩邇迳逕迹跡适適选選逊遜递遞逦邐逻邏遗遺遥遙邓鄧邝鄺邬鄔邮郵邹鄒邺鄴邻鄰郁鬱郏郟郐鄶郑鄭郓鄆郦酈郧鄖郸鄲酂酇酝醞酦醱酱醬酽釅酾釃酿釀醖醞采採释釋' +
+        '里裏鉴鑑銮鑾錾鏨钅釒钆釓钇釔针針钉釘钊釗钋釙钌釕钍釷钎釺钏釧钐釤钑鈒钒釩钓釣钔鍆钕釹钖鍚钗釵钘鈃钙鈣钚鈈钛鈦钜鉅钝鈍钞鈔钟鍾钠鈉钡鋇钢鋼钣鈑钤鈐钥鑰钦欽钧鈞钨鎢钩鉤钪鈧钫鈁钬鈥钭鈄钮鈕钯鈀钰鈺钱錢钲鉦钳鉗钴鈷钵鉢钶鈳钷鉕钸鈽钹鈸钺鉞钻鑽钼鉬' +
+        '钽鉭钾鉀钿鈿铀鈾铁鐵铂鉑铃鈴铄鑠铅鉛铆鉚铇鉋铈鈰铉鉉铊鉈铋鉍铌鈮铍鈹铎鐸铏鉶铐銬铑銠铒鉺铓鋩铔錏铕銪铖鋮铗鋏铘鋣铙鐃铚銍铛鐺铜銅铝鋁铞銱铟銦铠鎧铡鍘铢銖铣銑铤鋌铥銩铦銛铧鏵铨銓铩鎩铪鉿铫銚铬鉻铭銘铮錚铯銫铰鉸铱銥铲鏟铳銃铴鐋铵銨银銀铷銣铸鑄' +
+        '铹鐒铺鋪铻鋙铼錸铽鋱链鏈铿鏗销銷锁鎖锂鋰锃鋥锄鋤锅鍋锆鋯锇鋨锈鏽锉銼锊鋝锋鋒锌鋅锍鋶锎鐦锏鐧锐銳锑銻锒鋃锓鋟锔鋦锕錒锖錆锗鍺锘鍩错錯锚錨锛錛锜錡锝鍀锞錁锟錕锠錩锡錫锢錮锣鑼锤錘锥錐锦錦锧鑕锨鍁锩錈锪鍃锫錇锬錟锭錠键鍵锯鋸锰錳锱錙锲鍥锳鍈锴鍇' +
+        '锵鏘锶鍶锷鍔锸鍤锹鍬锺鍾锻鍛锼鎪锽鍠锾鍰锿鎄镀鍍镁鎂镂鏤镃鎡镄鐨镅鎇镆鏌镇鎮镈鎛镉鎘镊鑷镋钂镌鐫镍鎳镎鎿镏鎦镐鎬镑鎊镒鎰镓鎵镔鑌镕鎔镖鏢镗鏜镘鏝镙鏍镚鏰镛鏞镜鏡镝鏑镞鏃镟鏇镠鏐镡鐔镢钁镣鐐镤鏷镥鑥镦鐓镧鑭镨鐠镩鑹镪鏹镫鐙镬鑊镭鐳镮鐶镯鐲镰鐮' +
+        '镱鐿镲鑔镳鑣镴鑞镵鑱镶鑲长長门門闩閂闪閃闫閆闬閈闭閉问問闯闖闰閏闱闈闲閒闳閎间間闵閔闶閌闷悶闸閘闹鬧闺閨闻聞闼闥闽閩闾閭闿闓阀閥阁閣阂閡阃閫阄鬮阅閱阆閬阇闍阈閾阉閹阊閶阋鬩阌閿阍閽阎閻阏閼阐闡阑闌阒闃阓闠阔闊阕闋阖闔阗闐阘闒阙闕阚闞阛闤队隊' +
+        '阳陽阴陰阵陣阶階际際陆陸陇隴陈陳陉陘陕陝陦隯陧隉陨隕险險随隨隐隱隶隸隽雋难難雇僱雏雛雠讎雳靂雾霧霁霽霉黴霡霢霭靄靓靚靔靝静靜靥靨鞑韃鞒鞽鞯韉鞲韝韦韋韧韌韨韍韩韓韪韙韫韞韬韜韵韻页頁顶頂顷頃顸頇项項顺順须須顼頊顽頑顾顧顿頓颀頎颁頒颂頌颃頏预預' +
+        '颅顱领領颇頗颈頸颉頡颊頰颋頲颌頜颍潁颎熲颏頦颐頤频頻颒頮颓頹颔頷颕頴颖穎颗顆题題颙顒颚顎颛顓颜顏额額颞顳颟顢颠顛颡顙颢顥颣纇颤顫颥顬颦顰颧顴风風飏颺飐颭飑颮飒颯飓颶飔颸飕颼飖颻飗飀飘飄飙飆飚飈飞飛飨饗餍饜饣飠饤飣饥飢饦飥饧餳饨飩饩餼饪飪饫飫' +
+        '饬飭饭飯饮飲饯餞饰飾饱飽饲飼饳飿饴飴饵餌饶饒饷餉饸餄饹餎饺餃饻餏饼餅饽餑饾餖饿餓馀餘馁餒馂餕馃餜馄餛馅餡馆館馇餷馈饋馉餶馊餿馋饞馌饁馍饃馎餺馏餾馐饈馑饉馒饅馓饊馔饌馕饢马馬驭馭驮馱驯馴驰馳驱驅驲馹驳駁驴驢驵駔驶駛驷駟驸駙驹駒驺騶驻駐驼駝驽駑' +
+        '驾駕驿驛骀駘骁驍骂罵骃駰骄驕骅驊骆駱骇駭骈駢骉驫骊驪骋騁验驗骍騂骎駸骏駿骐騏骑騎骒騍骓騅骔騌骕驌骖驂骗騙骘騭骙騤骚騷骛騖骜驁骝騮骞騫骟騸骠驃骡騾骢驄骣驏骤驟骥驥骦驦骧驤髅髏髋髖髌髕鬓鬢鬶鬹魇魘魉魎鱼魚鱽魛鱾魢鱿魷鲀魨鲁魯鲂魴鲃䰾鲄魺鲅鮁鲆鮃' +
+        '鲇鮎鲈鱸鲉鮋鲊鮓鲋鮒鲌鮊鲍鮑鲎鱟鲏鮍鲐鮐鲑鮭鲒鮚鲓鮳鲔鮪鲕鮞鲖鮦鲗鰂鲘鮜鲙鱠鲚鱭鲛鮫鲜鮮鲝鮺鲞鯗鲟鱘鲠鯁鲡鱺鲢鰱鲣鰹鲤鯉鲥鰣鲦鰷鲧鯀鲨鯊鲩鯇鲪鮶鲫鯽鲬鯒鲭鯖鲮鯪鲯鯕鲰鯫鲱鯡鲲鯤鲳鯧鲴鯝鲵鯢鲶鯰鲷鯛鲸鯨鲹鰺鲺鯴鲻鯔鲼鱝鲽鰈鲾鰏鲿鱨鳀鯷鳁鰮鳂鰃' +
+        '鳃鰓鳄鱷鳅鰍鳆鰒鳇鰉鳈鰁鳉鱂鳊鯿鳋鰠鳌鰲鳍鰭鳎鰨鳏鰥鳐鰩鳑鰟鳒鰜鳓鰳鳔鰾鳕鱈鳖鱉鳗鰻鳘鰵鳙鱅鳚䲁鳛鰼鳜鱖鳝鱔鳞鱗鳟鱒鳠鱯鳡鱤鳢鱧鳣鱣鳤䲘鸟鳥鸠鳩鸡雞鸢鳶鸣鳴鸤鳲鸥鷗鸦鴉鸧鶬鸨鴇鸩鴆鸪鴣鸫鶇鸬鸕鸭鴨鸮鴞鸯鴦鸰鴒鸱鴟鸲鴝鸳鴛鸴鷽鸵鴕鸶鷥鸷鷙鸸鴯' +
+        '鸹鴰鸺鵂鸻鴴鸼鵃鸽鴿鸾鸞鸿鴻鹀鵐鹁鵓鹂鸝鹃鵑鹄鵠鹅鵝鹆鵒鹇鷳鹈鵜鹉鵡鹊鵲鹋鶓鹌鵪鹍鵾鹎鵯鹏鵬鹐鵮鹑鶉鹒鶊鹓鵷鹔鷫鹕鶘鹖鶡鹗鶚鹘鶻鹙鶖鹚鷀鹛鶥鹜鶩鹝鷊鹞鷂鹟鶲鹠鶹鹡鶺鹢鷁鹣鶼鹤鶴鹥鷖鹦鸚鹧鷓鹨鷚鹩鷯鹪鷦鹫鷲鹬鷸鹭鷺鹮䴉鹯鸇鹰鷹鹱鸌鹲鸏鹳鸛鹴鸘' +
+        '鹾鹺麦麥麸麩麹麴麺麪麽麼黄黃黉黌黡黶黩黷黪黲黾黽鼋黿鼌鼂鼍鼉鼹鼴齐齊齑齏齿齒龀齔龁齕龂齗龃齟龄齡龅齙龆齠龇齜龈齦龉齬龊齪龋齲龌齷龙龍龚龔龛龕龟龜鿎䃮鿏䥑鿒鿓鿔鎶𠀾𠁞𠆲儣𠆿𠌥𠇹俓𠉂㒓𠉗𠏢𠋆儭𠚳𠠎𠛅剾𠛆𠞆𠛾𪟖𠡠勑𠮶嗰𠯟哯𠯠噅𠰱㘉𠰷嚧𠱞囃𠲥𡅏𠴛𡃕' +
+        '𠴢𡄔𠵸𡄣𠵾㗲𡋀𡓾𡋗𡑭𡋤壗𡍣𡔖𡒄壈𡝠㜷𡞋㜗𡞱㜢𡠟孎𡥧孻𡭜𡮉𡭬𡮣𡳃𡳳𡳒𦘧𡶴嵼𡸃𡽗𡺃嶈𡺄嶘𢋈㢝𢗓㦛𢘙𢤱𢘝𢣚𢘞𢣭𢙏愻𢙐憹𢙑𢠼𢙒憢𢙓懀𢛯㦎𢠁懎𢢐𤢻𢧐戰𢫊𢷮𢫞𢶫𢫬摋𢬍擫𢬦𢹿𢭏擣𢽾斅𣃁斸𣆐曥𣈣𣋋𣍨𦢈𣍯腪𣍰脥𣎑臗𣏢槫𣐕桱𣐤欍𣑶𣠲𣒌楇𣓿橯𣔌樤𣗊樠𣗋欓𣗙㰙𣘐㯤' +
+        '𣘓𣞻𣘴檭𣘷𣝕𣚚欘𣞎𣠩𣨼殢𣭤𣯴𣯣𣯩𣱝氭𣲗湋𣲘潕𣳆㵗𣶩澅𣶫𣿉𣶭𪷓𣷷𤅶𣸣濆𣺼灙𣺽𤁣𣽷瀃𤆡熓𤆢㷍𤇃爄𤇄熌𤇭爖𤇹熚𤈶熉𤈷㷿𤊀𤒎𤊰𤓩𤋏熡𤎺𤓎𤎻𤑳𤙯𤛮𤝢𤢟𤞃獩𤞤玁𤠋㺏𤦀瓕𤩽瓛𤳄𤳸𤶊癐𤶧𤸫𤻊㿗𤽯㿧𤾀皟𤿲麬𥁢䀉𥅘𥌃𥅴䀹𥅿𥊝𥆧瞤𥇢䁪𥎝䂎𥐟礒𥐯𥖅𥐰𥕥𥐻碙𥞦𥞵𥧂𥨐' +
+        '𥩟竚𥩺𥪂𥫣籅𥬀䉙𥬞籋𥬠篘𥭉𥵊𥮋𥸠𥮜䉲𥮾篸𥱔𥵃𥹥𥼽𥺅䊭𥺇𥽖𦈈𥿊𦈉緷𦈋綇𦈌綀𦈎繟𦈏緍𦈐縺𦈑緸𦈒𦂅𦈓䋿𦈔縎𦈕緰𦈖䌈𦈗𦃄𦈘䌋𦈙䌰𦈚縬𦈛繓𦈜䌖𦈝繏𦈞䌟𦈟䌝𦈠䌥𦈡繻𦍠䍽𦛨朥𦝼膢𦟗𦣎𦨩𦪽𦰏蓧𦰴䕳𦶟爇𦶻𦾟𦻕蘟𧉐𧕟𧉞䗿𧌥𧎈𧏖蠙𧏗蠀𧑏蠾𧒭𧔥𧜭䙱𧝝襰𧝧𧟀𧮪詀𧳕𧳟' +
+        '𧹑䞈𧹒買𧹓𧶔𧹔賬𧹕䝻𧹖賟𧹗贃𧿈𨇁𨀁躘𨀱𨄣𨁴𨅍𨂺𨈊𨄄𨈌𨅛䠱𨅫𨇞𨅬躝𨉗軉𨐅軗𨐆𨊻𨐇𨏠𨐈輄𨐉𨎮𨐊𨏥𨑹䢨𨟳𨣞𨠨𨣧𨡙𨢿𨡺𨣈𨤰𨤻𨰾鎷𨰿釳𨱀𨥛𨱁鈠𨱂鈋𨱃鈲𨱄鈯𨱅鉁𨱆龯𨱇銶𨱈鋉𨱉鍄𨱊𨧱𨱋錂𨱌鏆𨱍鎯𨱎鍮𨱏鎝𨱐𨫒𨱑鐄𨱒鏉𨱓鐎𨱔鐏𨱕𨮂𨱖䥩𨷿䦳𨸀𨳕𨸁𨳑𨸂閍𨸃閐𨸄䦘' +
+        '𨸅𨴗𨸆𨵩𨸇𨵸𨸉𨶀𨸊𨶏𨸋𨶲𨸌𨶮𨸎𨷲𨸘𨽏𨸟䧢𩏼䪏𩏽𩏪𩏾𩎢𩏿䪘𩐀䪗𩓋顂𩖕𩓣𩖖顃𩖗䫴𩙥颰𩙦𩗀𩙧䬞𩙨𩘹𩙩𩘀𩙪颷𩙫颾𩙬𩘺𩙭𩘝𩙮䬘𩙯䬝𩙰𩙈𩟿𩚛𩠀𩚥𩠁𩚵𩠂𩛆𩠃𩛩𩠅𩟐𩠆𩜦𩠇䭀𩠈䭃𩠉𩜇𩠊𩜵𩠋𩝔𩠌餸𩠎𩞄𩠏𩞦𩠠𩠴𩡖𩡣𩧦𩡺𩧨駎𩧩𩤊𩧪䮾𩧫駚𩧬𩢡𩧭䭿𩧮𩢾𩧯驋𩧰䮝𩧱𩥉𩧲駧' +
+        '𩧳𩢸𩧴駩𩧵𩢴𩧶𩣏𩧸𩣫𩧺駶𩧻𩣵𩧼𩣺𩧿䮠𩨀騔𩨁䮞𩨂驄𩨃騝𩨄騪𩨅𩤸𩨆𩤙𩨇䮫𩨈騟𩨉𩤲𩨊騚𩨋𩥄𩨌𩥑𩨍𩥇𩨎龭𩨏䮳𩨐𩧆𩩈䯤𩬣𩭙𩬤𩰀𩭹鬖𩯒𩯳𩰰𩰹𩲒𩳤𩴌𩴵𩽹魥𩽺𩵩𩽻𩵹𩽼鯶𩽽𩶱𩽾鮟𩽿𩶰𩾁鯄𩾂䲖𩾃鮸𩾄𩷰𩾅𩸃𩾆𩸦𩾇鯱𩾈䱙𩾊䱬𩾋䱰𩾌鱇𩾎𩽇𪉂䲰𪉃鳼𪉄𩿪𪉅𪀦𪉆鴲𪉈鴜𪉉𪁈' +
+        '𪉊鷨𪉋𪀾𪉌𪁖𪉍鵚𪉎𪂆𪉏𪃏𪉐𪃍𪉑鷔𪉒𪄕𪉔𪄆𪉕𪇳𪎈䴬𪎉麲𪎊麨𪎋䴴𪎌麳𪑅䵳𪔭𪔵𪚏𪘀𪚐𪘯𪜎𠿕𪞝凙𪟎㔋𪟝勣𪠀𧷎𪠟㓄𪠡𠬙𪠳唓𪠵㖮𪠸嚛𪠺𠽃𪠽噹𪡀嘺𪡃嘪𪡋噞𪡏嗹𪡛㗿𪡞嘳𪡺𡃄𪢌㘓𪢐𡃤𪢒𡂡𪢕嚽𪢖𡅯𪢠囒𪢮圞𪢸墲𪣆埬𪣒堚𪣻塿𪤄𡓁𪤚壣𪥠𧹈𪥫孇𪥰嬣𪥿嬻𪧀孾𪧘寠𪨊㞞𪨗屩' +
+        '𪨧崙𪨩𡸗𪨶輋𪨷巗𪨹𡹬𪩇㟺𪩎巊𪩘巘𪩛𡿖𪩷幝𪩸幩𪪏廬𪪑㢗𪪞廧𪪴𢍰𪪼彃𪫌徿𪫡𢤩𪫷㦞𪫺憸𪬚𢣐𪬯𢤿𪭝𢯷𪭢摐𪭧擟𪭯𢶒𪭵掚𪭾撊𪮃㨻𪮋㩋𪮖撧𪮳𢺳𪮶攋𪯋㪎𪰶曊𪱥膹𪱷梖𪲎櫅𪲔欐𪲛檵𪲮櫠𪳍欇𪳗𣜬𪴙欑𪵑毊𪵣霼𪵱濿𪶄溡𪶒𤄷𪶮𣽏𪷍㵾𪷽灒𪸕熂𪸩煇𪹀𤑹𪹠𤓌𪹳爥𪹹𤒻𪺣𤘀𪺪𤜆' +
+        '𪺭犞𪺷獊𪺸𤠮𪺻㺜𪺽猌𪻐瑽𪻨瓄𪻲瑻𪻺璝𪼋㻶𪼴𤬅𪽈畼𪽝𤳷𪽪痮𪽭𤷃𪽮㿖𪽴𤺔𪽷瘱𪾔盨𪾢睍𪾣眝𪾦矑𪾸矉𪿊𥏝𪿞𥖲𪿫礮𪿵𥗇𫀌𥜰𫀓𥜐𫀨䅐𫀬䅳𫀮𥢷𫁂䆉𫁟竱𫁡鴗𫁱𥶽𫁲䉑𫁳𥯤𫁷䉶𫁺𥴼𫂃簢𫂆簂𫂈䉬𫂖𥴨𫂿𥻦𫃗𩏷𫄙糺𫄚䊺𫄛紟𫄜䋃𫄝𥾯𫄞䋔𫄟絁𫄠絙𫄡絧𫄢絥𫄣繷𫄤繨𫄥纚𫄦𦀖' +
+        '𫄧綖𫄨絺𫄩䋦𫄪𦅇𫄫綟𫄬緤𫄭緮𫄮䋼𫄯𦃩𫄰縍𫄱繬𫄲縸𫄳縰𫄴繂𫄵𦅈𫄶繈𫄷繶𫄸纁𫄹纗𫅅䍤𫅗羵𫅥𦒀𫅭䎙𫅼𦔖𫆏聻𫆝𦟼𫆫𦡝𫇘𦧺𫇛艣𫇪𦱌𫇭蔿𫇴蒭𫇽蕽𫈉蕳𫈎葝𫈟蔯𫈵蕝𫉁薆𫉄藷𫊪䗅𫊮蠦𫊸蟜𫊹𧒯𫊻蟳𫋇蟂𫋌蟘𫋲䙔𫋷襗𫋹襓𫋻襘𫌀襀𫌇襵𫌋𧞫𫌨覼𫌪覛𫌫𧡴𫌬𧢄𫌭覹𫌯䚩𫍐𧭹' +
+        '𫍙訑𫍚訞𫍛訜𫍜詓𫍝諫𫍞𧦝𫍟𧦧𫍠䛄𫍡詑𫍢譊𫍣詷𫍤譑𫍥誂𫍦譨𫍧誺𫍨誫𫍩諣𫍪誋𫍫䛳𫍬誷𫍭𧩕𫍮誳𫍯諴𫍰諰𫍱諯𫍲謏𫍳諥𫍴謱𫍵謸𫍶𧩼𫍷謉𫍸謆𫍹謯𫍺𧫝𫍻譆𫍼𧬤𫍽譞𫍾𧭈𫍿譾𫎆豵𫎌貗𫎦贚𫎧䝭𫎨𧸘𫎩賝𫎪䞋𫎫贉𫎬贑𫎭䞓𫎱䟐𫎳䟆𫎸𧽯𫎺䟃𫏃䠆𫏆蹳𫏋蹻𫏌𨂐𫏐蹔𫏑𨇽𫏕𨆪' +
+        '𫏞𨇰𫏨𨇤𫐄軏𫐅軕𫐆轣𫐇軜𫐈軷𫐉軨𫐊軬𫐋𨎌𫐌軿𫐍𨌈𫐎輢𫐏輖𫐐輗𫐑輨𫐒輷𫐓輮𫐔𨍰𫐕轊𫐖轇𫐗轐𫐘轗𫐙轠𫐷遱𫑘鄟𫑡鄳𫑷醶𫓥釟𫓦釨𫓧鈇𫓨鈛𫓩鏦𫓪鈆𫓫𨥟𫓬鉔𫓭鉠𫓮𨪕𫓯銈𫓰銊𫓱鐈𫓲銁𫓳𨰋𫓴鉾𫓵鋠𫓶鋗𫓷𫒡𫓸錽𫓹錤𫓺鐪𫓻錜𫓼𨨛𫓽錝𫓾錥𫓿𨨢𫔀鍊𫔁鐼𫔂鍉𫔃𨰲𫔄鍒' +
+        '𫔅鎍𫔆䥯𫔇鎞𫔈鎙𫔉𨰃𫔊鏥𫔋䥗𫔌鏾𫔍鐇𫔎鐍𫔏𨬖𫔐𨭸𫔑𨭖𫔒𨮳𫔓𨯟𫔔鑴𫔕𨰥𫔖𨲳𫔭開𫔮閒𫔯閗𫔰閞𫔲𨴹𫔴閵𫔵䦯𫔶闑𫔽𨼳𫕚𩀨𫕥霣𫕨𩅙𫖃靧𫖅䪊𫖇鞾𫖑𩎖𫖒韠𫖓𩏂𫖔韛𫖕韝𫖖𩏠𫖪𩑔𫖫䪴𫖬䪾𫖭𩒎𫖮顗𫖯頫𫖰䫂𫖱䫀𫖲䫟𫖳頵𫖴𩔳𫖵𩓥𫖶顅𫖷𩔑𫖸願𫖹顣𫖺䫶𫗇䫻𫗈𩗓𫗉𩗴𫗊䬓' +
+        '𫗋飋𫗚𩟗𫗞飦𫗟䬧𫗠餦𫗡𩚩𫗢飵𫗣飶𫗤𩛌𫗥餫𫗦餔𫗧餗𫗨𩛡𫗩饠𫗪餧𫗫餬𫗬餪𫗭餵𫗮餭𫗯餱𫗰䭔𫗱䭑𫗳𩝽𫗴饘𫗵饟𫘛馯𫘜馼𫘝駃𫘞駞𫘟駊𫘠駤𫘡駫𫘣駻𫘤騃𫘥騉𫘦騊𫘧騄𫘨騠𫘩騜𫘪騵𫘫騴𫘬騱𫘭騻𫘮䮰𫘯驓𫘰驙𫘱驨𫘽鬠𫙂𩯁𫚈鱮𫚉魟𫚊鰑𫚋鱄𫚌魦𫚍魵𫚎𩶁𫚏䱁𫚐䱀𫚑鮅𫚒鮄' +
+        '𫚓鮤𫚔鮰𫚕鰤𫚖鮆𫚗鮯𫚘𩻮𫚙鯆𫚚鮿𫚛鮵𫚜䲅𫚝𩸄𫚞鯬𫚟𩸡𫚠䱧𫚡鯞𫚢鰋𫚣鯾𫚤鰦𫚥鰕𫚦鰫𫚧鰽𫚨𩻗𫚩𩻬𫚪鱊𫚫鱢𫚬𩼶𫚭鱲𫛚鳽𫛛鳷𫛜鴀𫛝鴅𫛞鴃𫛟鸗𫛠𩿤𫛡鴔𫛢鸋𫛣鴥𫛤鴐𫛥鵊𫛦鴮𫛧𪀖𫛨鵧𫛩鴳𫛪鴽𫛫鶰𫛬䳜𫛭鵟𫛮䳤𫛯鶭𫛰䳢𫛱鵫𫛲鵰𫛳鵩𫛴鷤𫛵鶌𫛶鶒𫛷鶦𫛸鶗𫛹𪃧𫛺䳧' +
+        '𫛻𪃒𫛼䳫𫛽鷅𫛾𪆷𫜀鷐𫜁鷩𫜂𪅂𫜃鷣𫜄鷷𫜅䴋𫜊𪉸𫜑麷𫜒䴱𫜓𪌭𫜔䴽𫜕𪍠𫜙䵴𫜟𪓰𫜨䶕𫜩齧𫜪齩𫜫𫜦𫜬齰𫜭齭𫜮齴𫜯𪙏𫜰齾𫜲龓𫜳䶲𫝈㑮𫝋𠐊𫝦㛝𫝧㜐𫝨媈𫝩嬦𫝪𡟫𫝫婡𫝬嬇𫝭孆𫝮孄𫝵嶹𫞅𦠅𫞗潣𫞚澬𫞛㶆𫞝灍𫞠爧𫞡爃𫞢𤛱𫞣㹽𫞥珼𫞦璾𫞧𤩂𫞨璼𫞩璊𫞷𥢶𫟃絍𫟄綋𫟅綡𫟆緟' +
+        '𫟇𦆲𫟑䖅𫟕䕤𫟞訨𫟟詊𫟠譂𫟡誴𫟢䜖𫟤䡐𫟥䡩𫟦䡵𫟫𨞺𫟬𨟊𫟲釚𫟳釲𫟴鈖𫟵鈗𫟶銏𫟷鉝𫟸鉽𫟹鉷𫟺䤤𫟻銂𫟼鐽𫟽𨧰𫟾𨩰𫟿鎈𫠀䥄𫠁鑉𫠂閝𫠅韚𫠆頍𫠇𩖰𫠈䫾𫠊䮄𫠋騼𫠌𩦠𫠏𩵦𫠐魽𫠑䱸𫠒鱆𫠖𩿅𫠜齯𫢸僤𫧃𣍐𫧮𪋿𫫇噁𫬐㘔𫭟塸𫭢埨𫭼𡑍𫮃墠𫰛娙𫵷㠣𫶇嵽𫷷廞𫸩彄𬀩暐𬀪晛𬂩梜' +
+        '𬃊櫍𬇕澫𬇙浿𬇹漍𬉼熰𬊈燖𬊤燀𬍛瓅𬍡璗𬍤璕𬒈礐𬒗𥗽𬕂篢𬘓紃𬘘紞𬘡絪𬘩綎𬘫綄𬘬綪𬘭綝𬘯綧𬙂縯𬙊纆𬙋纕𬜬蔄𬜯䓣𬞟蘋𬟁虉𬟽蝀𬣙訏𬣞詝𬣡諓𬣳詪𬤇諲𬤊諟𬤝譓𬨂軝𬨎輶𬩽鄩𬪩醲𬬩釴𬬭錀𬬮鋹𬬱釿𬬸鉥𬬹鉮𬬻鑪𬬿鉊𬭁鉧𬭊𨧀𬭎鋐𬭚錞𬭛𨨏𬭤鍭𬭩鎓𬭬鏏𬭭鏚𬭯䥕𬭳𨭎𬭶𨭆' +
+        '𬭸鏻𬭼鐩𬮱闉𬮿隑𬯀隮𬯎隤𬱖頔𬱟頠𬳵駓𬳶駉𬳽駪𬳿駼𬴂騑𬴃騞𬴊驎𬶋鮈𬶍鮀𬶏鮠𬶐鮡𬶟鯻𬶠鰊𬶨鱀𬶭鰶𬶮鱚𬷕鵏𬸘鶠𬸚鸑𬸣鶱𬸦鷟𬸪鷭𬸯鷿𬹼齘𬺈齮𬺓齼𰬸繐𰰨菕𰶎譅𰻝𰻞𰾄鋂𰾭鑀𱊜𪈼';
+
+    // Comma-separated "simplified|traditional" phrases
+    const PHRASE_PAIRS =
+        '一卷|一卷,一台|一臺,一念|一念,一无所获|一無所獲,一种|一種,一签|一簽,一致|一致,一飞冲天|一飛沖天,万事|萬事,万人|萬人,万历|萬曆,万年|萬年,万年历|萬年曆,万户|萬戶,万户侯|萬戶' +
+        '侯,万物|萬物,万象|萬象,万象更新|萬象更新,万里|萬里,万里鹏程|萬里鵬程,万金|萬金,三思而后|三思而後,三思而后行|三思而後行,下发|下發,下药|下藥,不出|不出,不利于|不利於,不合|不合,' +
+        '不合时宜|不合時宜,不同|不同,不复|不復,不属于|不屬於,不当|不當,不正当|不正當,不用干|不用幹,不确|不確,不确定|不確定,不确定性|不確定性,不确定感|不確定感,不胜|不勝,不获|不獲,不适' +
+        '|不適,不适合|不適合,不适用|不適用,丑年|丑年,丑日|丑日,丑月|丑月,专注|專注,世出世|世出世,个中|箇中,个人|個人,个性|個性,丰厚|豐厚,丰城|豐城,丰收|豐收,丰歉|豐歉,丰沛|豐沛,' +
+        '丰腴|豐腴,丰饶|豐饒,久别|久別,久别重逢|久別重逢,之后|之後,之念|之念,乐于|樂於,乐于助人|樂於助人,乙丑|乙丑,也须|也須,书卷|書卷,书卷气|書卷氣,了事|了事,了悟|了悟,了无|了無,' +
+        '了然|瞭然,了解|瞭解,争斗|爭鬥,事后|事後,于一|於一,于他|於他,于你|於你,于好|於好,于家|於家,于强|於強,于是|於是,于水|於水,于行|於行,于过|於過,亏折|虧折,云云|云云,云端|雲' +
+        '端,亚于|亞於,交困|交困,交游|交遊,产后|產後,人出现|人出現,人际关系|人際關係,人面|人面,仆地|仆地,仇怨|仇怨,仇敌|仇敵,仍复|仍復,他出|他出,付出|付出,代表|代表,价值|價值,仿佛' +
+        '|彷彿,休闲风|休閒風,伙伴|夥伴,低谷|低谷,体育锻炼|體育鍛煉,何须|何須,余人|餘人,余日|餘日,侥幸|僥倖,信念|信念,修书|修書,修养|修養,修复|修復,修学|修學,修成|修成,修持|修持,' +
+        '修正|修正,修缮|修繕,修行|修行,修身|修身,修身养性|修身養性,修道|修道,修饰|修飾,借助|藉助,借过|借過,偏向|偏向,做出|做出,先占|先佔,光彩|光彩,克俭|克儉,克勤|克勤,克勤克俭|克' +
+        '勤克儉,克服|克服,克服困难|克服困難,免参|免參,公出|公出,公平合理|公平合理,共同|共同,共同努力|共同努力,关注|關注,关系|關係,关系融洽|關係融洽,其后|其後,其核|其核,兼修|兼修,内外' +
+        '交困|內外交困,再出|再出,再向|再向,冤仇|冤仇,冬事|冬事,冬天|冬天,冬季|冬季,冬季节|冬季節,冬至|冬至,冬藏|冬藏,冲动|衝動,冲天|沖天,冲昏|衝昏,冲昏头脑|衝昏頭腦,冲突|衝突,准备' +
+        '|準備,准备好|準備好,准时|準時,准确|準確,准确率|準確率,几于|幾於,几倍|幾倍,几多|幾多,几家|幾家,几年|幾年,几张|幾張,凭借|憑藉,凶信|凶信,凶多吉少|凶多吉少,凶恶|兇惡,凶险|兇' +
+        '險,出世|出世,出了|出了,出了事|出了事,出于|出於,出仕|出仕,出众|出衆,出使|出使,出发|出發,出场|出場,出处|出處,出外|出外,出头|出頭,出榜|出榜,出气|出氣,出游|出遊,出现|出現,' +
+        '出现意外|出現意外,出自|出自,出行|出行,出调|出調,出费|出費,出路|出路,出身|出身,出门|出門,出面|出面,分出|分出,分钟|分鐘,划一|劃一,划在|劃在,划行|划行,划进|划進,利于|利於,' +
+        '别是|別是,别过|別過,别过去|別過去,制图|製圖,制定|制定,制度|制度,制裁|制裁,前后|前後,助于|助於,勇于|勇於,勾心斗角|勾心鬥角,十余|十餘,十里|十里,千言|千言,千里|千里,千金|千' +
+        '金,升级|升級,单曲|單曲,南台|南臺,卜卦|卜卦,占了|佔了,占小|佔小,占得|佔得,卷入|捲入,历史|歷史,历尽|歷盡,厘清|釐清,去后|去後,参与|參與,参加|參加,参将|參將,参见|參見,反复' +
+        '|反覆,反复不定|反覆不定,反复无常|反覆無常,发下|發下,发型|髮型,发展|發展,发展中|發展中,发展潜力|發展潛力,发愤|發憤,发挥|發揮,发案|發案,发榜|發榜,发状|髮狀,发现|發現,发生|發' +
+        '生,发的|發的,发起|發起,发达|發達,发迹|發跡,发送|發送,发问|發問,发难|發難,发音|發音,取决于|取決於,变了|變了,口才|口才,口才好|口才好,只会|只會,只可|只可,只可在|只可在,只听' +
+        '|只聽,只懂|只懂,只是|只是,只看|只看,只管|只管,只要|只要,可叹|可嘆,台收|臺收,号舍|號舍,各种|各種,合乎|合乎,合从|合從,合伙|合夥,合作|合作,合作伙伴|合作伙伴,合作无间|合作無' +
+        '間,合作者|合作者,合做|合做,合同|合同,合婚|合婚,合度|合度,合当|合當,合成|合成,合时|合時,合时宜|合時宜,合独|合獨,合理|合理,合签|合簽,合算|合算,合适|合適,吉凶|吉凶,同一|同' +
+        '一,同下|同下,同事|同事,同享|同享,同伴|同伴,同修|同修,同列|同列,同喜|同喜,同在|同在,同天|同天,同学|同學,同安|同安,同宗|同宗,同居|同居,同往|同往,同日|同日,同时|同時,同样' +
+        '|同樣,同案|同案,同梦|同夢,同江|同江,同治|同治,同知|同知,同舟共济|同舟共濟,同行|同行,同被|同被,同走|同走,同进|同進,同道|同道,同音|同音,名系|名系,后世|後世,后为|後爲,后代' +
+        '|後代,后后|後後,后场|後場,后头|後頭,后悔|後悔,后患|後患,后方|後方,后有|後有,后期|後期,后果|後果,后续|後續,后行|後行,后过|後過,后遗|後遺,后顾|後顧,后顾之忧|後顧之憂,向北' +
+        '|向北,向后|向後,向外|向外,向天|向天,向顺|向順,告别|告別,周围|周圍,周围环境|周圍環境,周密|周密,周岁|週歲,周折|周折,周旋|周旋,周期|週期,命中注定|命中註定,和丰|和豐,和合|和' +
+        '合,和气致祥|和氣致祥,咨询|諮詢,咸丰|咸豐,品尝|品嚐,商业计划|商業計劃,善于|善於,善念|善念,善恶|善惡,嗟叹|嗟嘆,嗣后|嗣後,四面|四面,回升|回升,回向|迴向,回家|回家,回应|回應,' +
+        '回归|迴歸,回报|回報,回春|回春,回来|回來,回生|回生,回路|迴路,回顾|回顧,回馈|回饋,团体|團體,团圆|團圓,团聚|團聚,团队|團隊,团队精神|團隊精神,困境|困境,困扰|困擾,困苦|困苦,' +
+        '困难|困難,困难重重|困難重重,困顿|困頓,圣杯|聖盃,在于|在於,在后|在後,地理|地理,场合|場合,坛场|壇場,坦荡|坦蕩,城里|城裏,基于|基於,壮志|壯志,处于|處於,处理|處理,备注|備註,' +
+        '复制|複製,复发|復發,复古|復古,复古风|復古風,复合|複合,复回|復回,复杂|複雜,复生|復生,复苏|復甦,夏秋|夏秋,外出|外出,外发|外發,外戚|外戚,多回|多回,多管闲事|多管閒事,大于|大' +
+        '於,大凶|大凶,大发|大發,大放异彩|大放異彩,大获|大獲,天作之合|天作之合,失当|失當,失而复得|失而復得,头发|頭髮,奋斗|奮鬥,契合|契合,契合度|契合度,好合|好合,如同|如同,如愿|如願,' +
+        '嬉游|嬉遊,季后|季後,学习计划|學習計劃,学术|學術,学术研究|學術研究,宁静致远|寧靜致遠,安于|安於,安于现状|安於現狀,安闲自在|安閒自在,定计划|定計劃,家里|家裏,寒冬|寒冬,对于|對於,' +
+        '对合|對合,对症|對症,对症下药|對症下藥,寻出|尋出,导向|導向,导致|導致,将出|將出,将尽|將盡,将相本无种|將相本無種,尝试|嘗試,尽力|盡力,尽量|儘量,局面|局面,层面|層面,展卷|展卷,' +
+        '属于|屬於,岁出|歲出,巨额|鉅額,布施|佈施,布置|佈置,带回|帶回,干净|乾淨,干戈|干戈,干扰|干擾,干旱|乾旱,干时|干時,干燥|乾燥,干的|乾的,干练|幹練,干谒|干謁,干预|干預,平台|平' +
+        '臺,平复|平復,平步青云|平步青雲,年历|年曆,年后|年後,并不|並不,并可|並可,并回|並回,并在|並在,并有|並有,并肩|並肩,并进|並進,并非|並非,幸福|幸福,幸福感|幸福感,幸运|幸運,幸运' +
+        '儿|幸運兒,广泛|廣泛,庄严|莊嚴,庄重|莊重,店伙|店夥,庶几|庶幾,康复|康復,康庄|康莊,异彩|異彩,引人注意|引人注意,引人注目|引人注目,引发|引發,弥漫|瀰漫,弥补|彌補,弥陀|彌陀,归于' +
+        '|歸於,当下|當下,当中|當中,当事|當事,当前|當前,当家|當家,当局|當局,当得|當得,当手|當手,当时|當時,当机|當機,当机立断|當機立斷,当权|當權,当行|當行,录取|錄取,彩色|彩色,征收' +
+        '|徵收,得当|得當,得益于|得益於,得胜|得勝,心存侥幸|心存僥倖,心志|心志,心愿|心願,心理|心理,心里|心裏,必胜|必勝,必须|必須,志同道合|志同道合,志坚|志堅,忘了|忘了,快速发展|快速發' +
+        '展,念中|念中,念之|念之,念和|念和,念头|念頭,念是|念是,念此|念此,念珠|念珠,念诵|唸誦,怀才不遇|懷才不遇,急于|急於,急于求成|急於求成,急症|急症,恢复|恢復,恰当|恰當,恶业|惡業,' +
+        '恶兆|惡兆,恶化|惡化,恶口|惡口,恶念|惡念,恶疾|惡疾,恶道|惡道,情投意合|情投意合,惊叹|驚歎,意占|意佔,意念|意念,愿望|願望,我愿|我願,或采|或採,战无不胜|戰無不勝,战胜|戰勝,截然' +
+        '不同|截然不同,所占|所佔,才不|纔不,才华|才華,才去|纔去,才好|纔好,才学|才學,才德|才德,才是|纔是,才有|纔有,才能|才能,扎实|紮實,托人|託人,执念|執念,找出|找出,承前启后|承前啓' +
+        '後,折的|折的,折纸|摺紙,折腾|折騰,抚台|撫臺,护念|護念,抽丰|抽豐,招复|招復,招致|招致,拨云见日|撥雲見日,按计划|按計劃,挣扎|掙扎,挫折|挫折,据理|據理,据理力争|據理力爭,捷径|捷' +
+        '徑,控制|控制,提升|提升,搜索|搜索,摆脱|擺脫,播种|播種,撮合|撮合,收录|收錄,收获|收穫,放松|放鬆,数万|數萬,数据|數據,整理|整理,斗成|鬥成,断弦|斷絃,新局面|新局面,方向|方向,' +
+        '方向感|方向感,方面|方面,无后|無後,无尽|無盡,无尽藏|無盡藏,日出|日出,日后|日後,明确|明確,明鉴|明鑑,易于|易於,春回大地|春回大地,是非曲直|是非曲直,显著|顯著,晋升|晉升,暗流|暗' +
+        '流,暗示|暗示,暗算|暗算,暗自|暗自,暗自神伤|暗自神傷,暗色|暗色,暗藏|暗藏,曲折|曲折,曲直|曲直,更须|更須,月余|月餘,月出|月出,有利于|有利於,有助于|有助於,有才|有才,有益于|有益' +
+        '於,有秋|有秋,有面|有面,服药|服藥,未几|未幾,朴实|樸實,朴素|樸素,杂念|雜念,束修|束脩,来发|來發,来自于|來自於,极为|極爲,极乐|極樂,极乐世界|極樂世界,极佳|極佳,极其|極其,极力' +
+        '|極力,极大|極大,果于|果於,某种|某種,核实|覈實,核心|核心,根据|根據,梳理|梳理,欲望|慾望,正处于|正處於,正当|正當,正当行为|正當行爲,正念|正念,正确|正確,正面|正面,此后|此後,' +
+        '此系|此係,步向|步向,步青云|步青雲,死别|死別,殆尽|殆盡,殊胜|殊勝,求签|求籤,沉寂|沉寂,沉淀|沉澱,沉溺|沉溺,沉溺于|沉溺於,沉重|沉重,沉静|沉靜,治愈|治癒,法理|法理,波折|波折,' +
+        '注定|註定,注意|注意,注目|注目,注重|注重,浪荡|浪蕩,浮云|浮雲,浮夸|浮誇,涂抹|塗抹,涌现|湧現,深沉|深沉,深秋|深秋,清理|清理,清闲自在|清閒自在,游庠|遊庠,游泳|游泳,源于|源於,' +
+        '溺于|溺於,焕发|煥發,然后|然後,爆发|爆發,物价|物價,物理|物理,特别|特別,特别是|特別是,理头发|理頭髮,理念|理念,生死轮回|生死輪迴,生理|生理,生离死别|生離死別,田舍|田舍,痊愈|痊' +
+        '癒,癸丑|癸丑,登峰造极|登峯造極,百出|百出,百年好合|百年好合,皇后|皇后,益于|益於,盖了|蓋了,直须|直須,相同|相同,相干|相干,相当|相當,看准|看準,确保|確保,确定|確定,确定性|確定' +
+        '性,祈愿|祈願,福荫|福廕,离了|離了,禾谷|禾穀,秋冬|秋冬,秋初|秋初,秋天|秋天,秋季|秋季,秋成|秋成,秋期|秋期,秋闱|秋闈,种子|種子,种种|種種,种过|種過,秘密|祕密,积极|積極,积极' +
+        '参与|積極參與,称念|稱念,稳扎|穩紮,稳扎稳打|穩紮穩打,穷冬|窮冬,穷困|窮困,空手而回|空手而回,突出|突出,突升|突升,突发|突發,突发事件|突發事件,突发状况|突發狀況,端庄|端莊,笑出|笑' +
+        '出,符合|符合,等闲视之|等閒視之,筑城|築城,签诗|籤詩,管理|管理,管闲事|管閒事,米价|米價,精致|精緻,系好|繫好,系有|繫有,系紧|繫緊,紧绷|緊繃,累了|累了,繁复|繁複,细致|細緻,终于' +
+        '|終於,经历|經歷,经历过|經歷過,结出|結出,结合|結合,维系|維繫,缘分已尽|緣分已盡,老同学|老同學,老当|老當,而后|而後,而回|而回,联系|聯繫,肚里|肚裏,肯干|肯幹,背后|背後,胜于|勝' +
+        '於,胜出|勝出,胜利|勝利,胜的|勝的,胜诉|勝訴,脱困|脫困,脱颖而出|脫穎而出,腾出|騰出,自于|自於,自叹|自嘆,自当|自當,致富|致富,致身|致身,致远|致遠,舍利|舍利,舍弃|捨棄,舍近求远' +
+        '|捨近求遠,舒适|舒適,色彩|色彩,色系|色系,艺术|藝術,节制|節制,苏秦|蘇秦,苦于|苦於,苦尽甘来|苦盡甘來,英雄豪杰|英雄豪傑,茶叶|茶葉,药师|藥師,药师如来|藥師如來,药效|藥效,药物|藥' +
+        '物,获利|獲利,获取|獲取,获得|獲得,获得胜利|獲得勝利,获罪|獲罪,获胜|獲勝,萌发|萌發,行业规范|行業規範,表决|表決,表叔|表叔,表土|表土,表弟|表弟,表情|表情,表达|表達,表达力|表達' +
+        '力,表面|表面,表面的|表面的,被发|被髮,被发现|被發現,规划|規劃,规章制度|規章制度,规范|規範,言行一致|言行一致,誓愿|誓願,计划|計劃,计划行|計劃行,认同|認同,训蒙|訓蒙,记录|記錄,' +
+        '许愿|許願,证据|證據,识面|識面,试出|試出,调准|調準,谋划|謀劃,象征|象徵,豪杰|豪傑,貌合神离|貌合神離,质朴|質樸,贪念|貪念,贪欲|貪慾,赞叹|讚歎,走出|走出,走向|走向,起复|起復,' +
+        '起死回生|起死回生,超出|超出,趋于|趨於,趋吉避凶|趨吉避凶,趋向|趨向,足于|足於,路径|路徑,身价|身價,转向|轉向,转折|轉折,转折点|轉折點,轮回|輪迴,轻松|輕鬆,辩才|辯才,辩才无碍|辯' +
+        '才無礙,过于|過於,过后|過後,运回|運回,返回|返回,还出|還出,这个|這個,这只|這隻,这只是|這只是,远胜|遠勝,追回|追回,退出|退出,适合|適合,适宜|適宜,适应|適應,适应性|適應性,适度' +
+        '|適度,适当|適當,适得其反|適得其反,适时|適時,适用|適用,途径|途徑,遗才|遺才,避恶|避惡,那么|那麼,邪不胜正|邪不勝正,邪术|邪術,邻里|鄰里,郁结|鬱結,配合|配合,采取|採取,采取行动' +
+        '|採取行動,采茶|採茶,里程|里程,里程碑|里程碑,重复|重複,重获|重獲,金黄|金黃,错了|錯了,锻炼|鍛鍊,门里|門裏,闲言碎语|閒言碎語,闲适|閒適,间出|間出,防范|防範,阳历|陽曆,阿弥陀佛' +
+        '|阿彌陀佛,陪同|陪同,陷入困境|陷入困境,随同|隨同,随后|隨後,随心所欲|隨心所欲,雄心壮志|雄心壯志,雅致|雅緻,雨后|雨後,露出|露出,青云|青雲,青灯黄卷|青燈黃卷,非出|非出,面临|面臨,' +
+        '面交|面交,面光|面光,面告|面告,面容|面容,面对|面對,面对现实|面對現實,面影|面影,面条|麪條,面色|面色,面貌|面貌,面部|面部,面部表情|面部表情,韫椟待价|韞櫝待價,须知|須知,风云|風' +
+        '雲,风采|風采,香愿|香願,香烟|香菸,高台|高臺,鹏程万里|鵬程萬里,黄卷|黃卷,黑暗|黑暗';
+
+    let characterMap = null;
+    let phraseMap = null;
+    let maxPhraseLength = 0;
+
+    /** Builds the lookup tables on first use */
+    function buildTables() {
+        characterMap = new Map();
+        const characters = Array.from(CHARACTER_PAIRS);
+        for (let i = 0; i + 1 < characters.length; i += 2) {
+            characterMap.set(characters[i], characters[i + 1]);
+        }
+
+        phraseMap = new Map();
+        PHRASE_PAIRS.split(',').forEach(pair => {
+            const [simplified, traditional] = pair.split('|');
+            phraseMap.set(simplified, traditional);
+            maxPhraseLength = Math.max(maxPhraseLength, Array.from(simplified).length);
+        });
+    }
+
+    /**
+     * Converts Simplified Chinese text to Traditional, preferring the longest known phrase
+     * at each position and falling back to single characters. A matched phrase is emitted as is;
+     * the character pass never sees its output.
+     * @param {string} text
+     * @returns {string}
+     */
+    function toTraditional(text) {
+        if (typeof text !== 'string' || text === '') return text;
+        if (!characterMap) buildTables();
+
+        const characters = Array.from(text);
+        let result = '';
+        let index = 0;
+        while (index < characters.length) {
+            let matched = false;
+            for (let length = Math.min(maxPhraseLength, characters.length - index); length >= 2; length--) {
+                const candidate = characters.slice(index, index + length).join('');
+                const phrase = phraseMap.get(candidate);
+                if (phrase !== undefined) {
+                    result += phrase;
+                    index += length;
+                    matched = true;
+                    break;
+                }
+            }
+            if (matched) continue;
+            const character = characters[index];
+            result += characterMap.get(character) || character;
+            index++;
+        }
+        return result;
+    }
+
+    const CONVERTERS = { s2t: toTraditional };
+
+    /**
+     * Converts text with a named converter (as used by the "convert" field in lang/index.json).
+     * @param {string} text
+     * @param {string} converterName - e.g. 's2t'.
+     * @returns {string} Converted text, or the input if the converter is unknown.
+     */
+    function convert(text, converterName) {
+        const converter = CONVERTERS[converterName];
+        return converter ? converter(text) : text;
+    }
+
+    /** @returns {boolean} Whether a converter with this name exists */
+    function hasConverter(converterName) {
+        return Object.prototype.hasOwnProperty.call(CONVERTERS, converterName);
+    }
+
+    return { convert, hasConverter, toTraditional };
+});